@@ -2,19 +2,41 @@
  * Configuration file for R&TC Tournament Matcher
  *
  * For local development, create config.local.js with your credentials.
+ * GOOGLE_CLIENT_ID and OAUTH_RELAY_URL are required. Sign-in uses PKCE; the client secret
+ * stays on the sign-in relay (tools/oauthRelay.js) and is never stored in the panel.
+ * The OAuth endpoints and API base URLs can be overridden to point at the local stand-in server.
  */
 
+const DEFAULT_CONFIG = {
+    GOOGLE_CLIENT_ID: '',
+
+    // https address of the sign-in relay (tools/oauthRelay.js). Google redirects there after
+    // sign-in and the panel collects its tokens from it - InDesign panels cannot receive the
+    // redirect themselves. Token exchange and refresh go through it, as it holds the secret.
+    OAUTH_RELAY_URL: '',
+
+    // OAuth endpoints
+    OAUTH_AUTH_URL: 'https://accounts.google.com/o/oauth2/v2/auth',
+    OAUTH_REVOKE_URL: 'https://oauth2.googleapis.com/revoke',
+
+    // API base URLs - point these and the OAuth endpoints at the local stand-in server
+    // (npm run stand-in) to run the whole panel without Google credentials
+    SHEETS_API_BASE_URL: 'https://sheets.googleapis.com',
+    DRIVE_API_BASE_URL: 'https://www.googleapis.com',
+
+    // Drive folder (ID or link) holding the current season's entry workbooks
+    // Blank = list every spreadsheet in Drive. Can be changed from the Event Selection screen.
+    TOURNAMENT_FOLDER_ID: ''
+};
+
 // Try to load local config first (gitignored)
 let CONFIG;
 try {
     const localConfig = require('./config.local.js');
-    CONFIG = localConfig.CONFIG;
+    CONFIG = { ...DEFAULT_CONFIG, ...localConfig.CONFIG };
 } catch (e) {
-    // Fallback to empty defaults if no local config
-    CONFIG = {
-        GOOGLE_CLIENT_ID: '',
-        GOOGLE_CLIENT_SECRET: ''
-    };
+    // Fallback to defaults if no local config
+    CONFIG = { ...DEFAULT_CONFIG };
 }
 
 // Export for CommonJS (UXP)
@@ -0,0 +1,96 @@
+/**
+ * Google API Errors
+ * Typed failures returned by the Sheets/Drive request core, so the UI can tell
+ * an expired session apart from a missing workbook, a quota limit or no network
+ */
+
+const API_ERROR_TYPES = {
+    AUTH_EXPIRED: 'auth-expired',
+    PERMISSION_DENIED: 'permission-denied',
+    NOT_FOUND: 'not-found',
+    QUOTA: 'quota',
+    OFFLINE: 'offline',
+    SERVER: 'server',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown'
+};
+
+// What staff can do about each kind of failure
+const ERROR_ADVICE = {
+    [API_ERROR_TYPES.AUTH_EXPIRED]: 'Your Google session has expired - go back to Connection and sign in again.',
+    [API_ERROR_TYPES.PERMISSION_DENIED]: 'Check that your Google account can open this workbook (ask the owner to share it), or reconnect to grant access.',
+    [API_ERROR_TYPES.NOT_FOUND]: 'It may have been renamed, moved or deleted - reload the workbook list and select it again.',
+    [API_ERROR_TYPES.QUOTA]: 'Google is limiting requests right now - wait a minute and try again.',
+    [API_ERROR_TYPES.OFFLINE]: 'Google could not be reached - check the network connection, or use saved data offline.',
+    [API_ERROR_TYPES.SERVER]: 'Google Sheets is having problems - try again in a few minutes.'
+};
+
+/**
+ * Error thrown inside the request core; converted to a { success: false } result at the API boundary
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} type - One of API_ERROR_TYPES
+     * @param {string} message - Human-readable message
+     * @param {number|null} status - HTTP status, if a response was received
+     */
+    constructor(type, message, status = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+    }
+}
+
+/**
+ * Classify an HTTP error response
+ * Google reports some rate limits as 403 with a rateLimitExceeded reason
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed error body ({ error: { message, errors: [{ reason }] } })
+ * @returns {string} One of API_ERROR_TYPES
+ */
+function classifyHttpError(status, body = {}) {
+    const reasons = (body.error?.errors || []).map(error => error.reason);
+    const isRateLimit = reasons.some(reason => /rateLimitExceeded|quotaExceeded/i.test(reason));
+
+    if (status === 401) return API_ERROR_TYPES.AUTH_EXPIRED;
+    if (status === 429 || (status === 403 && isRateLimit)) return API_ERROR_TYPES.QUOTA;
+    if (status === 403) return API_ERROR_TYPES.PERMISSION_DENIED;
+    if (status === 404) return API_ERROR_TYPES.NOT_FOUND;
+    if (status >= 500) return API_ERROR_TYPES.SERVER;
+    return API_ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Convert a caught error into the { success: false } result returned by API methods
+ *
+ * @param {Error} error - Caught error (ApiError or anything else)
+ * @returns {Object} { success: false, error, errorType }
+ */
+function toErrorResult(error) {
+    return {
+        success: false,
+        error: error.message,
+        errorType: error.type || API_ERROR_TYPES.UNKNOWN
+    };
+}
+
+/**
+ * Get the suggested next step for a failure type
+ *
+ * @param {string} errorType - One of API_ERROR_TYPES
+ * @returns {string|null} Advice text, or null when there is nothing to suggest
+ */
+function getErrorAdvice(errorType) {
+    return ERROR_ADVICE[errorType] || null;
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    API_ERROR_TYPES,
+    ApiError,
+    classifyHttpError,
+    toErrorResult,
+    getErrorAdvice
+};
@@ -0,0 +1,217 @@
+/**
+ * Column Mappings
+ * Ties entry-tab headers to entry fields. Columns are guessed from their header text
+ * unless the workbook has a saved mapping profile, so a reworded form question can be
+ * re-pointed at the right field instead of silently losing it.
+ */
+
+const STORAGE_KEY = 'rtc-column-mappings';
+
+// Fields a column can map to, with labels for the mapping editor
+const ENTRY_FIELDS = {
+    firstName: 'First Name',
+    lastName: 'Last Name',
+    email: 'Email',
+    phone: 'Phone',
+    partnerName: 'Partner',
+    availability: 'Availability',
+    timestamp: 'Timestamp',
+    eventChoice: 'Event (checkbox)',
+    eventPartner: 'Event Partner',
+    custom: 'Custom Field',
+    ignore: 'Ignore'
+};
+
+/**
+ * Normalize a header for matching against a saved profile
+ */
+function normalizeHeader(header) {
+    return (header || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Reduce a header to the words that name an event class
+ * e.g. "Squash Singles Hardball" -> "hardball", "Doubles B" -> "b", "Doubles partner(s)" -> ""
+ */
+function getEventQualifier(header) {
+    return normalizeHeader(header)
+        // Plural and possessive endings would otherwise be left behind as a stray "s"
+        .replace(/\((?:e?s)\)|['’]s\b/g, '')
+        .replace(/[^a-z0-9+ ]/g, ' ')
+        .replace(/\b(squash|racquets?|court|tennis|singles|doubles|events?|draw|partners?|for|your|please|list|name|the|in)\b/g, ' ')
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Check whether a header names an event ("Doubles B", "Squash Singles Hardball")
+ * A bare "Doubles" does not - older per-event tabs used it for the partner question
+ */
+function namesEvent(header) {
+    return /\b(singles|doubles)\b/.test(normalizeHeader(header)) && getEventQualifier(header) !== '';
+}
+
+/**
+ * Check whether a partner header is for one event ("Partner for Doubles Masters")
+ * An empty or one-letter qualifier is left over from the wording, so the column is the
+ * general partner question
+ */
+function namesPartnerEvent(header) {
+    return getEventQualifier(header).length > 1;
+}
+
+/**
+ * Guess the field for a header from its wording
+ * Headers that match nothing are kept as custom fields rather than dropped
+ *
+ * @param {string} header - Column header text
+ * @returns {string} One of the ENTRY_FIELDS keys
+ */
+function guessFieldForHeader(header) {
+    const normalized = normalizeHeader(header);
+
+    if (!normalized) return 'ignore';
+    if (normalized.includes('timestamp')) return 'timestamp';
+    if (normalized.includes('first') && normalized.includes('name')) return 'firstName';
+    if (normalized.includes('last') && normalized.includes('name')) return 'lastName';
+    if (normalized.includes('email')) return 'email';
+    if (normalized.includes('phone')) return 'phone';
+    if (normalized.includes('partner')) return namesPartnerEvent(normalized) ? 'eventPartner' : 'partnerName';
+    // Single response sheets have one checkbox column per event
+    if (namesEvent(normalized)) return 'eventChoice';
+    if (normalized.includes('doubles')) return 'partnerName';
+    if (
+        normalized.includes('availab') ||
+        normalized.includes('blackout') ||
+        normalized.includes('schedule') ||
+        normalized.includes('when can you play') ||
+        normalized.includes('day/night') ||
+        normalized.includes('day night') ||
+        normalized.includes('session') ||
+        normalized === 'd/n' ||
+        normalized === 'dn'
+    ) {
+        return 'availability';
+    }
+    return 'custom';
+}
+
+/**
+ * Resolve the field for every column of a tab
+ *
+ * @param {Array<string>} headers - Header row
+ * @param {Object|null} profile - Saved profile ({ columns: { [normalized header]: field } }) or null
+ * @returns {Array<Object>} [{ index, header, field, source: 'profile' | 'guess' }]
+ */
+function buildColumnMapping(headers, profile = null) {
+    const savedColumns = profile?.columns || {};
+
+    return (headers || []).map((header, index) => {
+        const headerText = (header || '').toString().trim();
+        const saved = savedColumns[normalizeHeader(headerText)];
+
+        if (saved && ENTRY_FIELDS[saved]) {
+            return { index, header: headerText, field: saved, source: 'profile' };
+        }
+        return { index, header: headerText, field: guessFieldForHeader(headerText), source: 'guess' };
+    });
+}
+
+/**
+ * Check whether a mapping has the columns an entry needs
+ * @returns {Array<string>} Problems to show the user (empty when the mapping is usable)
+ */
+function checkColumnMapping(mapping) {
+    const fields = mapping.map(column => column.field);
+    const problems = [];
+
+    if (!fields.includes('firstName') && !fields.includes('lastName')) {
+        problems.push('No column is mapped to First Name or Last Name');
+    }
+    ['firstName', 'lastName', 'email', 'partnerName'].forEach(field => {
+        const count = fields.filter(f => f === field).length;
+        if (count > 1) {
+            problems.push(`${count} columns are mapped to ${ENTRY_FIELDS[field]} - the first non-blank value is used`);
+        }
+    });
+    return problems;
+}
+
+class ColumnMappingStore {
+    /**
+     * Read all saved profiles
+     * @returns {Object} Profiles keyed by workbook ID
+     */
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Write all profiles
+     */
+    writeAll(profiles) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+        } catch (error) {
+            console.warn('Failed to save column mappings:', error);
+        }
+    }
+
+    /**
+     * Get the mapping profile for a workbook
+     * @returns {Object|null} { columns, updatedAt } or null if none saved
+     */
+    get(workbookId) {
+        return this.readAll()[workbookId] || null;
+    }
+
+    /**
+     * Save the mapping profile for a workbook
+     * Columns are merged into the existing profile, so headers from other tabs are kept
+     *
+     * @param {string} workbookId - Workbook the profile applies to (every tab)
+     * @param {Array<Object>} mapping - [{ header, field }] as edited
+     * @returns {Object} The saved profile
+     */
+    save(workbookId, mapping) {
+        const profiles = this.readAll();
+        const columns = { ...(profiles[workbookId]?.columns || {}) };
+
+        mapping.forEach(column => {
+            const key = normalizeHeader(column.header);
+            if (key) {
+                columns[key] = column.field;
+            }
+        });
+
+        profiles[workbookId] = { columns, updatedAt: new Date().toISOString() };
+        this.writeAll(profiles);
+        return profiles[workbookId];
+    }
+
+    /**
+     * Remove a workbook's profile so columns are guessed again
+     */
+    clear(workbookId) {
+        const profiles = this.readAll();
+        delete profiles[workbookId];
+        this.writeAll(profiles);
+    }
+}
+
+// Singleton instance
+const columnMappingStore = new ColumnMappingStore();
+
+// CommonJS exports for UXP
+module.exports = {
+    ENTRY_FIELDS,
+    getEventQualifier,
+    guessFieldForHeader,
+    buildColumnMapping,
+    checkColumnMapping,
+    columnMappingStore
+};
@@ -0,0 +1,134 @@
+/**
+ * Credential Store
+ * Keeps the Google session (tokens and access token expiry) in UXP secure storage,
+ * which the OS encrypts per user, instead of plain JSON in localStorage.
+ * The client secret is never stored - it is read from config when needed.
+ */
+
+const { strFromU8 } = require('fflate');
+
+const SESSION_KEY = 'rtc-sheets-session';
+
+// Plain-text keys written by earlier versions; migrated once, then removed
+const LEGACY_TOKENS_KEY = 'rtc-sheets-tokens';
+const LEGACY_CREDENTIALS_KEY = 'rtc-sheets-credentials';
+
+/**
+ * Get UXP secure storage if the host provides it
+ * @returns {Object|null} secureStorage or null when unavailable
+ */
+function getSecureStorage() {
+    try {
+        const { storage } = require('uxp');
+        return storage.secureStorage || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+class CredentialStore {
+    /**
+     * Save the session
+     * @param {Object} session - { clientId, accessToken, refreshToken, tokenExpiresAt }
+     * @returns {Promise<boolean>} True if saved; false if secure storage is unavailable
+     */
+    async save(session) {
+        const secureStorage = getSecureStorage();
+        if (!secureStorage) {
+            console.warn('Secure storage unavailable - sign-in will not be remembered');
+            return false;
+        }
+
+        try {
+            await secureStorage.setItem(SESSION_KEY, JSON.stringify({
+                clientId: session.clientId,
+                accessToken: session.accessToken,
+                refreshToken: session.refreshToken,
+                tokenExpiresAt: session.tokenExpiresAt || null
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save session to secure storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the saved session, migrating one saved by an earlier version if present
+     * @returns {Promise<Object|null>} Session or null if none saved
+     */
+    async load() {
+        const secureStorage = getSecureStorage();
+        if (secureStorage) {
+            try {
+                const stored = await secureStorage.getItem(SESSION_KEY);
+                if (stored && stored.length > 0) {
+                    return JSON.parse(typeof stored === 'string' ? stored : strFromU8(stored));
+                }
+            } catch (error) {
+                console.warn('Failed to read session from secure storage:', error);
+            }
+        }
+
+        return this.migrateLegacySession();
+    }
+
+    /**
+     * Move tokens from the old localStorage keys into secure storage and delete them
+     * The old client secret is dropped. If secure storage cannot be written, the tokens stay
+     * in localStorage so the move is tried again next time rather than signing the user out.
+     */
+    async migrateLegacySession() {
+        const legacyTokens = localStorage.getItem(LEGACY_TOKENS_KEY);
+        if (!legacyTokens) return null;
+
+        // The client secret is never needed again, whether or not the tokens move
+        localStorage.removeItem(LEGACY_CREDENTIALS_KEY);
+
+        let session;
+        try {
+            const tokens = JSON.parse(legacyTokens);
+            session = {
+                clientId: tokens.clientId,
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                tokenExpiresAt: null
+            };
+        } catch (error) {
+            console.warn('Discarding unreadable saved session:', error);
+            localStorage.removeItem(LEGACY_TOKENS_KEY);
+            return null;
+        }
+
+        if (await this.save(session)) {
+            localStorage.removeItem(LEGACY_TOKENS_KEY);
+            console.log('Moved saved Google session to secure storage');
+        } else {
+            console.warn('Could not move saved Google session to secure storage - will retry on next start');
+        }
+        return session;
+    }
+
+    /**
+     * Delete the saved session, including any left in the old localStorage keys
+     */
+    async clear() {
+        localStorage.removeItem(LEGACY_TOKENS_KEY);
+        localStorage.removeItem(LEGACY_CREDENTIALS_KEY);
+
+        const secureStorage = getSecureStorage();
+        if (!secureStorage) return;
+
+        try {
+            await secureStorage.removeItem(SESSION_KEY);
+        } catch (error) {
+            console.warn('Failed to remove session from secure storage:', error);
+        }
+    }
+}
+
+// Singleton instance
+const credentialStore = new CredentialStore();
+
+// CommonJS exports for UXP
+module.exports = { credentialStore };
@@ -0,0 +1,313 @@
+/**
+ * Data Sources
+ * Entries and roster data can come from Google Sheets or from CSV/XLSX files on disk.
+ * Both sources return the same { success, ... } results with 2D values arrays,
+ * so parseEventTabData and HandicapDataManager.loadFromSheetValues work unchanged.
+ */
+
+const { sheetsAPI } = require('./sheetsAPI');
+const { fetchWithSnapshot, snapshotKeys } = require('./snapshotCache');
+const { parseCSV, parseXLSX, splitCsvExportName } = require('./localFileParser');
+
+const LOCAL_ID_PREFIX = 'local:';
+
+/**
+ * Fetch through the offline snapshot cache unless the caller opted out
+ * Background reads pass { snapshot: false } so they neither overwrite the snapshots of
+ * what staff have open nor stand in for live data
+ */
+function fetchWithOptionalSnapshot(key, fetcher, options = {}) {
+    return options.snapshot === false ? fetcher() : fetchWithSnapshot(key, fetcher);
+}
+
+/**
+ * Google Sheets source - every fetch falls back to the last offline snapshot
+ * (unless { snapshot: false } is passed)
+ */
+class GoogleSheetsSource {
+    constructor() {
+        this.type = 'google-sheets';
+    }
+
+    /**
+     * List the tabs of a workbook
+     * @param {Object} options - { snapshot: false } to skip the offline snapshot
+     * @returns {Promise<Object>} { success, sheets: [{ id, title, index }] }
+     */
+    async getWorkbookTabs(workbookId, options = {}) {
+        return fetchWithOptionalSnapshot(
+            snapshotKeys.workbookInfo(workbookId),
+            () => sheetsAPI.getSpreadsheetInfo(workbookId),
+            options
+        );
+    }
+
+    /**
+     * Get the values of one event tab (its whole grid, not just A:Z)
+     * @returns {Promise<Object>} { success, values }
+     */
+    async getTabValues(workbookId, tabName) {
+        return fetchWithSnapshot(
+            snapshotKeys.tab(workbookId, tabName),
+            () => sheetsAPI.getTabGridData(workbookId, tabName)
+        );
+    }
+
+    /**
+     * Get the values of several tabs in one request
+     * @param {Object} options - { sheets } from getWorkbookTabs so the tab sizes are not
+     *   fetched again; { snapshot: false } to skip the offline snapshot
+     * @returns {Promise<Object>} { success, tabs: { [title]: values } }
+     */
+    async getAllTabValues(workbookId, titles, options = {}) {
+        return fetchWithOptionalSnapshot(
+            snapshotKeys.workbookTabs(workbookId),
+            () => sheetsAPI.getAllSheetsData(workbookId, titles, { sheets: options.sheets }),
+            options
+        );
+    }
+
+    /**
+     * Get the current Drive version of a workbook (never from a snapshot - it must be live)
+     * @returns {Promise<Object>} { success, modifiedTime, version }
+     */
+    async getWorkbookVersion(workbookId) {
+        return sheetsAPI.getFileVersion(workbookId);
+    }
+
+    /**
+     * Get the handicap roster values (first tab of the roster workbook, its whole grid)
+     * @returns {Promise<Object>} { success, values }
+     */
+    async getRosterValues(workbookId) {
+        return fetchWithSnapshot(
+            snapshotKeys.handicaps(workbookId),
+            () => sheetsAPI.getTabGridData(workbookId, null)
+        );
+    }
+}
+
+/**
+ * Local file source - CSV exports and XLSX workbooks picked from disk
+ * A CSV named "{Workbook} - {Tab}.csv" (the Google Sheets export name) becomes one tab
+ * of that workbook, so several exports of the same workbook open as a single workbook
+ */
+class LocalFileSource {
+    constructor() {
+        this.type = 'local';
+        this.workbooks = new Map();
+    }
+
+    /**
+     * Check whether a workbook ID belongs to a local file
+     */
+    isLocalWorkbookId(workbookId) {
+        return typeof workbookId === 'string' && workbookId.startsWith(LOCAL_ID_PREFIX);
+    }
+
+    /**
+     * Get or create the in-memory workbook for a name
+     */
+    getOrCreateWorkbook(name) {
+        const id = `${LOCAL_ID_PREFIX}${name}`;
+        if (!this.workbooks.has(id)) {
+            this.workbooks.set(id, { id, name, sheetTitles: [], tabs: {}, loadedAt: null });
+        }
+        return this.workbooks.get(id);
+    }
+
+    /**
+     * Add a parsed file's contents to the loaded workbooks
+     *
+     * @param {string} fileName - File name including extension
+     * @param {string|ArrayBuffer} contents - Text for CSV, binary for XLSX
+     * @returns {Object} { success, workbook: { id, name, source }, error }
+     */
+    loadFile(fileName, contents) {
+        try {
+            let workbook;
+
+            if (/\.xlsx$/i.test(fileName)) {
+                const parsed = parseXLSX(contents);
+                workbook = this.getOrCreateWorkbook(fileName.replace(/\.xlsx$/i, ''));
+                parsed.sheetTitles.forEach(title => this.setTab(workbook, title, parsed.tabs[title]));
+            } else if (/\.csv$/i.test(fileName)) {
+                const { workbookName, tabName } = splitCsvExportName(fileName);
+                workbook = this.getOrCreateWorkbook(workbookName);
+                this.setTab(workbook, tabName, parseCSV(contents));
+            } else {
+                return { success: false, error: `Unsupported file type: ${fileName}` };
+            }
+
+            console.log(`Loaded local file "${fileName}" into workbook "${workbook.name}" (${workbook.sheetTitles.length} tab(s))`);
+            return { success: true, workbook: this.describeWorkbook(workbook) };
+        } catch (error) {
+            console.error(`Failed to read local file "${fileName}":`, error);
+            return { success: false, error: `${fileName}: ${error.message}` };
+        }
+    }
+
+    /**
+     * Add or replace a tab, keeping the order tabs were first opened in
+     */
+    setTab(workbook, title, values) {
+        if (!workbook.tabs[title]) {
+            workbook.sheetTitles.push(title);
+        }
+        workbook.tabs[title] = values;
+        workbook.loadedAt = new Date().toISOString();
+    }
+
+    /**
+     * Picker-friendly description of a workbook
+     */
+    describeWorkbook(workbook) {
+        return { id: workbook.id, name: workbook.name, source: this.type };
+    }
+
+    /**
+     * Let the user pick CSV/XLSX files and load them
+     * @returns {Promise<Object>} { success, workbooks, errors, cancelled }
+     */
+    async pickFiles() {
+        const { storage } = require('uxp');
+        const files = await storage.localFileSystem.getFileForOpening({
+            allowMultiple: true,
+            types: ['csv', 'xlsx']
+        });
+
+        const picked = Array.isArray(files) ? files : (files ? [files] : []);
+        if (picked.length === 0) {
+            return { success: false, cancelled: true, workbooks: [], errors: [] };
+        }
+
+        const loaded = new Map();
+        const errors = [];
+        for (const file of picked) {
+            const isXlsx = /\.xlsx$/i.test(file.name);
+            let result;
+            try {
+                const contents = await file.read(isXlsx ? { format: storage.formats.binary } : {});
+                result = this.loadFile(file.name, contents);
+            } catch (error) {
+                result = { success: false, error: `${file.name}: ${error.message}` };
+            }
+
+            if (result.success) {
+                loaded.set(result.workbook.id, result.workbook);
+            } else {
+                errors.push(result.error);
+            }
+        }
+
+        return {
+            success: loaded.size > 0,
+            workbooks: Array.from(loaded.values()),
+            errors,
+            error: errors.join('; ')
+        };
+    }
+
+    /**
+     * List every loaded local workbook
+     */
+    listWorkbooks() {
+        return Array.from(this.workbooks.values()).map(workbook => this.describeWorkbook(workbook));
+    }
+
+    /**
+     * Look up a loaded workbook, returning a failed result if it is missing
+     */
+    getWorkbook(workbookId) {
+        const workbook = this.workbooks.get(workbookId);
+        return workbook
+            ? { success: true, workbook }
+            : { success: false, error: 'Local file is no longer loaded - open it again' };
+    }
+
+    /**
+     * List the tabs of a local workbook
+     */
+    async getWorkbookTabs(workbookId) {
+        const lookup = this.getWorkbook(workbookId);
+        if (!lookup.success) return lookup;
+
+        return {
+            success: true,
+            title: lookup.workbook.name,
+            sheets: lookup.workbook.sheetTitles.map((title, index) => ({ id: index, title, index }))
+        };
+    }
+
+    /**
+     * Get the values of one tab
+     */
+    async getTabValues(workbookId, tabName) {
+        const lookup = this.getWorkbook(workbookId);
+        if (!lookup.success) return lookup;
+
+        const values = lookup.workbook.tabs[tabName];
+        if (!values) {
+            return { success: false, error: `Tab "${tabName}" not found in ${lookup.workbook.name}` };
+        }
+        return { success: true, values };
+    }
+
+    /**
+     * Get the values of several tabs (all tabs if titles is omitted)
+     */
+    async getAllTabValues(workbookId, titles) {
+        const lookup = this.getWorkbook(workbookId);
+        if (!lookup.success) return lookup;
+
+        const wanted = titles || lookup.workbook.sheetTitles;
+        const tabs = {};
+        wanted.forEach(title => {
+            if (lookup.workbook.tabs[title]) {
+                tabs[title] = lookup.workbook.tabs[title];
+            }
+        });
+        return { success: true, tabs };
+    }
+
+    /**
+     * Get the version of a local workbook - the time its files were last opened
+     */
+    async getWorkbookVersion(workbookId) {
+        const lookup = this.getWorkbook(workbookId);
+        if (!lookup.success) return lookup;
+
+        return { success: true, modifiedTime: lookup.workbook.loadedAt, version: null };
+    }
+
+    /**
+     * Get the handicap roster values (first tab of the roster file)
+     */
+    async getRosterValues(workbookId) {
+        const lookup = this.getWorkbook(workbookId);
+        if (!lookup.success) return lookup;
+
+        const firstTitle = lookup.workbook.sheetTitles[0];
+        return { success: true, values: firstTitle ? lookup.workbook.tabs[firstTitle] : [] };
+    }
+}
+
+// Singleton instances
+const googleSheetsSource = new GoogleSheetsSource();
+const localFileSource = new LocalFileSource();
+
+/**
+ * Pick the data source that serves a workbook
+ * @param {string} workbookId - Drive file ID or local workbook ID
+ * @returns {GoogleSheetsSource|LocalFileSource}
+ */
+function getDataSource(workbookId) {
+    return localFileSource.isLocalWorkbookId(workbookId) ? localFileSource : googleSheetsSource;
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    googleSheetsSource,
+    localFileSource,
+    getDataSource
+};
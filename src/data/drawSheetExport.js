@@ -0,0 +1,108 @@
+/**
+ * Draw Sheet Export
+ * Builds the "Draw – {event}" tab written back to the entries workbook,
+ * so the pro shop and committee can see the draw without InDesign
+ */
+
+const { getDisplayHandicap } = require('../matchmaking/handicapRounding');
+
+const DRAW_SHEET_HEADERS = [
+    'Match',
+    'Type',
+    'Position 1',
+    'Player / Team 1',
+    'Handicap 1',
+    'Position 2',
+    'Player / Team 2',
+    'Handicap 2'
+];
+
+/**
+ * Build the tab title for an event's draw
+ * Sheets limits tab titles to 100 characters
+ *
+ * @param {string} eventName - Event (tab) name
+ * @returns {string} Tab title, e.g. "Draw – Doubles B"
+ */
+function getDrawTabTitle(eventName) {
+    return `Draw – ${eventName}`.slice(0, 100);
+}
+
+/**
+ * Check whether a tab is a draw written by this panel (not an event entries tab)
+ *
+ * @param {string} title - Tab title
+ * @returns {boolean} True for "Draw – {event}" tabs
+ */
+function isDrawTabTitle(title) {
+    return (title || '').startsWith('Draw – ');
+}
+
+/**
+ * Classify a Round 1 match
+ * - Bye: one side is a BYE, the player advances straight to Round 2
+ * - Play-in: two real players in a partial bracket (play-in style placement)
+ * - Match: two real players in a full bracket
+ * - Empty: both sides are BYEs
+ *
+ * @param {Object} match - Match from getFlatMatchList()
+ * @param {boolean} isFullBracket - True if every bracket position holds a participant
+ * @returns {string} Match type label
+ */
+function getMatchType(match, isFullBracket) {
+    const p1Bye = !match.player1 || match.player1.isBye;
+    const p2Bye = !match.player2 || match.player2.isBye;
+
+    if (p1Bye && p2Bye) return 'Empty';
+    if (p1Bye || p2Bye) return 'Bye';
+    return isFullBracket ? 'Match' : 'Play-in';
+}
+
+/**
+ * Build the cells describing one side of a match
+ *
+ * @param {Object|null} player - Bracket participant
+ * @param {Object} eventContext - Event context with eventName, isDoubles
+ * @returns {Array} [position, name, handicap]
+ */
+function buildSideCells(player, eventContext) {
+    if (!player || player.isBye) {
+        return ['', 'BYE', ''];
+    }
+
+    return [
+        player.seed ?? '',
+        player.name,
+        getDisplayHandicap(player, eventContext)
+    ];
+}
+
+/**
+ * Build the sheet values for a generated draw
+ *
+ * @param {Object} bracket - Bracket structure from generateBracket
+ * @param {Array} flatMatches - Flattened match list from getFlatMatchList()
+ * @param {Object} eventContext - Event context with eventName, isDoubles
+ * @returns {Array<Array>} Rows for values.update, header row first
+ */
+function buildDrawSheetValues(bracket, flatMatches, eventContext = {}) {
+    const isFullBracket = bracket.participantCount === bracket.bracketSize;
+
+    const rows = flatMatches.map(match => [
+        match.matchNumber,
+        getMatchType(match, isFullBracket),
+        ...buildSideCells(match.player1, eventContext),
+        ...buildSideCells(match.player2, eventContext)
+    ]);
+
+    return [DRAW_SHEET_HEADERS, ...rows];
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    buildDrawSheetValues,
+    getDrawTabTitle,
+    isDrawTabTitle,
+    getMatchType,
+    DRAW_SHEET_HEADERS
+};
@@ -0,0 +1,105 @@
+/**
+ * Draw Version Store
+ * Remembers, per event tab, which version of the entries workbook each draw was built from
+ * and the entrants it used, so later changes to the sheet can be detected and diffed
+ */
+
+const STORAGE_KEY = 'rtc-draw-versions';
+
+class DrawVersionStore {
+    /**
+     * Read all saved draw records
+     * @returns {Object} Records keyed by workbook ID and tab name
+     */
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Build the record key for an event tab
+     */
+    getKey(workbookId, tabName) {
+        return `${workbookId}::${tabName}`;
+    }
+
+    /**
+     * Remember the data version and entrants a draw was generated from
+     *
+     * @param {Object} record - { workbookId, tabName, modifiedTime, version, entries }
+     * @returns {Object} The saved record, with generatedAt
+     */
+    save(record) {
+        const records = this.readAll();
+        const saved = { ...record, generatedAt: new Date().toISOString() };
+        records[this.getKey(record.workbookId, record.tabName)] = saved;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+        } catch (error) {
+            console.warn('Failed to save draw version:', error);
+        }
+        return saved;
+    }
+
+    /**
+     * Move a draw's baseline to a new workbook version, keeping its entrants
+     * Used after the panel's own writes (the Draw tab), which change the version but not the entries
+     *
+     * @param {Object} current - { modifiedTime, version } fetched after the write
+     * @returns {boolean} True if a record was updated
+     */
+    updateVersion(workbookId, tabName, current) {
+        const records = this.readAll();
+        const record = records[this.getKey(workbookId, tabName)];
+        if (!record) return false;
+
+        record.modifiedTime = current.modifiedTime || null;
+        record.version = current.version || null;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save draw version:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the record for the last draw generated from an event tab
+     * @returns {Object|null} Record or null if no draw was generated
+     */
+    get(workbookId, tabName) {
+        return this.readAll()[this.getKey(workbookId, tabName)] || null;
+    }
+}
+
+/**
+ * Check whether a workbook version differs from the one a draw was built from
+ * Drive's version number is preferred; modifiedTime is used when it is missing
+ *
+ * @param {Object} record - Saved draw record
+ * @param {Object} current - { modifiedTime, version } fetched now
+ * @returns {boolean|null} True if changed, false if not, null if it cannot be told
+ */
+function hasVersionChanged(record, current) {
+    if (!record || !current) return null;
+
+    if (record.version && current.version) {
+        return String(record.version) !== String(current.version);
+    }
+    if (record.modifiedTime && current.modifiedTime) {
+        return record.modifiedTime !== current.modifiedTime;
+    }
+    return null;
+}
+
+// Singleton instance
+const drawVersionStore = new DrawVersionStore();
+
+// CommonJS exports for UXP
+module.exports = { drawVersionStore, hasVersionChanged };
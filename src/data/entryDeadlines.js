@@ -0,0 +1,186 @@
+/**
+ * Entry Deadlines
+ * Parses Google Forms response timestamps and applies a per-event closing date,
+ * so entries that arrived late are flagged or held on a waitlist the same way every time
+ */
+
+const STORAGE_KEY = 'rtc-entry-deadlines';
+
+// What happens to entries submitted after the deadline
+const LATE_HANDLING = {
+    FLAG: 'flag',
+    WAITLIST: 'waitlist'
+};
+
+// Days between the spreadsheet epoch (1899-12-30) and the Unix epoch
+const SHEETS_EPOCH_OFFSET_DAYS = 25569;
+
+/**
+ * Parse a form response timestamp into a Date (local time)
+ * Accepts the Google Forms format ("1/15/2026 14:32:10"), ISO-style dates
+ * ("2026-01-15 14:32") and spreadsheet serial numbers from XLSX files
+ *
+ * @param {string|number} value - Cell value
+ * @returns {Date|null} Date, or null if blank or unrecognised
+ */
+function parseFormTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    const text = value.toString().trim();
+    if (!text) return null;
+
+    // Spreadsheet serial date (days since 1899-12-30, fraction = time of day)
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const serial = parseFloat(text);
+        if (serial < 1) return null;
+        const utc = new Date((serial - SHEETS_EPOCH_OFFSET_DAYS) * 86400000);
+        // Serials carry no time zone - read the UTC parts back as local time
+        return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+            utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+    }
+
+    // M/D/YYYY [H:mm[:ss]] [AM/PM]
+    let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/);
+    if (match) {
+        const [, month, day, year, hours = '0', minutes = '0', seconds = '0', meridiem] = match;
+        return buildLocalDate(year, month, day, to24Hour(hours, meridiem), minutes, seconds);
+    }
+
+    // YYYY-MM-DD[T| ]HH:mm[:ss] (no zone = local time)
+    match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+        const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+        return buildLocalDate(year, month, day, hours, minutes, seconds);
+    }
+
+    // Anything else with an explicit zone, e.g. full ISO strings
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Convert a 12-hour clock hour to 24-hour when AM/PM is given
+ */
+function to24Hour(hours, meridiem) {
+    let hour = parseInt(hours, 10);
+    if (!meridiem) return hour;
+    if (/pm/i.test(meridiem) && hour < 12) hour += 12;
+    if (/am/i.test(meridiem) && hour === 12) hour = 0;
+    return hour;
+}
+
+/**
+ * Build a local Date, rejecting impossible values (e.g. 2/31)
+ */
+function buildLocalDate(year, month, day, hours, minutes, seconds) {
+    const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+    if (isNaN(date.getTime()) || date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Get when a player first entered - the earliest of merged repeat submissions
+ * @returns {string|null} ISO string
+ */
+function getEnteredAt(entry) {
+    return entry.firstSubmittedAt || entry.submittedAt || null;
+}
+
+/**
+ * Split entries into on-time and late against an event's deadline
+ * A player who entered on time and resubmitted later (e.g. to change partner) is on time.
+ * Entries without a readable timestamp are kept (they cannot be shown to be late)
+ * and counted in `undated` so the committee can check them by hand
+ *
+ * @param {Array} entries - Parsed entries (with submittedAt ISO strings, and firstSubmittedAt
+ *                          when repeat submissions were merged)
+ * @param {Object|null} settings - { deadline: ISO string, lateHandling } or null for no deadline
+ * @returns {Object} { entries (all, with isLate), accepted, waitlist, late, undated }
+ */
+function applyEntryDeadline(entries, settings) {
+    const deadline = settings?.deadline ? new Date(settings.deadline) : null;
+    const useWaitlist = settings?.lateHandling === LATE_HANDLING.WAITLIST;
+
+    const marked = entries.map(entry => ({
+        ...entry,
+        isLate: !!deadline && !!getEnteredAt(entry) && new Date(getEnteredAt(entry)) > deadline
+    }));
+
+    const late = marked.filter(entry => entry.isLate);
+    return {
+        entries: marked,
+        accepted: useWaitlist ? marked.filter(entry => !entry.isLate) : marked,
+        waitlist: useWaitlist ? late : [],
+        late,
+        undated: deadline ? marked.filter(entry => !getEnteredAt(entry)) : []
+    };
+}
+
+class EntryDeadlineStore {
+    /**
+     * Read all saved deadlines
+     * @returns {Object} Settings keyed by workbook ID and tab name
+     */
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Build the settings key for an event tab
+     */
+    getKey(workbookId, tabName) {
+        return `${workbookId}::${tabName}`;
+    }
+
+    /**
+     * Get the deadline settings for an event tab
+     * @returns {Object|null} { deadline, lateHandling } or null if no deadline is set
+     */
+    get(workbookId, tabName) {
+        return this.readAll()[this.getKey(workbookId, tabName)] || null;
+    }
+
+    /**
+     * Save (or with a null deadline, remove) the deadline for an event tab
+     *
+     * @param {string} workbookId - Entries workbook
+     * @param {string} tabName - Event tab
+     * @param {Object|null} settings - { deadline: ISO string, lateHandling }
+     */
+    save(workbookId, tabName, settings) {
+        const all = this.readAll();
+        const key = this.getKey(workbookId, tabName);
+
+        if (settings && settings.deadline) {
+            all[key] = {
+                deadline: settings.deadline,
+                lateHandling: settings.lateHandling || LATE_HANDLING.FLAG
+            };
+        } else {
+            delete all[key];
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.warn('Failed to save entry deadline:', error);
+        }
+    }
+}
+
+// Singleton instance
+const entryDeadlineStore = new EntryDeadlineStore();
+
+// CommonJS exports for UXP
+module.exports = {
+    LATE_HANDLING,
+    parseFormTimestamp,
+    getEnteredAt,
+    applyEntryDeadline,
+    entryDeadlineStore
+};
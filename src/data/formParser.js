@@ -8,29 +8,156 @@ const {
     parsePartnerString,
     getPartnerForEvent,
     processEntriesForEvent,
-    deduplicateDoublesEntries,
     detectEventFromTabName,
     detectSportFromTabName
 } = require('./partnerParser.js');
+const { buildColumnMapping, getEventQualifier } = require('./columnMappings.js');
+const { parseFormTimestamp } = require('./entryDeadlines.js');
+const { mergeRepeatSubmissions } = require('./repeatSubmissions.js');
+const { applyPartnerDecisions } = require('./partnerReview.js');
+const { buildPeopleDirectory, resolveEntryPartner } = require('./partnerIdentity.js');
+const { reconcilePartnerClaims } = require('../matchmaking/partnerReconciliation.js');
+const { parseAvailability } = require('../matchmaking/availability.js');
+const { buildDisplayName } = require('./playerNames.js');
+const { detectHeaderRow } = require('./headerRow.js');
+
+// Checkbox answers that mean "not entered" (Sheets checkboxes write TRUE/FALSE)
+const UNTICKED_VALUES = ['false', 'no', 'n', '0', 'off', 'unchecked', 'not entering'];
+
+/**
+ * Check whether a single-sheet form row ticked an event's column
+ * Any answer other than a blank or an explicit "no" counts (TRUE, Yes, x, the event name...)
+ */
+function isEventTicked(value) {
+    const normalized = (value || '').toString().trim().toLowerCase();
+    return normalized !== '' && !UNTICKED_VALUES.includes(normalized);
+}
+
+/**
+ * Find the event checkbox column an event-specific partner column belongs to
+ * "Doubles Masters Partner" / "Partner for Doubles Masters" both match the "Doubles Masters" column
+ *
+ * @param {Object} partnerColumn - Mapping column with field 'eventPartner'
+ * @param {Array<Object>} eventColumns - Mapping columns with field 'eventChoice'
+ * @returns {Object|null} The matching event column
+ */
+function findPartnerEventColumn(partnerColumn, eventColumns) {
+    const qualifier = getEventQualifier(partnerColumn.header);
+    // A one-letter qualifier is wording noise, not an event (see namesPartnerEvent)
+    if (qualifier.length < 2) return null;
+
+    return eventColumns.find(column => getEventQualifier(column.header) === qualifier) ||
+        eventColumns.find(column => sharesQualifierWords(getEventQualifier(column.header), qualifier)) ||
+        null;
+}
+
+/**
+ * Check whether every word of one qualifier appears as a whole word in the other
+ * ("masters" and "masters 60+" do; "s" and "masters" do not)
+ */
+function sharesQualifierWords(a, b) {
+    if (!a || !b) return false;
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    const longerWords = longer.split(' ');
+    return shorter.split(' ').every(word => longerWords.includes(word));
+}
+
+/**
+ * List the events of a single-sheet form (one checkbox column per event)
+ *
+ * @param {Array<Object>} columnMapping - From buildColumnMapping
+ * @returns {Array<string>} Event names (the checkbox column headers); empty for a per-event tab
+ */
+function getFormEvents(columnMapping) {
+    return columnMapping.filter(column => column.field === 'eventChoice').map(column => column.header);
+}
+
+/**
+ * Narrow a single-sheet mapping to one event
+ * Other events' checkbox and partner columns are ignored; the event's own partner column
+ * (or, for a doubles event without one, the general partner column) becomes the partner
+ *
+ * @returns {Object} { mapping, eventColumn, isDoubles } or { error }
+ */
+function getFormEventMapping(columnMapping, formEvent) {
+    const eventColumns = columnMapping.filter(column => column.field === 'eventChoice');
+    const eventColumn = eventColumns.find(column => column.header === formEvent);
+    if (!eventColumn) {
+        return { error: `No "${formEvent}" column in the response sheet` };
+    }
+
+    const ownPartnerColumns = columnMapping.filter(column =>
+        column.field === 'eventPartner' && findPartnerEventColumn(column, eventColumns) === eventColumn
+    );
+    const isDoubles = ownPartnerColumns.length > 0 || /\bdoubles\b/i.test(formEvent);
+
+    const mapping = columnMapping.map(column => {
+        if (column.field === 'eventChoice') {
+            return { ...column, field: 'ignore' };
+        }
+        if (column.field === 'eventPartner') {
+            return { ...column, field: ownPartnerColumns.includes(column) ? 'partnerName' : 'ignore' };
+        }
+        if (column.field === 'partnerName' && (!isDoubles || ownPartnerColumns.length > 0)) {
+            return { ...column, field: 'ignore' };
+        }
+        return column;
+    });
+
+    return { mapping, eventColumn, isDoubles };
+}
 
 /**
  * Parse event tab data from Google Sheets
  * Format: First Name, Last Name, Email address, Phone Number, [Partner column for doubles]
- * Each row is an individual player
+ * Each row is an individual player. Columns are guessed from their headers unless the
+ * workbook has a saved column-mapping profile (see columnMappings.js).
+ * For a single response sheet with one checkbox column per event, pass `formEvent` to read
+ * the rows that ticked that event; the result has the same shape as a per-event tab's.
+ *
+ * @param {Array<Array>} sheetValues - Tab values; the header row is detected (titles above it are skipped)
+ * @param {string} tabName - Tab title (the event name, or the response sheet for `formEvent`)
+ * @param {string} workbookName - Workbook name for sport detection
+ * @param {Object} options - { mappingProfile, submissionChoices, partnerDecisions, rosterPlayers, formEvent }
+ *   mappingProfile / submissionChoices / partnerDecisions: saved for the workbook, if any
+ *   submissionChoices: { [eventName]: { [submission key]: rowIndex } } earlier rows restored by staff
+ *   partnerDecisions: { [eventName]: { [submission key]: decision } } partners set on the review screen
+ *   rosterPlayers: handicap roster players partners can be matched to (besides the entrants)
+ *   formEvent: event checkbox column to extract from a single response sheet
  */
-function parseEventTabData(sheetValues, tabName, workbookName = '') {
+function parseEventTabData(sheetValues, tabName, workbookName = '', options = {}) {
     if (!sheetValues || sheetValues.length === 0) {
         return { success: false, error: 'No data in sheet' };
     }
 
-    const headers = sheetValues[0];
-    const rows = sheetValues.slice(1);
+    // Headers are not always in row 1 (titles or blank rows above them)
+    const headerRowIndex = detectHeaderRow(sheetValues).index;
+    const headers = sheetValues[headerRowIndex];
+    const rows = sheetValues.slice(headerRowIndex + 1);
+    const columnMapping = buildColumnMapping(headers, options.mappingProfile || null);
+    const eventName = options.formEvent || tabName;
 
-    // Determine if this is a singles or doubles event by checking for partner column
-    const hasPartnerColumn = headers.some(h =>
-        h.toLowerCase().includes('partner') ||
-        h.toLowerCase().includes('doubles')
-    );
+    // Columns actually read for this event
+    let fieldMapping;
+    let eventColumn = null;
+    let isDoubles;
+    if (options.formEvent) {
+        const formMapping = getFormEventMapping(columnMapping, options.formEvent);
+        if (formMapping.error) {
+            return { success: false, error: formMapping.error };
+        }
+        ({ mapping: fieldMapping, eventColumn, isDoubles } = formMapping);
+    } else {
+        // On a per-event tab an event-named partner column is simply the partner column
+        fieldMapping = columnMapping.map(column => {
+            if (column.field === 'eventPartner') return { ...column, field: 'partnerName' };
+            if (column.field === 'eventChoice') return { ...column, field: 'custom' };
+            return column;
+        });
+        // Determine if this is a singles or doubles event by checking for a partner column
+        isDoubles = fieldMapping.some(column => column.field === 'partnerName');
+    }
+    const hasPartnerColumn = fieldMapping.some(column => column.field === 'partnerName');
 
     const entries = [];
 
@@ -38,7 +165,12 @@ function parseEventTabData(sheetValues, tabName, workbookName = '') {
         const row = rows[i];
 
         // Skip empty rows
-        if (!row || row.every(cell => !cell || cell.trim() === '')) {
+        if (!row || row.every(cell => !cell || cell.toString().trim() === '')) {
+            continue;
+        }
+
+        // Single response sheet: only players who ticked this event
+        if (eventColumn && !isEventTicked(row[eventColumn.index])) {
             continue;
         }
 
@@ -49,45 +181,44 @@ function parseEventTabData(sheetValues, tabName, workbookName = '') {
             email: '',
             phone: '',
             partnerName: '',
-            eventType: hasPartnerColumn ? 'doubles' : 'singles',
-            eventName: tabName, // The tab name IS the event name
-            _rowIndex: i + 2 // +2 for header row and 1-based indexing
+            submittedAt: null, // Form timestamp as an ISO string, if the tab has one
+            customFields: {}, // Mapped as custom - keyed by header
+            eventType: isDoubles ? 'doubles' : 'singles',
+            eventName, // The tab name IS the event name (or the checkbox column on a response sheet)
+            _rowIndex: headerRowIndex + i + 2 // +2 for header row and 1-based indexing
         };
 
-        // Map columns
-        headers.forEach((header, colIndex) => {
-            const normalized = header.toLowerCase().trim();
-            const value = (row[colIndex] || '').toString().trim();
-
-            if (normalized.includes('first') && normalized.includes('name')) {
-                entry.firstName = value;
-            } else if (normalized.includes('last') && normalized.includes('name')) {
-                entry.lastName = value;
-            } else if (normalized.includes('email')) {
-                entry.email = value;
-            } else if (normalized.includes('phone')) {
-                entry.phone = value;
-            } else if (normalized.includes('partner') || normalized.includes('doubles')) {
-                entry.partnerName = value;
-            } else if (
-                normalized.includes('availability') ||
-                normalized.includes('day/night') ||
-                normalized.includes('day night') ||
-                normalized.includes('session') ||
-                normalized === 'd/n' ||
-                normalized === 'dn'
-            ) {
-                const upperValue = value.toUpperCase().trim();
-                if (upperValue === 'D' || upperValue === 'DAY') {
-                    entry.availability = 'D';
-                } else if (upperValue === 'N' || upperValue === 'NIGHT') {
-                    entry.availability = 'N';
+        // Answers from every availability column are combined into one model
+        const availabilityAnswers = [];
+
+        // Map columns - when several columns share a field, the first non-blank value wins
+        fieldMapping.forEach(column => {
+            const value = (row[column.index] || '').toString().trim();
+            if (!value) return;
+
+            if (column.field === 'custom') {
+                entry.customFields[column.header] = value;
+            } else if (column.field === 'availability') {
+                availabilityAnswers.push(value);
+            } else if (column.field === 'timestamp') {
+                const submitted = entry.submittedAt ? null : parseFormTimestamp(value);
+                if (submitted) {
+                    entry.submittedAt = submitted.toISOString();
                 }
+            } else if (column.field !== 'ignore' && !entry[column.field]) {
+                entry[column.field] = value;
             }
         });
 
-        // Construct full player name
-        entry.playerName = `${entry.firstName} ${entry.lastName}`.trim();
+        // Structured availability; the Day/Night letter used for placement is derived from it
+        const referenceYear = entry.submittedAt ? new Date(entry.submittedAt).getFullYear() : undefined;
+        entry.availabilityDetail = parseAvailability(availabilityAnswers, { referenceYear });
+        if (entry.availabilityDetail?.session) {
+            entry.availability = entry.availabilityDetail.session;
+        }
+
+        // Construct full player name, cased for display ("jamie WIlson" -> "Jamie Wilson")
+        entry.playerName = buildDisplayName(entry.firstName, entry.lastName);
 
         // Only add entry if we have at least a name
         if (entry.playerName) {
@@ -95,30 +226,90 @@ function parseEventTabData(sheetValues, tabName, workbookName = '') {
         }
     }
 
-    // For doubles events, parse the partner strings and deduplicate reciprocal entries
-    let processedEntries = entries;
+    // One entry per player - the latest submission wins unless staff restored an earlier row
+    const { entries: mergedEntries, repeatSubmissions } = mergeRepeatSubmissions(
+        entries,
+        options.submissionChoices?.[eventName] || {}
+    );
+
+    // For doubles events, parse the partner strings (a general partner answer like
+    // "B: Smith; C: Jones" is split per event here); partners staff set on the review screen
+    // replace what was parsed. Partners are then matched to people and the claims reconciled
+    // into one entry per team.
+    let processedEntries = mergedEntries;
     if (hasPartnerColumn) {
-        processedEntries = processEntriesForEvent(entries, tabName);
-        processedEntries = deduplicateDoublesEntries(processedEntries);
+        processedEntries = processEntriesForEvent(mergedEntries, eventName, workbookName);
+        processedEntries = applyPartnerDecisions(processedEntries, options.partnerDecisions?.[eventName], eventName, workbookName);
+        const people = buildPeopleDirectory({ entrants: mergedEntries, rosterPlayers: options.rosterPlayers || [] });
+        processedEntries = reconcilePartnerClaims(processedEntries.map(entry => resolveEntryPartner(entry, people)));
     }
 
-    const sport = detectSportFromTabName(tabName, workbookName);
+    const sport = detectSportFromTabName(eventName, workbookName);
 
     return {
         success: true,
         entries: processedEntries,
         totalCount: processedEntries.length,
-        eventType: hasPartnerColumn ? 'doubles' : 'singles',
-        eventName: tabName,
+        eventType: isDoubles ? 'doubles' : 'singles',
+        eventName,
+        sourceTab: tabName,
         sport: sport,
-        detectedEvent: hasPartnerColumn ? detectEventFromTabName(tabName, sport) : null
+        detectedEvent: isDoubles ? detectEventFromTabName(eventName, sport) : null,
+        columnMapping,
+        headerRowIndex,
+        repeatSubmissions
     };
 }
 
+/**
+ * Parse every event tab of a workbook
+ * A single response sheet (one checkbox column per event) is split into one event per column.
+ * Tabs that fail to parse (e.g. empty tabs) are reported in `failed` rather than dropped silently
+ *
+ * @param {Object} tabs - Sheet values keyed by tab title (from sheetsAPI.getAllSheetsData)
+ * @param {string} workbookName - Workbook name for sport detection
+ * @param {Object} options - Passed to parseEventTabData ({ mappingProfile, submissionChoices, partnerDecisions, rosterPlayers })
+ * @returns {Object} { events: { [event]: parseResult }, failed: { [title]: error }, totalEntries,
+ *   formEventSources: { [event]: response sheet title } for events split out of a response sheet }
+ */
+function parseWorkbookTabs(tabs, workbookName = '', options = {}) {
+    const events = {};
+    const failed = {};
+    const formEventSources = {};
+    let totalEntries = 0;
+
+    const addEvent = (eventName, parseResult) => {
+        if (parseResult.success) {
+            events[eventName] = parseResult;
+            totalEntries += parseResult.totalCount;
+        } else {
+            failed[eventName] = parseResult.error;
+        }
+    };
+
+    Object.entries(tabs).forEach(([tabName, values]) => {
+        const headers = (values && values[detectHeaderRow(values).index]) || [];
+        const formEvents = getFormEvents(buildColumnMapping(headers, options.mappingProfile || null));
+
+        if (formEvents.length === 0) {
+            addEvent(tabName, parseEventTabData(values, tabName, workbookName, { ...options, formEvent: null }));
+            return;
+        }
+
+        formEvents.forEach(formEvent => {
+            formEventSources[formEvent] = tabName;
+            addEvent(formEvent, parseEventTabData(values, tabName, workbookName, { ...options, formEvent }));
+        });
+    });
+
+    return { events, failed, totalEntries, formEventSources };
+}
 
 // CommonJS exports for UXP
 module.exports = {
     parseEventTabData,
+    parseWorkbookTabs,
+    getFormEvents,
     // Re-export partner parsing utilities
     parsePartnerString,
     getPartnerForEvent
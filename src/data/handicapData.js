@@ -3,6 +3,9 @@
  * Loads and manages player handicap data
  */
 
+const { getNameKey, buildDisplayName } = require('./playerNames.js');
+const { detectHeaderRow } = require('./headerRow.js');
+
 /**
  * Parses a Real Tennis handicap string to a numeric value.
  *
@@ -55,7 +58,7 @@ class HandicapDataManager {
     /**
      * Load handicap data from Google Sheets values array
      * Format: Singles HCAP, Doubles HCAP, Last Name, First Name, Email
-     * First row is headers
+     * The header row is detected (rows above it, e.g. a title, are skipped)
      */
     loadFromSheetValues(sheetValues) {
         try {
@@ -63,8 +66,9 @@ class HandicapDataManager {
                 throw new Error('No data in sheet');
             }
 
-            const headers = sheetValues[0];
-            const rows = sheetValues.slice(1);
+            const headerRowIndex = detectHeaderRow(sheetValues).index;
+            const headers = sheetValues[headerRowIndex].map(header => (header || '').toString());
+            const rows = sheetValues.slice(headerRowIndex + 1);
             const players = [];
 
             for (let i = 0; i < rows.length; i++) {
@@ -104,7 +108,7 @@ class HandicapDataManager {
                 });
 
                 // Construct full name
-                player.name = `${player.firstName} ${player.lastName}`.trim();
+                player.name = buildDisplayName(player.firstName, player.lastName);
 
                 // Only add if we have a name
                 if (player.name) {
@@ -221,6 +225,18 @@ class HandicapDataManager {
         return player;
     }
 
+    /**
+     * Find player by exact name key or email only (no fuzzy matching)
+     */
+    findExactPlayer(name, email = '') {
+        const player = this.playerIndex.get(this.normalizeName(name));
+        if (player) return player;
+
+        const normalizedEmail = (email || '').toString().trim().toLowerCase();
+        if (!normalizedEmail) return null;
+        return this.players.find(p => (p.email || '').toLowerCase() === normalizedEmail) || null;
+    }
+
     /**
      * Fuzzy find player (handles typos, formatting differences)
      */
@@ -253,14 +269,10 @@ class HandicapDataManager {
     }
 
     /**
-     * Normalize name for comparison
+     * Normalize name for comparison (see playerNames.getNameKey)
      */
     normalizeName(name) {
-        return name
-            .toLowerCase()
-            .trim()
-            .replace(/[^a-z\s]/g, '') // Remove non-letters except spaces
-            .replace(/\s+/g, ' '); // Normalize spaces
+        return getNameKey(name);
     }
 
     /**
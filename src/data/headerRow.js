@@ -0,0 +1,60 @@
+/**
+ * Header Row Detection
+ * Sheets do not always start with their headers - a roster may have a title or blank
+ * row on top. Candidate rows near the top are scored and the best one is used.
+ */
+
+// Only the first few rows are considered as headers
+const MAX_HEADER_SCAN_ROWS = 10;
+
+// Words that appear in entry-form and roster headers
+const HEADER_KEYWORDS = [
+    'name', 'first', 'last', 'email', 'phone', 'partner', 'hcap', 'handicap',
+    'timestamp', 'availab', 'singles', 'doubles', 'member', 'event'
+];
+
+/**
+ * Score how much a row looks like a header row
+ * Header words score highest; values that look like data (emails, numbers, dates) count against it.
+ * Rows with fewer than two filled cells (titles, blank rows) score 0.
+ *
+ * @param {Array} row - Row values
+ * @returns {number} Score (higher = more header-like)
+ */
+function scoreHeaderRow(row) {
+    const cells = (row || []).map(cell => (cell === null || cell === undefined ? '' : cell.toString().trim()));
+    const filled = cells.filter(cell => cell !== '');
+    if (filled.length < 2) return 0;
+
+    return filled.reduce((score, cell) => {
+        const lower = cell.toLowerCase();
+        if (/@/.test(lower) || /^[+-]?\d[\d.,:/\s-]*$/.test(lower)) return score - 1;
+        if (HEADER_KEYWORDS.some(keyword => lower.includes(keyword))) return score + 3;
+        return score + 1;
+    }, 0);
+}
+
+/**
+ * Find the header row of a sheet
+ *
+ * @param {Array<Array>} values - Sheet values
+ * @returns {Object} { index, score } - index 0 when no row looks like a header
+ */
+function detectHeaderRow(values) {
+    let best = { index: 0, score: 0 };
+
+    (values || []).slice(0, MAX_HEADER_SCAN_ROWS).forEach((row, index) => {
+        const score = scoreHeaderRow(row);
+        if (score > best.score) {
+            best = { index, score };
+        }
+    });
+
+    return best;
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    scoreHeaderRow,
+    detectHeaderRow
+};
@@ -0,0 +1,248 @@
+/**
+ * Local File Parser
+ * Reads CSV exports and XLSX workbooks into the same 2D values arrays the Sheets API returns,
+ * so local files can run through parseEventTabData and HandicapDataManager.loadFromSheetValues
+ */
+
+const { unzipSync, strFromU8 } = require('fflate');
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded newlines)
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip UTF-8 byte order mark (Google Sheets CSV exports include one)
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (char === '\r' && input[i + 1] === '\n') i++;
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line without a trailing newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Decode the XML entities used in XLSX parts
+ */
+function decodeXmlEntities(str) {
+    return str
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the value of an XML attribute from a tag's attribute text
+ */
+function getXmlAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+    return match ? decodeXmlEntities(match[1]) : null;
+}
+
+/**
+ * Concatenate all <t> text runs inside an XML fragment (handles rich text)
+ */
+function extractTextRuns(xml) {
+    let text = '';
+    const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        text += decodeXmlEntities(match[1]);
+    }
+    return text;
+}
+
+/**
+ * Convert a column reference ("A", "AB") to a zero-based index
+ */
+function columnIndexFromRef(ref) {
+    const letters = ref.replace(/\d+$/, '').toUpperCase();
+    let index = 0;
+    for (let i = 0; i < letters.length; i++) {
+        index = index * 26 + (letters.charCodeAt(i) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Parse one worksheet XML part into rows of display strings
+ */
+function parseWorksheetXml(xml, sharedStrings) {
+    const rows = [];
+    const rowPattern = /<row\b([^>]*)>([\s\S]*?)<\/row>/g;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(xml)) !== null) {
+        const rowNumber = parseInt(getXmlAttribute(rowMatch[1], 'r'), 10) || rows.length + 1;
+        const cells = [];
+        const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cellMatch;
+
+        while ((cellMatch = cellPattern.exec(rowMatch[2])) !== null) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const ref = getXmlAttribute(attributes, 'r');
+            const type = getXmlAttribute(attributes, 't');
+            const colIndex = ref ? columnIndexFromRef(ref) : cells.length;
+
+            const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+            const rawValue = valueMatch ? decodeXmlEntities(valueMatch[1]) : '';
+
+            let value;
+            if (type === 's') {
+                value = sharedStrings[parseInt(rawValue, 10)] || '';
+            } else if (type === 'inlineStr') {
+                value = extractTextRuns(body);
+            } else if (type === 'b') {
+                value = rawValue === '1' ? 'TRUE' : 'FALSE';
+            } else {
+                value = rawValue;
+            }
+
+            cells[colIndex] = value;
+        }
+
+        // Fill sparse cells and drop trailing blanks so rows match what the Sheets API returns
+        for (let i = 0; i < cells.length; i++) {
+            if (cells[i] === undefined) cells[i] = '';
+        }
+        while (cells.length > 0 && cells[cells.length - 1] === '') {
+            cells.pop();
+        }
+        rows[rowNumber - 1] = cells;
+    }
+
+    for (let i = 0; i < rows.length; i++) {
+        if (rows[i] === undefined) rows[i] = [];
+    }
+    return rows;
+}
+
+/**
+ * Parse an XLSX workbook into tabs of sheet values
+ *
+ * @param {ArrayBuffer|Uint8Array} data - XLSX file contents
+ * @returns {Object} { sheetTitles: string[], tabs: { [title]: values } } in workbook order
+ */
+function parseXLSX(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const files = unzipSync(bytes);
+    const readPart = (path) => (files[path] ? strFromU8(files[path]) : null);
+
+    const workbookXml = readPart('xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('Not a valid XLSX file (missing xl/workbook.xml)');
+    }
+
+    // Map relationship IDs to worksheet part paths
+    const relsXml = readPart('xl/_rels/workbook.xml.rels') || '';
+    const targets = {};
+    const relPattern = /<Relationship\b([^>]*)\/?>/g;
+    let relMatch;
+    while ((relMatch = relPattern.exec(relsXml)) !== null) {
+        const id = getXmlAttribute(relMatch[1], 'Id');
+        const target = getXmlAttribute(relMatch[1], 'Target');
+        if (id && target) {
+            targets[id] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+    }
+
+    // Shared string table
+    const sharedStrings = [];
+    const sharedXml = readPart('xl/sharedStrings.xml') || '';
+    const siPattern = /<si>([\s\S]*?)<\/si>/g;
+    let siMatch;
+    while ((siMatch = siPattern.exec(sharedXml)) !== null) {
+        sharedStrings.push(extractTextRuns(siMatch[1]));
+    }
+
+    const sheetTitles = [];
+    const tabs = {};
+    const sheetPattern = /<sheet\b([^>]*)\/?>/g;
+    let sheetMatch;
+    while ((sheetMatch = sheetPattern.exec(workbookXml)) !== null) {
+        const title = getXmlAttribute(sheetMatch[1], 'name');
+        const relId = getXmlAttribute(sheetMatch[1], 'r:id');
+        const sheetXml = relId && targets[relId] ? readPart(targets[relId]) : null;
+
+        if (title && sheetXml) {
+            sheetTitles.push(title);
+            tabs[title] = parseWorksheetXml(sheetXml, sharedStrings);
+        }
+    }
+
+    return { sheetTitles, tabs };
+}
+
+/**
+ * Split a Google Sheets CSV export name ("{Workbook} - {Tab}.csv") into workbook and tab names
+ *
+ * @param {string} fileName - CSV file name
+ * @returns {Object} { workbookName, tabName }
+ */
+function splitCsvExportName(fileName) {
+    const baseName = fileName.replace(/\.csv$/i, '');
+    const separatorIndex = baseName.lastIndexOf(' - ');
+
+    if (separatorIndex === -1) {
+        return { workbookName: baseName, tabName: baseName };
+    }
+
+    return {
+        workbookName: baseName.slice(0, separatorIndex),
+        tabName: baseName.slice(separatorIndex + 3)
+    };
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    parseCSV,
+    parseXLSX,
+    splitCsvExportName
+};
@@ -0,0 +1,151 @@
+/**
+ * Membership
+ * Tags entrants and their partners as club members, guests or unknown, since eligibility
+ * and fees differ for guests. A membership list workbook is used when one is loaded;
+ * otherwise the handicap roster stands in for it.
+ */
+
+const { getNameKey } = require('./playerNames.js');
+const { detectHeaderRow } = require('./headerRow.js');
+const { getNamedPartner } = require('./partnerParser.js');
+
+const MEMBERSHIP_STATUS = {
+    MEMBER: 'member',
+    GUEST: 'guest',
+    UNKNOWN: 'unknown'
+};
+
+class MembershipList {
+    constructor() {
+        this.nameKeys = new Set();
+        this.emails = new Set();
+        this.isLoaded = false;
+    }
+
+    /**
+     * Load members from sheet values
+     * Format: a Name column, or First Name and Last Name columns, plus optional Email
+     * The header row is detected (rows above it, e.g. a title, are skipped)
+     */
+    loadFromSheetValues(sheetValues) {
+        try {
+            if (!sheetValues || sheetValues.length === 0) {
+                throw new Error('No data in sheet');
+            }
+
+            const headerRowIndex = detectHeaderRow(sheetValues).index;
+            const headers = sheetValues[headerRowIndex].map(header => (header || '').toString().toLowerCase().trim());
+            const findColumn = test => headers.findIndex(test);
+            const firstColumn = findColumn(h => h.includes('first') && h.includes('name'));
+            const lastColumn = findColumn(h => h.includes('last') && h.includes('name'));
+            const nameColumn = findColumn(h => h.includes('name') && !h.includes('first') && !h.includes('last'));
+            const emailColumn = findColumn(h => h.includes('email'));
+
+            if (firstColumn < 0 && lastColumn < 0 && nameColumn < 0) {
+                throw new Error('No name column in membership list');
+            }
+
+            this.nameKeys.clear();
+            this.emails.clear();
+
+            sheetValues.slice(headerRowIndex + 1).forEach(row => {
+                const cell = index => (index >= 0 && row[index] ? row[index].toString().trim() : '');
+                const name = cell(nameColumn) || `${cell(firstColumn)} ${cell(lastColumn)}`;
+                const key = getNameKey(name);
+                if (key) this.nameKeys.add(key);
+
+                const email = cell(emailColumn).toLowerCase();
+                if (email) this.emails.add(email);
+            });
+
+            this.isLoaded = true;
+            return { success: true, memberCount: this.nameKeys.size };
+        } catch (error) {
+            console.error('Failed to load membership list:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check whether a name or email is on the list
+     */
+    has(name, email = '') {
+        const normalizedEmail = (email || '').toString().trim().toLowerCase();
+        return this.nameKeys.has(getNameKey(name)) || (!!normalizedEmail && this.emails.has(normalizedEmail));
+    }
+
+    /**
+     * Clear all data
+     */
+    clear() {
+        this.nameKeys.clear();
+        this.emails.clear();
+        this.isLoaded = false;
+    }
+}
+
+/**
+ * Work out a player's membership status
+ * - Membership list loaded: on it = member, otherwise guest
+ * - Handicap roster only: exact name/email = member, close match only = unknown, no match = guest
+ * - Neither loaded: unknown
+ *
+ * @param {string} name - Player name
+ * @param {string} email - Player email, if known
+ * @param {Object} sources - { members: MembershipList, roster: HandicapDataManager }
+ * @returns {Object} { status, note }
+ */
+function getMembershipStatus(name, email, sources) {
+    const { members, roster } = sources;
+
+    if (members && members.isLoaded) {
+        return members.has(name, email)
+            ? { status: MEMBERSHIP_STATUS.MEMBER, note: '' }
+            : { status: MEMBERSHIP_STATUS.GUEST, note: 'Not on the membership list' };
+    }
+
+    if (roster && roster.isLoaded) {
+        if (roster.findExactPlayer(name, email)) {
+            return { status: MEMBERSHIP_STATUS.MEMBER, note: '' };
+        }
+        const closeMatch = roster.findPlayer(name);
+        return closeMatch
+            ? { status: MEMBERSHIP_STATUS.UNKNOWN, note: `Close roster match: ${closeMatch.name}` }
+            : { status: MEMBERSHIP_STATUS.GUEST, note: 'Not on the club roster' };
+    }
+
+    return { status: MEMBERSHIP_STATUS.UNKNOWN, note: 'No roster loaded' };
+}
+
+/**
+ * Tag an entry and its partner with membership status
+ * The partner is only tagged when one is named for this event (not TBD)
+ *
+ * @param {Object} entry - Parsed entry
+ * @param {Object} sources - See getMembershipStatus
+ * @returns {Object} Entry with membership, membershipNote, partnerMembership, partnerMembershipNote
+ */
+function tagMembership(entry, sources) {
+    const player = getMembershipStatus(entry.playerName, entry.email, sources);
+    const partnerName = getNamedPartner(entry);
+    const partner = partnerName ? getMembershipStatus(partnerName, '', sources) : null;
+
+    return {
+        ...entry,
+        membership: player.status,
+        membershipNote: player.note,
+        partnerMembership: partner ? partner.status : null,
+        partnerMembershipNote: partner ? partner.note : ''
+    };
+}
+
+// Singleton instance
+const membershipList = new MembershipList();
+
+// CommonJS exports for UXP
+module.exports = {
+    MEMBERSHIP_STATUS,
+    getMembershipStatus,
+    tagMembership,
+    membershipList
+};
@@ -0,0 +1,310 @@
+/**
+ * Partner Identity
+ * Matches the partner named in a doubles entry to a known person - another entrant of the
+ * event or a player on the handicap roster - so a team is built from two real people rather
+ * than free text. Email, exact name, nickname ("Jim" for "James") and close spellings are
+ * tried; when several people fit about as well, the ranked candidates are returned instead.
+ */
+
+const { getNameKey, formatDisplayName } = require('./playerNames.js');
+const { getNamedPartner } = require('./partnerParser.js');
+
+const IDENTITY_STATUS = {
+    RESOLVED: 'resolved',
+    AMBIGUOUS: 'ambiguous',
+    UNRESOLVED: 'unresolved'
+};
+
+// Best match needs at least this score, and this lead over the next one, to be taken
+// (an exact name is always taken)
+const RESOLVE_MIN_SCORE = 0.75;
+const RESOLVE_MIN_LEAD = 0.15;
+
+// Weaker matches are only offered as candidates
+const CANDIDATE_MIN_SCORE = 0.5;
+const MAX_CANDIDATES = 5;
+
+// First names that are the same person ("Bob Smith" entered as "Robert Smith")
+const NICKNAME_GROUPS = [
+    ['robert', 'rob', 'robbie', 'bob', 'bobby', 'bert'],
+    ['william', 'will', 'bill', 'billy', 'willie', 'liam'],
+    ['james', 'jim', 'jimmy', 'jamie', 'jas'],
+    ['john', 'jack', 'johnny', 'jon'],
+    ['jonathan', 'jon', 'jonny'],
+    ['michael', 'mike', 'mikey', 'mick'],
+    ['richard', 'rick', 'ricky', 'rich', 'dick'],
+    ['edward', 'ed', 'eddie', 'ted', 'teddy', 'ned'],
+    ['theodore', 'theo', 'ted', 'teddy'],
+    ['thomas', 'tom', 'tommy'],
+    ['charles', 'charlie', 'chuck', 'chas'],
+    ['christopher', 'chris', 'kit'],
+    ['nicholas', 'nick', 'nicky'],
+    ['alexander', 'alex', 'sandy', 'xander'],
+    ['andrew', 'andy', 'drew'],
+    ['anthony', 'tony'],
+    ['benjamin', 'ben', 'benji'],
+    ['daniel', 'dan', 'danny'],
+    ['david', 'dave', 'davey'],
+    ['douglas', 'doug'],
+    ['frederick', 'fred', 'freddie'],
+    ['gregory', 'greg'],
+    ['henry', 'hank', 'harry', 'hal'],
+    ['harold', 'harry', 'hal'],
+    ['joseph', 'joe', 'joey'],
+    ['kenneth', 'ken', 'kenny'],
+    ['lawrence', 'larry'],
+    ['matthew', 'matt'],
+    ['nathaniel', 'nathan', 'nate'],
+    ['patrick', 'pat', 'paddy'],
+    ['peter', 'pete'],
+    ['philip', 'phil'],
+    ['samuel', 'sam', 'sammy'],
+    ['stephen', 'steven', 'steve'],
+    ['timothy', 'tim', 'timmy'],
+    ['walter', 'walt'],
+    ['elizabeth', 'liz', 'lizzie', 'beth', 'betsy', 'eliza', 'libby'],
+    ['katherine', 'catherine', 'kate', 'katie', 'kathy', 'cathy', 'kat'],
+    ['margaret', 'maggie', 'meg', 'peggy', 'margo'],
+    ['jennifer', 'jen', 'jenny'],
+    ['susan', 'sue', 'susie'],
+    ['patricia', 'pat', 'patty', 'trish'],
+    ['victoria', 'vicky', 'tori'],
+    ['alexandra', 'alex', 'alexa', 'sandra', 'sandy'],
+    ['deborah', 'debbie', 'deb'],
+    ['rebecca', 'becky', 'becca']
+];
+
+// Name-key suffixes ignored when picking a surname ("smith jr" -> "smith")
+const KEY_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv'];
+
+const EMAIL_PATTERN = /[^\s@<>(),;]+@[^\s@<>(),;]+\.[a-z]{2,}/i;
+
+/**
+ * Check whether two first names can be the same person (equal or nicknames of each other)
+ */
+function isSameFirstName(a, b) {
+    if (!a || !b) return false;
+    if (a === b) return true;
+    return NICKNAME_GROUPS.some(group => group.includes(a) && group.includes(b));
+}
+
+/**
+ * Count the edits (insert, delete, substitute) between two strings
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Split a name key into first name, surname and all words
+ */
+function splitNameKey(key) {
+    const words = key.split(' ').filter(Boolean);
+    const nameWords = words.length > 1 && KEY_SUFFIXES.includes(words[words.length - 1])
+        ? words.slice(0, -1)
+        : words;
+    return {
+        words,
+        first: nameWords.length > 1 ? nameWords[0] : '',
+        last: nameWords[nameWords.length - 1] || ''
+    };
+}
+
+/**
+ * Score how well a partner answer names a person
+ * The answer may hold more than the name ("Stein. James Crandell"), so the person's first
+ * name and surname are looked for among its words as well as compared as a whole.
+ *
+ * @param {string} queryKey - Name key of the partner answer
+ * @param {string} personKey - Name key of the candidate
+ * @returns {Object} { score: 0-1, reason }
+ */
+function scoreNameMatch(queryKey, personKey) {
+    if (!queryKey || !personKey) return { score: 0, reason: '' };
+    if (queryKey === personKey) return { score: 1, reason: 'Same name' };
+
+    const query = splitNameKey(queryKey);
+    const person = splitNameKey(personKey);
+    const hasWord = word => query.words.includes(word);
+    const matches = [];
+
+    if (person.first && hasWord(person.last)) {
+        const twoWordQuery = query.words.length === 2;
+        if (hasWord(person.first)) {
+            matches.push({ score: 0.85, reason: 'Name found in answer' });
+        } else if (query.words.some(word => isSameFirstName(word, person.first))) {
+            matches.push({ score: twoWordQuery ? 0.9 : 0.8, reason: 'Nickname' });
+        } else if (query.words.some(word => word.length === 1 && word === person.first.charAt(0))) {
+            matches.push({ score: 0.75, reason: 'Initial and surname' });
+        } else if (twoWordQuery && query.first && editDistance(query.first, person.first) <= 1) {
+            matches.push({ score: 0.8, reason: 'Close spelling' });
+        } else {
+            matches.push({ score: query.words.length === 1 ? 0.6 : 0.5, reason: 'Same surname' });
+        }
+    }
+
+    // Typos across the whole name ("Jamie Wilsen")
+    const allowedEdits = personKey.length > 10 ? 2 : 1;
+    if (personKey.length > 5 && editDistance(queryKey, personKey) <= allowedEdits) {
+        matches.push({ score: 0.8, reason: 'Close spelling' });
+    }
+
+    return matches.reduce((best, match) => match.score > best.score ? match : best, { score: 0, reason: '' });
+}
+
+/**
+ * Build the people a partner can be matched to
+ * Entrants and roster players with the same name key or email are one person; every name
+ * they go by is kept ("Carter Clarke" on the form, "George Carter Clarke" on the roster)
+ *
+ * @param {Object} sources - { entrants: [entry], rosterPlayers: [player from handicapData] }
+ * @returns {Object} { people: [{ key, keys, name, emails, sources, rosterPlayer }], byKey: Map, byEmail: Map }
+ */
+function buildPeopleDirectory(sources) {
+    const people = [];
+    const byKey = new Map();
+    const byEmail = new Map();
+
+    const addPerson = (name, email, source, rosterPlayer = null) => {
+        const key = getNameKey(name);
+        if (!key) return;
+
+        const normalizedEmail = (email || '').toString().trim().toLowerCase();
+        let person = byKey.get(key) || (normalizedEmail ? byEmail.get(normalizedEmail) : null);
+        if (!person) {
+            person = { key, keys: [], name: formatDisplayName(name), emails: [], sources: [], rosterPlayer: null };
+            people.push(person);
+        }
+
+        if (!person.keys.includes(key)) {
+            person.keys.push(key);
+            if (!byKey.has(key)) byKey.set(key, person);
+        }
+
+        if (normalizedEmail && !person.emails.includes(normalizedEmail)) {
+            person.emails.push(normalizedEmail);
+            byEmail.set(normalizedEmail, person);
+        }
+        if (!person.sources.includes(source)) person.sources.push(source);
+        if (rosterPlayer && !person.rosterPlayer) person.rosterPlayer = rosterPlayer;
+    };
+
+    (sources.rosterPlayers || []).forEach(player => addPerson(player.name, player.email, 'roster', player));
+    (sources.entrants || []).forEach(entry => addPerson(entry.playerName, entry.email, 'entrant'));
+
+    return { people, byKey, byEmail };
+}
+
+/**
+ * Resolve a partner answer to a person
+ *
+ * @param {string} partnerText - Partner as named for the event (may include an email)
+ * @param {Object} directory - From buildPeopleDirectory
+ * @param {Object} options - { excludeKey } name key of the entrant (never their own partner)
+ * @returns {Object} { status, person, candidates: [{ person, score, reason }] } - person is set
+ *   only when resolved; candidates are ranked best first
+ */
+function resolvePartnerIdentity(partnerText, directory, options = {}) {
+    const text = (partnerText || '').toString();
+    const unresolved = { status: IDENTITY_STATUS.UNRESOLVED, person: null, candidates: [] };
+    const isOtherPerson = person => person.key !== options.excludeKey;
+
+    // An email address identifies the partner outright
+    const emailMatch = text.match(EMAIL_PATTERN);
+    if (emailMatch) {
+        const person = directory.byEmail.get(emailMatch[0].toLowerCase());
+        if (person && isOtherPerson(person)) {
+            return { status: IDENTITY_STATUS.RESOLVED, person, candidates: [{ person, score: 1, reason: 'Same email' }] };
+        }
+    }
+
+    // Initials run into the surname ("P.Pell") are separate words
+    const queryKey = getNameKey(text.replace(EMAIL_PATTERN, ' ').replace(/\./g, '. '));
+    if (!queryKey) return unresolved;
+
+    const candidates = directory.people
+        .filter(isOtherPerson)
+        .map(person => ({
+            person,
+            ...person.keys
+                .map(key => scoreNameMatch(queryKey, key))
+                .reduce((best, match) => match.score > best.score ? match : best)
+        }))
+        .filter(candidate => candidate.score >= CANDIDATE_MIN_SCORE)
+        .sort((a, b) => b.score - a.score || a.person.name.localeCompare(b.person.name))
+        .slice(0, MAX_CANDIDATES);
+
+    if (candidates.length === 0) return unresolved;
+
+    const [best, next] = candidates;
+    const isClearBest = best.score === 1 ||
+        (best.score >= RESOLVE_MIN_SCORE && (!next || best.score - next.score >= RESOLVE_MIN_LEAD));
+    return isClearBest
+        ? { status: IDENTITY_STATUS.RESOLVED, person: best.person, candidates }
+        : { status: IDENTITY_STATUS.AMBIGUOUS, person: null, candidates };
+}
+
+/**
+ * Get the key of the person an entrant is (by email first, then name)
+ *
+ * @param {Object} directory - From buildPeopleDirectory
+ * @returns {string} Person key ('' for a blank name)
+ */
+function getPersonKey(directory, name, email = '') {
+    const normalizedEmail = (email || '').toString().trim().toLowerCase();
+    const person = (normalizedEmail && directory.byEmail.get(normalizedEmail)) || directory.byKey.get(getNameKey(name));
+    return person ? person.key : getNameKey(name);
+}
+
+/**
+ * Resolve an entry's partner for its event
+ * A resolved partner replaces the typed name with the person's name (the answer as
+ * submitted is kept in partnerAnswer). Every doubles entry gets playerKey and partnerKey,
+ * the people the team is made of ('' partnerKey when no partner is named).
+ *
+ * @param {Object} entry - Parsed doubles entry
+ * @param {Object} directory - From buildPeopleDirectory
+ * @returns {Object} Entry with playerKey, partnerKey and partnerIdentity ({ status, person, candidates })
+ */
+function resolveEntryPartner(entry, directory) {
+    if (entry.eventType !== 'doubles') return entry;
+
+    const playerKey = getPersonKey(directory, entry.playerName, entry.email);
+    const partnerName = getNamedPartner(entry);
+    if (!partnerName) return { ...entry, playerKey, partnerKey: '' };
+
+    const identity = resolvePartnerIdentity(partnerName, directory, { excludeKey: playerKey });
+    if (identity.status !== IDENTITY_STATUS.RESOLVED) {
+        return { ...entry, playerKey, partnerKey: getNameKey(partnerName), partnerIdentity: identity };
+    }
+
+    const name = identity.person.name;
+    return {
+        ...entry,
+        partnerAnswer: entry.partnerAnswer !== undefined ? entry.partnerAnswer : entry.partnerName,
+        partnerName: name,
+        parsedPartner: entry.parsedPartner ? { ...entry.parsedPartner, partnerName: name } : entry.parsedPartner,
+        playerKey,
+        partnerKey: identity.person.key,
+        partnerIdentity: identity
+    };
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    IDENTITY_STATUS,
+    scoreNameMatch,
+    buildPeopleDirectory,
+    resolvePartnerIdentity,
+    getPersonKey,
+    resolveEntryPartner
+};
@@ -4,6 +4,8 @@
  * Handles various user input formats for doubles partner listings
  */
 
+const { formatDisplayName } = require('./playerNames.js');
+
 /**
  * Event alias mappings for each sport's doubles events
  * Maps user input variations to canonical event names
@@ -191,8 +193,8 @@ function detectEventFromTabName(tabName, sport) {
         return aliases['century'] || null;
     }
 
-    // Check for class numbers (1st, 2nd, etc.)
-    const classMatch = normalized.match(/(\d+)(?:st|nd|rd|th)?\s*class/i);
+    // Check for class numbers (1st, 2nd, etc.) - "Doubles 1st" tabs leave out "class"
+    const classMatch = normalized.match(/(\d+)(?:(?:st|nd|rd|th)\b|(?:st|nd|rd|th)?\s*class)/i);
     if (classMatch) {
         return aliases[classMatch[1]] || null;
     }
@@ -268,14 +270,15 @@ function resolveEventAlias(alias, sport) {
  *
  * @param {string} partnerString - The raw partner response from the form
  * @param {string} tabName - The tab/event name for context
+ * @param {string} workbookName - Workbook name, which names the sport ("Tennis Events")
  * @returns {Object} Parsed result with partners array and metadata
  */
-function parsePartnerString(partnerString, tabName) {
+function parsePartnerString(partnerString, tabName, workbookName = '') {
     const result = {
         partners: [],        // Array of { event, partnerName, isTBD, confidence }
         rawInput: partnerString,
         tabName: tabName,
-        sport: detectSportFromTabName(tabName),
+        sport: detectSportFromTabName(tabName, workbookName),
         currentEvent: null,
         warnings: [],
         hasAmbiguity: false
@@ -922,8 +925,11 @@ function cleanPartnerName(name) {
     // Normalize whitespace
     cleaned = cleaned.replace(/\s+/g, ' ').trim();
 
-    // Capitalize properly if all lowercase or all uppercase
-    if (cleaned === cleaned.toLowerCase() || cleaned === cleaned.toUpperCase()) {
+    // A plain name is cased the same way as entrant names ("Jamie WIlson" -> "Jamie Wilson");
+    // anything else (event notes, several names) is left as typed unless it is all one case
+    if (/^[^\d,;:&()?]+$/.test(cleaned) && cleaned.split(' ').length <= 4) {
+        cleaned = formatDisplayName(cleaned);
+    } else if (cleaned === cleaned.toLowerCase() || cleaned === cleaned.toUpperCase()) {
         cleaned = cleaned.split(' ').map(word =>
             word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
         ).join(' ');
@@ -954,18 +960,28 @@ function getPartnerForEvent(parsedResult, targetEvent) {
     return null;
 }
 
+/**
+ * Get the partner named for an entry's event ('' when none or TBD)
+ * Doubles entries carry parsedPartner; the raw answer is only used when it was never parsed
+ */
+function getNamedPartner(entry) {
+    if (!('parsedPartner' in entry)) return entry.partnerName || '';
+    return entry.parsedPartner && !entry.parsedPartner.isTBD ? (entry.parsedPartner.partnerName || '') : '';
+}
+
 /**
  * Process all entries and extract event-specific partners
  *
  * @param {Array} entries - Array of player entries with raw partnerName
  * @param {string} tabName - The current tab/event being processed
+ * @param {string} workbookName - Workbook name, for the sport (tab names rarely say it)
  * @returns {Array} Entries with parsedPartner field added
  */
-function processEntriesForEvent(entries, tabName) {
-    const currentEvent = detectEventFromTabName(tabName, detectSportFromTabName(tabName));
+function processEntriesForEvent(entries, tabName, workbookName = '') {
+    const currentEvent = detectEventFromTabName(tabName, detectSportFromTabName(tabName, workbookName));
 
     return entries.map(entry => {
-        const parsed = parsePartnerString(entry.partnerName || '', tabName);
+        const parsed = parsePartnerString(entry.partnerName || '', tabName, workbookName);
         const partnerForEvent = getPartnerForEvent(parsed, currentEvent);
 
         return {
@@ -978,49 +994,12 @@ function processEntriesForEvent(entries, tabName) {
     });
 }
 
-/**
- * Deduplicates doubles entries where both partners submitted forms
- *
- * When both partners submit (e.g., "John Smith" lists "Jane Doe" and
- * "Jane Doe" lists "John Smith"), this keeps only the first occurrence.
- * The first submitter's data (including availability) is preserved.
- *
- * @param {Array} entries - Array of parsed doubles entries
- * @returns {Array} Deduplicated entries (one per team)
- */
-function deduplicateDoublesEntries(entries) {
-    const seen = new Set();
-    const deduplicated = [];
-
-    for (const entry of entries) {
-        // Create canonical team key (alphabetically sorted names)
-        const player = (entry.playerName || '').toLowerCase().trim();
-        const partner = (entry.partnerName || '').toLowerCase().trim();
-
-        // If missing player or partner, keep entry as-is (will be caught by validation)
-        if (!player || !partner) {
-            deduplicated.push(entry);
-            continue;
-        }
-
-        const teamKey = [player, partner].sort().join('|');
-
-        if (!seen.has(teamKey)) {
-            seen.add(teamKey);
-            deduplicated.push(entry);  // First submitter's entry wins
-        }
-        // Skip duplicate (second partner's submission)
-    }
-
-    return deduplicated;
-}
-
 // Export for CommonJS (UXP)
 module.exports = {
     parsePartnerString,
     getPartnerForEvent,
+    getNamedPartner,
     processEntriesForEvent,
-    deduplicateDoublesEntries,
     detectSportFromTabName,
     detectEventFromTabName,
     resolveEventAlias,
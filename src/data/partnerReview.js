@@ -0,0 +1,265 @@
+/**
+ * Partner Review
+ * Doubles partner answers the parser could not read with confidence (ambiguous, low
+ * confidence, TBD, no partner for this event, a name that fits several people, or a
+ * partner whose own entry does not agree) are listed for staff to check. The partner
+ * and event staff choose are saved per workbook and applied whenever the entries are parsed.
+ */
+
+const { detectSportFromTabName, detectEventFromTabName, isTBDEntry, EVENT_ALIASES } = require('./partnerParser.js');
+const { getSubmissionKey } = require('./repeatSubmissions.js');
+const { getNameKey, formatDisplayName } = require('./playerNames.js');
+const { IDENTITY_STATUS } = require('./partnerIdentity.js');
+const { CLAIM_STATUS } = require('../matchmaking/partnerReconciliation.js');
+
+const STORAGE_KEY = 'rtc-partner-decisions';
+
+const REVIEW_REASONS = {
+    AMBIGUOUS: 'ambiguous',
+    LOW_CONFIDENCE: 'low-confidence',
+    TBD: 'tbd',
+    MISSING: 'missing',
+    UNCLEAR_PERSON: 'unclear-person',
+    CONFLICT: 'conflict',
+    ONE_SIDED: 'one-sided'
+};
+
+const REVIEW_REASON_LABELS = {
+    [REVIEW_REASONS.AMBIGUOUS]: 'Ambiguous answer',
+    [REVIEW_REASONS.LOW_CONFIDENCE]: 'Unsure match',
+    [REVIEW_REASONS.TBD]: 'Partner TBD',
+    [REVIEW_REASONS.MISSING]: 'No partner for this event',
+    [REVIEW_REASONS.UNCLEAR_PERSON]: 'Could be several people',
+    [REVIEW_REASONS.CONFLICT]: 'Partner named someone else',
+    [REVIEW_REASONS.ONE_SIDED]: 'Partner did not name them'
+};
+
+/**
+ * Get the canonical event that partner answers on a tab are read for
+ * (the same lookup processEntriesForEvent uses)
+ *
+ * @param {string} tabName - Event tab (or event of a single response sheet)
+ * @param {string} workbookName - Workbook name, which names the sport ("Tennis Events")
+ * @returns {string|null} Canonical event name, or null if the tab name is not recognized
+ */
+function getPartnerEvent(tabName, workbookName = '') {
+    return detectEventFromTabName(tabName, detectSportFromTabName(tabName, workbookName));
+}
+
+/**
+ * Get the events a partner can be assigned to from a tab
+ *
+ * @param {string} tabName - Event tab
+ * @param {string} workbookName - Workbook name, for the sport's events (tab names rarely say it)
+ * @returns {Array} [{ value, text }] - the tab's own event first; value null when it is not recognized
+ */
+function getPartnerEventChoices(tabName, workbookName = '') {
+    const currentEvent = getPartnerEvent(tabName, workbookName);
+    const aliases = EVENT_ALIASES[detectSportFromTabName(tabName, workbookName)] || EVENT_ALIASES.squash;
+    const otherEvents = Array.from(new Set(Object.values(aliases))).filter(event => event !== currentEvent);
+
+    return [
+        { value: currentEvent, text: `${currentEvent || tabName} (this event)` },
+        ...otherEvents.map(event => ({ value: event, text: event }))
+    ];
+}
+
+/**
+ * Get the reasons a doubles entry's partner needs a look
+ *
+ * @param {Object} entry - Entry from processEntriesForEvent
+ * @returns {Array<string>} REVIEW_REASONS values (empty when the partner is clear)
+ */
+function getReviewReasons(entry) {
+    if (entry.eventType !== 'doubles' || entry.partnerDecision) return [];
+
+    const reasons = [];
+    const partner = entry.parsedPartner;
+    if (entry.hasPartnerAmbiguity) reasons.push(REVIEW_REASONS.AMBIGUOUS);
+    if (!partner) {
+        reasons.push(REVIEW_REASONS.MISSING);
+    } else if (partner.isTBD) {
+        reasons.push(REVIEW_REASONS.TBD);
+    } else if (partner.confidence === 'low') {
+        reasons.push(REVIEW_REASONS.LOW_CONFIDENCE);
+    }
+    if (entry.partnerIdentity && entry.partnerIdentity.status === IDENTITY_STATUS.AMBIGUOUS) {
+        reasons.push(REVIEW_REASONS.UNCLEAR_PERSON);
+    }
+    if (entry.partnerClaim && entry.partnerClaim.status === CLAIM_STATUS.CONFLICT) {
+        reasons.push(REVIEW_REASONS.CONFLICT);
+    } else if (entry.partnerClaim && entry.partnerClaim.status === CLAIM_STATUS.ONE_SIDED) {
+        reasons.push(REVIEW_REASONS.ONE_SIDED);
+    }
+    return reasons;
+}
+
+/**
+ * Get the partners staff can pick from for an entry, best first
+ * People the partner name may refer to come first, then the other names read from the answer
+ *
+ * @param {Object} entry - Parsed entry (with partnerIdentity when partners were resolved)
+ * @returns {Array} [{ name, event }] - event is the one the name was read for (null if unknown)
+ */
+function getPartnerCandidates(entry) {
+    const eventForName = entry.parsedPartner ? entry.parsedPartner.event : null;
+    const candidates = [
+        ...(entry.partnerIdentity ? entry.partnerIdentity.candidates : [])
+            .map(candidate => ({ name: candidate.person.name, event: eventForName })),
+        ...(entry.allParsedPartners || [])
+            .filter(partner => partner.partnerName && !partner.isTBD)
+            .map(partner => ({ name: partner.partnerName, event: partner.event }))
+    ];
+
+    const seen = new Set();
+    return candidates.filter(candidate => {
+        const key = getNameKey(candidate.name);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * List the entries to show on the review screen
+ * Entries already decided stay on the list so the decision can be changed
+ *
+ * @param {Array} entries - Parsed entries (waitlisted entries included)
+ * @returns {Array} [{ entry, key, reasons }]
+ */
+function buildPartnerReviewList(entries) {
+    return entries
+        .filter(entry => entry.eventType === 'doubles')
+        .map(entry => ({ entry, key: getSubmissionKey(entry), reasons: getReviewReasons(entry) }))
+        .filter(item => item.reasons.length > 0 || item.entry.partnerDecision);
+}
+
+/**
+ * Build a decision from what staff picked or typed
+ * "TBD" (or any answer that means the partner is not known yet) is saved as TBD
+ *
+ * @param {string} partnerText - Partner name as typed
+ * @param {string|null} event - Canonical event the partner is for (null = the tab's own event)
+ * @returns {Object|null} { event, partnerName, isTBD }, or null when nothing was entered
+ */
+function createPartnerDecision(partnerText, event) {
+    const text = (partnerText || '').trim();
+    if (!text) return null;
+
+    const isTBD = isTBDEntry(text);
+    return {
+        event: event || null,
+        partnerName: isTBD ? null : formatDisplayName(text),
+        isTBD
+    };
+}
+
+/**
+ * Apply saved decisions to parsed doubles entries
+ * The answer as submitted is kept in partnerAnswer; partnerName becomes the decided partner
+ * ("TBD" when still to be found, blank when the decision is for another event)
+ *
+ * @param {Array} entries - Entries from processEntriesForEvent
+ * @param {Object} decisions - { [submission key]: decision } for this event
+ * @param {string} tabName - Event tab the entries were parsed for
+ * @param {string} workbookName - Workbook name, for the sport
+ * @returns {Array} Entries with parsedPartner, allParsedPartners and partnerDecision updated
+ */
+function applyPartnerDecisions(entries, decisions, tabName, workbookName = '') {
+    if (!decisions || Object.keys(decisions).length === 0) return entries;
+
+    const currentEvent = getPartnerEvent(tabName, workbookName);
+
+    return entries.map(entry => {
+        const decision = decisions[getSubmissionKey(entry)];
+        if (!decision) return entry;
+
+        const decided = {
+            event: decision.event || currentEvent,
+            partnerName: decision.isTBD ? null : decision.partnerName,
+            isTBD: !!decision.isTBD,
+            confidence: 'high',
+            rawSegment: entry.partnerName || ''
+        };
+        const isForThisEvent = decided.event === currentEvent;
+        const otherPartners = (entry.allParsedPartners || []).filter(partner => partner.event !== decided.event);
+
+        return {
+            ...entry,
+            partnerAnswer: entry.partnerName || '',
+            partnerName: isForThisEvent ? (decided.isTBD ? 'TBD' : decided.partnerName) : '',
+            parsedPartner: isForThisEvent ? decided : null,
+            allParsedPartners: [...otherPartners, decided],
+            partnerParseWarnings: [],
+            hasPartnerAmbiguity: false,
+            partnerDecision: decision
+        };
+    });
+}
+
+class PartnerDecisionStore {
+    /**
+     * Read all saved decisions
+     * @returns {Object} { [workbookId]: { [tabName]: { [submission key]: decision } } }
+     */
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Get the decisions for every tab of a workbook
+     * @returns {Object} { [tabName]: { [submission key]: decision } }
+     */
+    getForWorkbook(workbookId) {
+        return this.readAll()[workbookId] || {};
+    }
+
+    /**
+     * Save the partner decided for a player (null goes back to the parsed answer)
+     *
+     * @param {string} workbookId - Entries workbook
+     * @param {string} tabName - Event tab
+     * @param {string} key - Submission key from getSubmissionKey
+     * @param {Object|null} decision - From createPartnerDecision
+     */
+    decide(workbookId, tabName, key, decision) {
+        const all = this.readAll();
+        const tabs = all[workbookId] || {};
+        const decisions = tabs[tabName] || {};
+
+        if (decision) {
+            decisions[key] = decision;
+        } else {
+            delete decisions[key];
+        }
+        tabs[tabName] = decisions;
+        all[workbookId] = tabs;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.warn('Failed to save partner decision:', error);
+        }
+    }
+}
+
+// Singleton instance
+const partnerDecisionStore = new PartnerDecisionStore();
+
+// CommonJS exports for UXP
+module.exports = {
+    REVIEW_REASONS,
+    REVIEW_REASON_LABELS,
+    getPartnerEvent,
+    getPartnerEventChoices,
+    getReviewReasons,
+    getPartnerCandidates,
+    buildPartnerReviewList,
+    createPartnerDecision,
+    applyPartnerDecisions,
+    partnerDecisionStore
+};
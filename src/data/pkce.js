@@ -0,0 +1,171 @@
+/**
+ * PKCE Helpers
+ * Generates code verifiers and S256 code challenges for the OAuth sign-in flow (RFC 7636)
+ * SHA-256 is implemented here because UXP does not reliably expose crypto.subtle
+ */
+
+const VERIFIER_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+
+/**
+ * SHA-256 round constants
+ */
+const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * Fill an array with random bytes, using the platform CSPRNG when available
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+function randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Compute the SHA-256 digest of an ASCII string
+ * Verifiers are restricted to unreserved URL characters, so no UTF-8 encoding is needed
+ * @param {string} ascii - Input string
+ * @returns {Uint8Array} 32-byte digest
+ */
+function sha256(ascii) {
+    const bitLength = ascii.length * 8;
+    const paddedLength = Math.ceil((ascii.length + 9) / 64) * 64;
+    const bytes = new Uint8Array(paddedLength);
+    for (let i = 0; i < ascii.length; i++) {
+        bytes[i] = ascii.charCodeAt(i) & 0xff;
+    }
+    bytes[ascii.length] = 0x80;
+    // Message length in bits as a 64-bit big-endian integer (inputs here are far below 2^32 bits)
+    bytes[paddedLength - 4] = (bitLength >>> 24) & 0xff;
+    bytes[paddedLength - 3] = (bitLength >>> 16) & 0xff;
+    bytes[paddedLength - 2] = (bitLength >>> 8) & 0xff;
+    bytes[paddedLength - 1] = bitLength & 0xff;
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let t = 0; t < 16; t++) {
+            const i = offset + t * 4;
+            w[t] = (bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3];
+        }
+        for (let t = 16; t < 64; t++) {
+            const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+            const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+            w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let t = 0; t < 64; t++) {
+            const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const temp1 = (h + S1 + ch + K[t] + w[t]) | 0;
+            const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (S0 + maj) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+
+        hash[0] = (hash[0] + a) | 0;
+        hash[1] = (hash[1] + b) | 0;
+        hash[2] = (hash[2] + c) | 0;
+        hash[3] = (hash[3] + d) | 0;
+        hash[4] = (hash[4] + e) | 0;
+        hash[5] = (hash[5] + f) | 0;
+        hash[6] = (hash[6] + g) | 0;
+        hash[7] = (hash[7] + h) | 0;
+    }
+
+    const digest = new Uint8Array(32);
+    hash.forEach((word, i) => {
+        digest[i * 4] = (word >>> 24) & 0xff;
+        digest[i * 4 + 1] = (word >>> 16) & 0xff;
+        digest[i * 4 + 2] = (word >>> 8) & 0xff;
+        digest[i * 4 + 3] = word & 0xff;
+    });
+    return digest;
+}
+
+/**
+ * Base64url-encode bytes without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+function base64UrlEncode(bytes) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    let output = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+        const b0 = bytes[i];
+        const b1 = i + 1 < bytes.length ? bytes[i + 1] : 0;
+        const b2 = i + 2 < bytes.length ? bytes[i + 2] : 0;
+        const triple = (b0 << 16) | (b1 << 8) | b2;
+
+        output += alphabet[(triple >> 18) & 63];
+        output += alphabet[(triple >> 12) & 63];
+        if (i + 1 < bytes.length) output += alphabet[(triple >> 6) & 63];
+        if (i + 2 < bytes.length) output += alphabet[triple & 63];
+    }
+    return output;
+}
+
+/**
+ * Generate a random PKCE code verifier (43-128 unreserved characters)
+ * @param {number} length - Verifier length
+ * @returns {string} Code verifier
+ */
+function generateCodeVerifier(length = 64) {
+    const bytes = randomBytes(length);
+    let verifier = '';
+    for (let i = 0; i < length; i++) {
+        verifier += VERIFIER_CHARSET[bytes[i] % VERIFIER_CHARSET.length];
+    }
+    return verifier;
+}
+
+/**
+ * Derive the S256 code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} Base64url-encoded SHA-256 of the verifier
+ */
+function generateCodeChallenge(verifier) {
+    return base64UrlEncode(sha256(verifier));
+}
+
+/**
+ * Generate an opaque state value to bind the authorization response to this request
+ * @returns {string} Random state string
+ */
+function generateState() {
+    return base64UrlEncode(randomBytes(16));
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    generateCodeVerifier,
+    generateCodeChallenge,
+    generateState
+};
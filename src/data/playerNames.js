@@ -0,0 +1,128 @@
+/**
+ * Player Names
+ * One place to clean up names as typed into forms and rosters ("Parker ", "Jamie WIlson",
+ * "bob smith jr", "mary-kate o'neil"). Produces:
+ * - a match key, for comparing names from different sources
+ * - a display name, for the panel and the InDesign draw
+ */
+
+// Generational suffixes and how they are displayed
+const NAME_SUFFIXES = {
+    jr: 'Jr.',
+    sr: 'Sr.',
+    ii: 'II',
+    iii: 'III',
+    iv: 'IV'
+};
+
+// Surname particles written in lower case inside a name ("Jan de Vries")
+const NAME_PARTICLES = ['van', 'von', 'de', 'der', 'den', 'del', 'della', 'da', 'di', 'du', 'la', 'le', 'dos', 'das', 'ter', 'ten'];
+
+/**
+ * Tidy a raw name: spacing, curly apostrophes, stray commas
+ *
+ * @param {string} name - Name as entered
+ * @returns {string} Cleaned name (casing unchanged)
+ */
+function cleanName(name) {
+    return (name || '').toString()
+        .replace(/[‘’ʼ`]/g, "'")
+        .replace(/\s*,\s*/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^[-',.\s]+|[-',\s]+$/g, '');
+}
+
+/**
+ * Get the suffix key of a word ("Jr." -> "jr"), or null if it is not a suffix
+ */
+function getSuffixKey(word) {
+    const key = word.toLowerCase().replace(/\./g, '');
+    return NAME_SUFFIXES[key] ? key : null;
+}
+
+/**
+ * Get the key used to match a name across forms, rosters and partner answers
+ * Case, accents, periods and apostrophes are ignored and hyphens count as spaces, so
+ * "Mary-Kate O'Neil", "mary kate oneil" and "MARY-KATE O’NEIL" share one key.
+ * Suffixes are kept ("bob smith jr") - a father and son can both be members.
+ *
+ * @param {string} name - Name as entered
+ * @returns {string} Match key ('' for a blank name)
+ */
+function getNameKey(name) {
+    return cleanName(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['.]/g, '')
+        .replace(/-/g, ' ')
+        .replace(/[^a-z0-9 ]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Check whether a word is already cased like a name ("Parker", "McDonald", "DeMarco", "J")
+ */
+function isNameCased(part) {
+    return /^[A-Z][a-z]+(?:[A-Z][a-z]+)?$/.test(part) || /^[A-Z]$/.test(part);
+}
+
+/**
+ * Capitalize one part of a word ("mcdonald" -> "McDonald", "smith" -> "Smith")
+ */
+function capitalizePart(part) {
+    const lower = part.toLowerCase();
+    if (/^mc[a-z]{2,}/.test(lower)) {
+        return 'Mc' + lower.charAt(2).toUpperCase() + lower.slice(3);
+    }
+    return lower.charAt(0).toUpperCase() + lower.slice(1);
+}
+
+/**
+ * Format one word of a name, keeping casing that already looks deliberate
+ * Hyphens, apostrophes and initials' periods start a new capital ("Smith-Jones", "O'Brien", "P.Pell")
+ */
+function formatNameWord(word, isFirstWord) {
+    const parts = word.split(/([-'.])/);
+    const isSeparator = part => part === '-' || part === "'" || part === '.' || part === '';
+    if (parts.every(part => isSeparator(part) || isNameCased(part))) return word;
+
+    const lower = word.toLowerCase();
+    if (!isFirstWord && NAME_PARTICLES.includes(lower)) return lower;
+
+    return parts.map(part => isSeparator(part) ? part : capitalizePart(part)).join('');
+}
+
+/**
+ * Format a name for display
+ * "jamie WIlson" -> "Jamie Wilson", "bob smith, jr" -> "Bob Smith Jr.",
+ * "jan DE vries" -> "Jan de Vries", "mary-kate o'neil" -> "Mary-Kate O'Neil"
+ *
+ * @param {string} name - Name as entered
+ * @returns {string} Display name ('' for a blank name)
+ */
+function formatDisplayName(name) {
+    const words = cleanName(name).split(' ').filter(Boolean);
+
+    return words.map((word, index) => {
+        const suffix = index > 0 && index === words.length - 1 ? getSuffixKey(word) : null;
+        return suffix ? NAME_SUFFIXES[suffix] : formatNameWord(word, index === 0);
+    }).join(' ');
+}
+
+/**
+ * Build a display name from first and last name fields
+ */
+function buildDisplayName(firstName, lastName) {
+    return formatDisplayName(`${cleanName(firstName)} ${cleanName(lastName)}`);
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    cleanName,
+    getNameKey,
+    formatDisplayName,
+    buildDisplayName
+};
@@ -0,0 +1,152 @@
+/**
+ * Repeat Submissions
+ * Players often submit the entry form again to change their partner or availability.
+ * Rows from the same player (same email, or same name when there is no email) are merged
+ * into one entry - the latest submission wins unless staff chose an earlier row - and
+ * the superseded rows are kept so they can be restored. The merged entry keeps the time of
+ * the player's first submission, so changing a partner after the deadline is not a late entry.
+ */
+
+const { getNameKey } = require('./playerNames.js');
+
+const STORAGE_KEY = 'rtc-submission-choices';
+
+/**
+ * Get the key that identifies a player's submissions
+ * @returns {string} "email:<address>" or "name:<name key>"
+ */
+function getSubmissionKey(entry) {
+    const email = (entry.email || '').toString().trim().toLowerCase();
+    return email ? `email:${email}` : `name:${getNameKey(entry.playerName)}`;
+}
+
+/**
+ * Check whether one submission came after another
+ * Form timestamps are compared when both rows have one; otherwise the later row wins
+ */
+function isLaterSubmission(entry, other) {
+    if (entry.submittedAt && other.submittedAt && entry.submittedAt !== other.submittedAt) {
+        return entry.submittedAt > other.submittedAt;
+    }
+    return entry._rowIndex > other._rowIndex;
+}
+
+/**
+ * Merge repeat submissions into one entry per player
+ * A row without an email joins the submissions of the one emailed player with the same name
+ *
+ * @param {Array} entries - Parsed entries in sheet order (with _rowIndex)
+ * @param {Object} chosenRows - { [submission key]: _rowIndex } rows staff restored
+ * @returns {Object} { entries, repeatSubmissions: [{ key, kept, superseded, restored }] } - a
+ *   merged entry has firstSubmittedAt, the earliest form timestamp of its submissions
+ */
+function mergeRepeatSubmissions(entries, chosenRows = {}) {
+    // Names that belong to exactly one email address
+    const emailKeysByName = new Map();
+    entries.forEach(entry => {
+        if (!entry.email) return;
+        const name = getNameKey(entry.playerName);
+        const keys = emailKeysByName.get(name) || new Set();
+        keys.add(getSubmissionKey(entry));
+        emailKeysByName.set(name, keys);
+    });
+
+    const groups = new Map();
+    entries.forEach(entry => {
+        let key = getSubmissionKey(entry);
+        const emailKeys = emailKeysByName.get(getNameKey(entry.playerName));
+        if (!entry.email && emailKeys && emailKeys.size === 1) {
+            key = Array.from(emailKeys)[0];
+        }
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+
+    const kept = new Set();
+    const repeatSubmissions = [];
+
+    groups.forEach((submissions, key) => {
+        const chosen = submissions.find(entry => entry._rowIndex === chosenRows[key]);
+        const winner = chosen || submissions.reduce((latest, entry) => isLaterSubmission(entry, latest) ? entry : latest);
+        kept.add(winner);
+
+        if (submissions.length > 1) {
+            winner.supersededRows = submissions.filter(entry => entry !== winner).map(entry => entry._rowIndex);
+            winner.firstSubmittedAt = submissions
+                .map(entry => entry.submittedAt)
+                .filter(Boolean)
+                .sort()[0] || null;
+            repeatSubmissions.push({
+                key,
+                kept: winner,
+                superseded: submissions.filter(entry => entry !== winner),
+                restored: !!chosen
+            });
+        }
+    });
+
+    return {
+        entries: entries.filter(entry => kept.has(entry)),
+        repeatSubmissions
+    };
+}
+
+class SubmissionChoiceStore {
+    /**
+     * Read all saved choices
+     * @returns {Object} { [workbookId]: { [tabName]: { [submission key]: rowIndex } } }
+     */
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Get the restored rows for every tab of a workbook
+     * @returns {Object} { [tabName]: { [submission key]: rowIndex } }
+     */
+    getForWorkbook(workbookId) {
+        return this.readAll()[workbookId] || {};
+    }
+
+    /**
+     * Choose which row to use for a player's submissions (null goes back to the latest)
+     *
+     * @param {string} workbookId - Entries workbook
+     * @param {string} tabName - Event tab
+     * @param {string} key - Submission key from getSubmissionKey
+     * @param {number|null} rowIndex - Sheet row to use
+     */
+    choose(workbookId, tabName, key, rowIndex) {
+        const all = this.readAll();
+        const tabs = all[workbookId] || {};
+        const choices = tabs[tabName] || {};
+
+        if (rowIndex) {
+            choices[key] = rowIndex;
+        } else {
+            delete choices[key];
+        }
+        tabs[tabName] = choices;
+        all[workbookId] = tabs;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.warn('Failed to save submission choice:', error);
+        }
+    }
+}
+
+// Singleton instance
+const submissionChoiceStore = new SubmissionChoiceStore();
+
+// CommonJS exports for UXP
+module.exports = {
+    getSubmissionKey,
+    mergeRepeatSubmissions,
+    submissionChoiceStore
+};
@@ -0,0 +1,59 @@
+/**
+ * Sheet Row Links
+ * Builds Google Sheets URLs that open an entry's source row, so staff can fix a typo
+ * in the form responses instead of searching the tab for it
+ */
+
+const SHEETS_WEB_URL = 'https://docs.google.com/spreadsheets/d';
+
+/**
+ * Get the base URL of a workbook (without /edit or any query)
+ * Uses the Drive link when it is a browser URL, otherwise builds one from the ID
+ *
+ * @param {Object} workbook - { id, url } from the Drive listing
+ * @returns {string|null} e.g. "https://docs.google.com/spreadsheets/d/<id>", or null without an ID
+ */
+function getWorkbookUrl(workbook) {
+    if (!workbook || !workbook.id) return null;
+
+    const driveUrl = (workbook.url || '').split(/[?#]/)[0];
+    const match = driveUrl.match(/^(https:\/\/[^?#]+\/spreadsheets\/d\/[^/]+)/);
+    return match ? match[1] : `${SHEETS_WEB_URL}/${workbook.id}`;
+}
+
+/**
+ * Build a link that opens one row of a tab
+ *
+ * @param {string} workbookUrl - From getWorkbookUrl
+ * @param {number} gid - Sheet ID of the tab
+ * @param {number} rowIndex - 1-based sheet row (entry._rowIndex)
+ * @returns {string|null} URL, or null if any part is missing
+ */
+function buildSheetRowUrl(workbookUrl, gid, rowIndex) {
+    if (!workbookUrl || gid === null || gid === undefined || !rowIndex) return null;
+    return `${workbookUrl}/edit#gid=${gid}&range=${rowIndex}:${rowIndex}`;
+}
+
+/**
+ * Add a `sheetLink` to each entry pointing at its source row
+ * Entries are returned unchanged when there is nothing to link to (e.g. local files)
+ *
+ * @param {Array} entries - Parsed entries (with _rowIndex)
+ * @param {Object|null} target - { workbookUrl, gid } of the tab the entries came from
+ * @returns {Array} Entries with sheetLink set
+ */
+function attachSheetLinks(entries, target) {
+    if (!target || !target.workbookUrl) return entries;
+
+    return entries.map(entry => ({
+        ...entry,
+        sheetLink: buildSheetRowUrl(target.workbookUrl, target.gid, entry._rowIndex)
+    }));
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    getWorkbookUrl,
+    buildSheetRowUrl,
+    attachSheetLinks
+};
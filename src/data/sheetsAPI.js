@@ -3,24 +3,197 @@
  * Handles OAuth authentication and data fetching from Google Sheets
  */
 
+const { CONFIG } = require('../config.js');
+const { generateCodeVerifier, generateCodeChallenge, generateState } = require('./pkce.js');
+const { API_ERROR_TYPES, ApiError, classifyHttpError, toErrorResult } = require('./apiErrors.js');
+
+// Sheets write access is needed to write generated draws back to the entries workbook.
+// Google's device-code flow does not allow these scopes, so sign-in always goes through
+// the browser, with Google redirecting to the sign-in relay (CONFIG.OAUTH_RELAY_URL)
 const SCOPES = [
-    'https://www.googleapis.com/auth/spreadsheets.readonly',
+    'https://www.googleapis.com/auth/spreadsheets',
     'https://www.googleapis.com/auth/drive.readonly'
 ];
-const REDIRECT_URI = 'urn:ietf:wg:oauth:2.0:oob'; // For desktop/UXP apps
+
+// Request core retry policy for 429, 5xx and network failures
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 32000;
+// A Retry-After longer than this is reported as a quota error instead of waited out
+const RETRY_AFTER_MAX_MS = 60000;
+// Refresh the access token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 60000;
+// How often, and how long, to ask the relay whether browser sign-in has finished
+const SIGN_IN_POLL_INTERVAL_MS = 2000;
+const SIGN_IN_TIMEOUT_MS = 300000;
+
+/**
+ * Wait for a retry delay, rejecting with a cancelled error if the signal aborts first
+ */
+function waitUnlessAborted(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new ApiError(API_ERROR_TYPES.CANCELLED, 'Request cancelled'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new ApiError(API_ERROR_TYPES.CANCELLED, 'Request cancelled'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Throw a cancelled error if the signal has aborted
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new ApiError(API_ERROR_TYPES.CANCELLED, 'Request cancelled');
+    }
+}
+
+/**
+ * Create an AbortController if the host provides one
+ */
+function createAbortController() {
+    return typeof AbortController !== 'undefined' ? new AbortController() : null;
+}
+
+/**
+ * Combine several abort signals into one signal for fetch
+ * @returns {Object} { signal, release() } - call release() to detach listeners
+ */
+function linkAbortSignals(signals) {
+    const controller = createAbortController();
+    if (!controller) {
+        return { signal: undefined, release() {} };
+    }
+
+    const sources = signals.filter(Boolean);
+    const abort = () => controller.abort();
+    sources.forEach(source => {
+        if (source.aborted) {
+            abort();
+        } else {
+            source.addEventListener('abort', abort);
+        }
+    });
+
+    return {
+        signal: controller.signal,
+        release: () => sources.forEach(source => source.removeEventListener('abort', abort))
+    };
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ * @returns {number|null} Delay in ms, or null if the header is missing or invalid
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: ~1s, 2s, 4s, 8s... capped at BACKOFF_MAX_MS
+ */
+function getBackoffDelay(attempt) {
+    const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt));
+    return delay + Math.floor(Math.random() * BACKOFF_BASE_MS);
+}
+
+/**
+ * Escape a value for use inside a single-quoted Drive query string
+ */
+function escapeDriveQueryValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Extract a Drive folder ID from a folder URL or return a bare ID unchanged
+ * Accepts e.g. https://drive.google.com/drive/folders/<id>?usp=sharing
+ *
+ * @param {string} input - Folder URL or ID
+ * @returns {string|null} Folder ID, or null if input is empty
+ */
+function parseDriveFolderId(input) {
+    if (!input || !input.trim()) return null;
+
+    const trimmed = input.trim();
+    const urlMatch = trimmed.match(/\/folders\/([a-zA-Z0-9_-]+)/) || trimmed.match(/[?&]id=([a-zA-Z0-9_-]+)/);
+    return urlMatch ? urlMatch[1] : trimmed;
+}
+
+/**
+ * Convert a 1-based column number to its A1 letters (1 -> A, 27 -> AA)
+ */
+function columnNumberToLetters(columnNumber) {
+    let letters = '';
+    let n = columnNumber;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Build the A1 range covering a tab's whole grid, e.g. "'Entries'!A1:AF1000"
+ * Falls back to the bare quoted title (the used range) when the grid size is unknown
+ *
+ * @param {Object} sheet - { title, rowCount, columnCount } from getSpreadsheetInfo
+ */
+function getGridRange(sheet) {
+    const quotedTitle = `'${sheet.title.replace(/'/g, "''")}'`;
+    if (!sheet.rowCount || !sheet.columnCount) return quotedTitle;
+    return `${quotedTitle}!A1:${columnNumberToLetters(sheet.columnCount)}${sheet.rowCount}`;
+}
+
+/**
+ * Base URL of the sign-in relay, without a trailing slash
+ */
+function getRelayUrl() {
+    return (CONFIG.OAUTH_RELAY_URL || '').replace(/\/+$/, '');
+}
 
 class GoogleSheetsAPI {
     constructor() {
         this.accessToken = null;
         this.refreshToken = null;
         this.clientId = null;
-        this.clientSecret = null;
         this.isAuthenticated = false;
+        this.tokenExpiresAt = null;
+        this.refreshPromise = null;
+
+        // Called after tokens change (sign-in or refresh) so they can be persisted
+        this.onTokensChanged = null;
+
+        // Aborted by cancelPendingRequests() to stop every in-flight request
+        this.cancelController = createAbortController();
+
+        // Pending authorization request (PKCE)
+        this.codeVerifier = null;
+        this.authState = null;
     }
 
     /**
      * Initialize with OAuth credentials
-     * Client must obtain credentials from Google Cloud Console
+     * Only the client ID is used - the client secret stays on the sign-in relay
      */
     async initialize(credentials) {
         try {
@@ -31,10 +204,8 @@ class GoogleSheetsAPI {
             // Support both formats: direct credentials or credentials file format
             if (creds.installed) {
                 this.clientId = creds.installed.client_id;
-                this.clientSecret = creds.installed.client_secret;
             } else if (creds.client_id) {
                 this.clientId = creds.client_id;
-                this.clientSecret = creds.client_secret;
             } else {
                 throw new Error('Invalid credentials format');
             }
@@ -47,139 +218,336 @@ class GoogleSheetsAPI {
     }
 
     /**
-     * Step 1: Generate authorization URL
+     * Step 1: Generate authorization URL with a fresh PKCE challenge
+     * Google redirects to the sign-in relay, which keeps the code for waitForSignIn()
      */
     getAuthUrl() {
+        this.codeVerifier = generateCodeVerifier();
+        this.authState = generateState();
+
         const params = new URLSearchParams({
             client_id: this.clientId,
-            redirect_uri: REDIRECT_URI,
+            redirect_uri: `${getRelayUrl()}/callback`,
             response_type: 'code',
             scope: SCOPES.join(' '),
+            code_challenge: generateCodeChallenge(this.codeVerifier),
+            code_challenge_method: 'S256',
+            state: this.authState,
             access_type: 'offline',
             prompt: 'consent'
         });
 
-        return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
+        return `${CONFIG.OAUTH_AUTH_URL}?${params.toString()}`;
     }
 
     /**
-     * Step 2: Exchange authorization code for tokens
+     * Step 2: Wait for the browser sign-in, then have the relay exchange the code
+     * The relay answers authorization_pending until Google has redirected to it with this
+     * request's state; the PKCE verifier sent with each poll is what makes the code usable.
+     * cancelPendingRequests() stops the wait.
+     *
+     * @returns {Promise<Object>} { success, tokens } or { success: false, error, errorType }
      */
-    async exchangeCodeForTokens(authCode) {
-        try {
-            const params = new URLSearchParams({
-                code: authCode,
-                client_id: this.clientId,
-                client_secret: this.clientSecret,
-                redirect_uri: REDIRECT_URI,
-                grant_type: 'authorization_code'
-            });
+    async waitForSignIn() {
+        const signal = this.cancelController && this.cancelController.signal;
+        const deadline = Date.now() + SIGN_IN_TIMEOUT_MS;
 
-            const response = await fetch('https://oauth2.googleapis.com/token', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: params.toString()
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error_description || 'Token exchange failed');
+        try {
+            if (!this.codeVerifier) {
+                throw new Error('No pending authorization request');
             }
 
-            const data = await response.json();
-            this.accessToken = data.access_token;
-            this.refreshToken = data.refresh_token;
-            this.isAuthenticated = true;
+            for (;;) {
+                try {
+                    const data = await this.requestTokens({
+                        state: this.authState,
+                        code_verifier: this.codeVerifier,
+                        grant_type: 'authorization_code'
+                    }, signal);
+
+                    this.applyTokenResponse(data);
+                    this.codeVerifier = null;
+                    this.authState = null;
+
+                    return { success: true, tokens: data };
+                } catch (error) {
+                    if (error.code !== 'authorization_pending') throw error;
+                }
 
-            return { success: true, tokens: data };
+                if (Date.now() >= deadline) {
+                    throw new Error('Timed out waiting for browser sign-in');
+                }
+                await waitUnlessAborted(SIGN_IN_POLL_INTERVAL_MS, signal);
+            }
         } catch (error) {
-            console.error('Token exchange failed:', error);
-            return { success: false, error: error.message };
+            console.error('Sign-in failed:', error);
+            return { success: false, error: error.message, errorType: error.type || null };
         }
     }
 
     /**
      * Refresh access token using refresh token
+     * Concurrent callers share one refresh request
      */
     async refreshAccessToken() {
         if (!this.refreshToken) {
             throw new Error('No refresh token available');
         }
 
-        try {
-            const params = new URLSearchParams({
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestTokens({
                 refresh_token: this.refreshToken,
-                client_id: this.clientId,
-                client_secret: this.clientSecret,
                 grant_type: 'refresh_token'
+            }).then(data => {
+                this.applyTokenResponse(data);
+                return { success: true };
+            }).catch(error => {
+                console.error('Token refresh failed:', error);
+                // An OAuth error code means Google answered and refused; no code means it was unreachable
+                return {
+                    success: false,
+                    error: error.message,
+                    errorType: error.code ? API_ERROR_TYPES.AUTH_EXPIRED : API_ERROR_TYPES.OFFLINE
+                };
+            }).finally(() => {
+                this.refreshPromise = null;
             });
+        }
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * POST a grant to the sign-in relay's token endpoint (it adds the client secret)
+     * @param {Object} grantParams - Grant fields (grant_type, ...)
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @returns {Promise<Object>} Token response body
+     * @throws {Error} With `code` set to the OAuth error code on failure
+     */
+    async requestTokens(grantParams, signal) {
+        const params = new URLSearchParams({
+            client_id: this.clientId,
+            ...grantParams
+        });
 
-            const response = await fetch('https://oauth2.googleapis.com/token', {
+        let response;
+        try {
+            response = await fetch(`${getRelayUrl()}/token`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
                 },
-                body: params.toString()
+                body: params.toString(),
+                signal
             });
+        } catch (error) {
+            throwIfAborted(signal);
+            throw error;
+        }
 
-            if (!response.ok) {
-                throw new Error('Token refresh failed');
-            }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error_description || data.error || 'Token request failed');
+            error.code = data.error || null;
+            throw error;
+        }
 
-            const data = await response.json();
-            this.accessToken = data.access_token;
+        return data;
+    }
 
+    /**
+     * Store tokens from a token endpoint response
+     * Refresh responses omit refresh_token, so the existing one is kept
+     */
+    applyTokenResponse(data) {
+        this.accessToken = data.access_token;
+        if (data.refresh_token) {
+            this.refreshToken = data.refresh_token;
+        }
+        this.tokenExpiresAt = data.expires_in ? Date.now() + data.expires_in * 1000 : null;
+        this.isAuthenticated = !!this.accessToken;
+
+        if (this.onTokensChanged) {
+            this.onTokensChanged(this.saveTokens());
+        }
+    }
+
+    /**
+     * Revoke the grant with Google and forget all tokens
+     * Revoking the refresh token also invalidates its access tokens
+     * @returns {Promise<Object>} { success, error } - local tokens are cleared either way
+     */
+    async revokeAccess() {
+        const token = this.refreshToken || this.accessToken;
+        this.cancelPendingRequests();
+        this.signOut();
+
+        if (!token) {
+            return { success: true };
+        }
+
+        try {
+            const response = await fetch(CONFIG.OAUTH_REVOKE_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams({ token }).toString()
+            });
+
+            // 400 invalid_token means the grant was already revoked or expired
+            if (!response.ok && response.status !== 400) {
+                throw new Error(`Revoke request failed (${response.status})`);
+            }
             return { success: true };
         } catch (error) {
-            console.error('Token refresh failed:', error);
+            console.error('Failed to revoke Google access:', error);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Get data from a specific sheet range
-     * @param {string} spreadsheetId - The spreadsheet ID
-     * @param {string} range - The range to fetch
-     * @param {boolean} _retried - Internal flag to prevent infinite recursion
+     * Forget all tokens in memory (does not contact Google)
+     */
+    signOut() {
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.tokenExpiresAt = null;
+        this.isAuthenticated = false;
+        this.codeVerifier = null;
+        this.authState = null;
+    }
+
+    /**
+     * Stop every in-flight request; they resolve with a cancelled error
      */
-    async getSheetData(spreadsheetId, range, _retried = false) {
-        if (!this.isAuthenticated || !this.accessToken) {
-            throw new Error('Not authenticated with Google Sheets');
+    cancelPendingRequests() {
+        if (this.cancelController) {
+            this.cancelController.abort();
+            this.cancelController = createAbortController();
         }
+    }
+
+    /**
+     * Refresh the access token, converting a failure into a typed error
+     * @throws {ApiError} Offline if Google was unreachable, auth expired otherwise
+     */
+    async refreshOrFail() {
+        const refreshResult = this.refreshToken
+            ? await this.refreshAccessToken()
+            : { success: false, errorType: API_ERROR_TYPES.AUTH_EXPIRED };
+
+        if (refreshResult.success) return;
+
+        if (refreshResult.errorType === API_ERROR_TYPES.OFFLINE) {
+            throw new ApiError(API_ERROR_TYPES.OFFLINE, 'Could not reach Google to refresh the session. Check your internet connection.');
+        }
+        this.isAuthenticated = false;
+        throw new ApiError(API_ERROR_TYPES.AUTH_EXPIRED, 'Session expired. Please reconnect to Google Sheets.');
+    }
+
+    /**
+     * Send an authorized JSON request to a Google API - the shared core for every Sheets/Drive call
+     * - Refreshes the access token shortly before it expires, and once more on a 401
+     * - Retries 429, 5xx and network failures with exponential backoff, honouring Retry-After
+     * - Stops with a cancelled error when options.signal or cancelPendingRequests() aborts
+     *
+     * @param {string} url - Request URL
+     * @param {Object} options - { method, body, signal, failureMessage } - body is JSON-encoded
+     * @returns {Promise<Object>} Parsed response body
+     * @throws {ApiError} Typed error (see API_ERROR_TYPES)
+     */
+    async request(url, options = {}) {
+        const { method = 'GET', body, failureMessage = 'Request to Google failed' } = options;
+        const { signal, release } = linkAbortSignals([options.signal, this.cancelController && this.cancelController.signal]);
+        let refreshed = false;
 
         try {
-            const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${encodeURIComponent(range)}`;
+            if (!this.isAuthenticated || !this.accessToken) {
+                throw new ApiError(API_ERROR_TYPES.AUTH_EXPIRED, 'Not authenticated with Google Sheets');
+            }
 
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
+            // Proactive refresh avoids a failed round trip on an expired token
+            if (this.tokenExpiresAt && Date.now() >= this.tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+                await this.refreshOrFail();
+            }
+
+            for (let attempt = 0; ; attempt++) {
+                throwIfAborted(signal);
+
+                const headers = {
                     'Authorization': `Bearer ${this.accessToken}`,
                     'Accept': 'application/json'
+                };
+                if (body !== undefined) {
+                    headers['Content-Type'] = 'application/json';
                 }
-            });
 
-            // If token expired, try to refresh (but only once to prevent infinite recursion)
-            if (response.status === 401 && !_retried) {
-                const refreshResult = await this.refreshAccessToken();
-                if (refreshResult.success) {
-                    return this.getSheetData(spreadsheetId, range, true);
+                let response;
+                try {
+                    response = await fetch(url, {
+                        method,
+                        headers,
+                        body: body !== undefined ? JSON.stringify(body) : undefined,
+                        signal
+                    });
+                } catch (error) {
+                    // fetch only rejects on network failure or abort
+                    throwIfAborted(signal);
+                    if (attempt < MAX_RETRIES) {
+                        await waitUnlessAborted(getBackoffDelay(attempt), signal);
+                        continue;
+                    }
+                    throw new ApiError(API_ERROR_TYPES.OFFLINE, 'Could not reach Google. Check your internet connection.');
+                }
+
+                if (response.ok) {
+                    return response.json();
                 }
-                // Refresh failed - mark as unauthenticated and throw
-                this.isAuthenticated = false;
-                throw new Error('Session expired. Please reconnect to Google Sheets.');
-            } else if (response.status === 401 && _retried) {
-                this.isAuthenticated = false;
-                throw new Error('Authentication failed after refresh. Please reconnect.');
-            }
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error?.message || 'Failed to fetch sheet data');
+                const errorBody = await response.json().catch(() => ({}));
+                const errorType = classifyHttpError(response.status, errorBody);
+
+                // If token expired, try to refresh (but only once to prevent an endless loop)
+                if (errorType === API_ERROR_TYPES.AUTH_EXPIRED) {
+                    if (!refreshed) {
+                        refreshed = true;
+                        await this.refreshOrFail();
+                        continue;
+                    }
+                    this.isAuthenticated = false;
+                    throw new ApiError(errorType, 'Authentication failed after refresh. Please reconnect.', response.status);
+                }
+
+                const retryable = errorType === API_ERROR_TYPES.QUOTA || errorType === API_ERROR_TYPES.SERVER;
+                if (retryable && attempt < MAX_RETRIES) {
+                    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                    if (retryAfter === null || retryAfter <= RETRY_AFTER_MAX_MS) {
+                        const delay = retryAfter !== null ? retryAfter : getBackoffDelay(attempt);
+                        console.warn(`Google API returned ${response.status}, retrying in ${delay} ms (attempt ${attempt + 1} of ${MAX_RETRIES})`);
+                        await waitUnlessAborted(delay, signal);
+                        continue;
+                    }
+                }
+
+                throw new ApiError(errorType, errorBody.error?.message || failureMessage, response.status);
             }
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Get data from a specific sheet range
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {string} range - The range to fetch
+     * @param {Object} options - { signal } to allow cancellation
+     */
+    async getSheetData(spreadsheetId, range, options = {}) {
+        try {
+            const url = `${CONFIG.SHEETS_API_BASE_URL}/v4/spreadsheets/${spreadsheetId}/values/${encodeURIComponent(range)}`;
+            const data = await this.request(url, { signal: options.signal, failureMessage: 'Failed to fetch sheet data' });
 
-            const data = await response.json();
             return {
                 success: true,
                 values: data.values || [],
@@ -187,147 +555,361 @@ class GoogleSheetsAPI {
             };
         } catch (error) {
             console.error('Failed to get sheet data:', error);
-            return { success: false, error: error.message };
+            return toErrorResult(error);
         }
     }
 
     /**
-     * List all Google Sheets spreadsheets in user's Drive
-     * @param {number} pageSize - Number of results to return
-     * @param {boolean} _retried - Internal flag to prevent infinite recursion
+     * Get several ranges from a spreadsheet in one request (values:batchGet)
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {Array<string>} ranges - A1 ranges to fetch
+     * @param {Object} options - { signal } to allow cancellation
+     * @returns {Promise<Object>} { success, valueRanges: [{ range, values }] } in request order
      */
-    async listSpreadsheets(pageSize = 100, _retried = false) {
-        if (!this.isAuthenticated || !this.accessToken) {
-            throw new Error('Not authenticated with Google Sheets');
+    async batchGetSheetData(spreadsheetId, ranges, options = {}) {
+        try {
+            const params = new URLSearchParams({ majorDimension: 'ROWS' });
+            ranges.forEach(range => params.append('ranges', range));
+
+            const url = `${CONFIG.SHEETS_API_BASE_URL}/v4/spreadsheets/${spreadsheetId}/values:batchGet?${params.toString()}`;
+            const data = await this.request(url, { signal: options.signal, failureMessage: 'Failed to fetch sheet data' });
+
+            return {
+                success: true,
+                valueRanges: (data.valueRanges || []).map(valueRange => ({
+                    range: valueRange.range,
+                    values: valueRange.values || []
+                }))
+            };
+        } catch (error) {
+            console.error('Failed to batch get sheet data:', error);
+            return toErrorResult(error);
         }
+    }
 
-        try {
-            const params = new URLSearchParams({
-                q: "mimeType='application/vnd.google-apps.spreadsheet'",
-                pageSize: pageSize.toString(),
-                fields: 'files(id, name, modifiedTime, webViewLink)',
-                orderBy: 'modifiedTime desc'
-            });
+    /**
+     * Get one tab's values across its whole grid (every row and column, not just A:Z)
+     * The grid size comes from the spreadsheet metadata
+     *
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {string|null} title - Tab title, or null for the first tab (e.g. a roster)
+     * @param {Object} options - { signal } to allow cancellation
+     * @returns {Promise<Object>} { success, values, title }
+     */
+    async getTabGridData(spreadsheetId, title = null, options = {}) {
+        const info = await this.getSpreadsheetInfo(spreadsheetId, options);
+        if (!info.success) return info;
+
+        const sheet = title === null
+            ? info.sheets.slice().sort((a, b) => a.index - b.index)[0]
+            : info.sheets.find(s => s.title === title);
+        if (!sheet) {
+            return { success: false, error: title === null ? 'Workbook has no tabs' : `Tab "${title}" not found` };
+        }
 
-            const url = `https://www.googleapis.com/drive/v3/files?${params.toString()}`;
+        const result = await this.getSheetData(spreadsheetId, getGridRange(sheet), options);
+        return result.success ? { ...result, title: sheet.title } : result;
+    }
 
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Accept': 'application/json'
-                }
-            });
+    /**
+     * Get every tab of a workbook in one values:batchGet call
+     * Each tab is read across its whole grid (size from the spreadsheet metadata)
+     *
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {Array<string>} sheetTitles - Tab titles to fetch (optional - all tabs if omitted)
+     * @param {Object} options - { signal } to allow cancellation; { sheets } to reuse tab
+     *   metadata already fetched with getSpreadsheetInfo instead of fetching it again
+     * @returns {Promise<Object>} { success, tabs: { [title]: values } }
+     */
+    async getAllSheetsData(spreadsheetId, sheetTitles = null, options = {}) {
+        const info = options.sheets
+            ? { success: true, sheets: options.sheets }
+            : await this.getSpreadsheetInfo(spreadsheetId, options);
+        if (!info.success) return info;
+
+        const titles = sheetTitles || info.sheets.map(sheet => sheet.title);
+        if (titles.length === 0) {
+            return { success: true, tabs: {} };
+        }
 
-            // If token expired, try to refresh (but only once to prevent infinite recursion)
-            if (response.status === 401 && !_retried) {
-                const refreshResult = await this.refreshAccessToken();
-                if (refreshResult.success) {
-                    return this.listSpreadsheets(pageSize, true);
+        const ranges = titles.map(title => getGridRange(info.sheets.find(sheet => sheet.title === title) || { title }));
+        const result = await this.batchGetSheetData(spreadsheetId, ranges, options);
+        if (!result.success) return result;
+
+        const tabs = {};
+        titles.forEach((title, index) => {
+            tabs[title] = result.valueRanges[index] ? result.valueRanges[index].values : [];
+        });
+
+        return { success: true, tabs };
+    }
+
+    /**
+     * List Google Sheets spreadsheets in Drive, following nextPageToken until all pages are read
+     *
+     * @param {Object} options - Listing options
+     * @param {string} options.folderId - Only list spreadsheets directly inside this folder
+     * @param {string} options.nameContains - Only list spreadsheets whose name contains this text
+     * @param {boolean} options.includeSharedDrives - Include files from shared drives (default true)
+     * @param {number} options.pageSize - Files per request (Drive allows up to 1000)
+     * @param {AbortSignal} options.signal - Optional signal to cancel the listing
+     */
+    async listSpreadsheets(options = {}) {
+        const {
+            folderId = null,
+            nameContains = '',
+            includeSharedDrives = true,
+            pageSize = 1000,
+            signal
+        } = options;
+
+        const query = [
+            "mimeType='application/vnd.google-apps.spreadsheet'",
+            'trashed=false'
+        ];
+        if (folderId) {
+            query.push(`'${escapeDriveQueryValue(folderId)}' in parents`);
+        }
+        if (nameContains) {
+            query.push(`name contains '${escapeDriveQueryValue(nameContains)}'`);
+        }
+
+        try {
+            const files = [];
+            let pageToken = null;
+
+            do {
+                const params = new URLSearchParams({
+                    q: query.join(' and '),
+                    pageSize: pageSize.toString(),
+                    fields: 'nextPageToken, files(id, name, modifiedTime, webViewLink, parents, driveId)',
+                    orderBy: 'modifiedTime desc'
+                });
+                if (includeSharedDrives) {
+                    params.set('supportsAllDrives', 'true');
+                    params.set('includeItemsFromAllDrives', 'true');
+                    params.set('corpora', 'allDrives');
+                }
+                if (pageToken) {
+                    params.set('pageToken', pageToken);
                 }
-                this.isAuthenticated = false;
-                throw new Error('Session expired. Please reconnect to Google Sheets.');
-            } else if (response.status === 401 && _retried) {
-                this.isAuthenticated = false;
-                throw new Error('Authentication failed after refresh. Please reconnect.');
-            }
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error?.message || 'Failed to list spreadsheets');
-            }
+                const data = await this.fetchDriveFilesPage(params, { signal });
+                files.push(...(data.files || []));
+                pageToken = data.nextPageToken || null;
+            } while (pageToken);
 
-            const data = await response.json();
             return {
                 success: true,
-                spreadsheets: data.files.map(file => ({
+                spreadsheets: files.map(file => ({
                     id: file.id,
                     name: file.name,
                     modifiedTime: file.modifiedTime,
-                    url: file.webViewLink
+                    url: file.webViewLink,
+                    parents: file.parents || [],
+                    driveId: file.driveId || null
                 }))
             };
         } catch (error) {
             console.error('Failed to list spreadsheets:', error);
-            return { success: false, error: error.message };
+            return toErrorResult(error);
         }
     }
 
+    /**
+     * Fetch a single page of Drive files.list results
+     * @param {URLSearchParams} params - Query parameters for files.list
+     * @param {Object} options - { signal } to allow cancellation
+     * @returns {Promise<Object>} Raw files.list response body
+     * @throws {ApiError} On failure
+     */
+    async fetchDriveFilesPage(params, options = {}) {
+        const url = `${CONFIG.DRIVE_API_BASE_URL}/drive/v3/files?${params.toString()}`;
+        return this.request(url, { signal: options.signal, failureMessage: 'Failed to list spreadsheets' });
+    }
+
     /**
      * Get spreadsheet metadata (title, sheets list, etc.)
      * @param {string} spreadsheetId - The spreadsheet ID
-     * @param {boolean} _retried - Internal flag to prevent infinite recursion
+     * @param {Object} options - { signal } to allow cancellation
      */
-    async getSpreadsheetInfo(spreadsheetId, _retried = false) {
-        if (!this.isAuthenticated || !this.accessToken) {
-            throw new Error('Not authenticated with Google Sheets');
-        }
-
+    async getSpreadsheetInfo(spreadsheetId, options = {}) {
         try {
-            const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=properties,sheets.properties`;
+            const url = `${CONFIG.SHEETS_API_BASE_URL}/v4/spreadsheets/${spreadsheetId}?fields=properties,sheets.properties`;
+            const data = await this.request(url, { signal: options.signal, failureMessage: 'Failed to fetch spreadsheet info' });
 
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Accept': 'application/json'
-                }
-            });
-
-            // If token expired, try to refresh (but only once to prevent infinite recursion)
-            if (response.status === 401 && !_retried) {
-                const refreshResult = await this.refreshAccessToken();
-                if (refreshResult.success) {
-                    return this.getSpreadsheetInfo(spreadsheetId, true);
-                }
-                this.isAuthenticated = false;
-                throw new Error('Session expired. Please reconnect to Google Sheets.');
-            } else if (response.status === 401 && _retried) {
-                this.isAuthenticated = false;
-                throw new Error('Authentication failed after refresh. Please reconnect.');
-            }
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error?.message || 'Failed to fetch spreadsheet info');
-            }
-
-            const data = await response.json();
             return {
                 success: true,
                 title: data.properties.title,
                 sheets: data.sheets.map(sheet => ({
                     id: sheet.properties.sheetId,
                     title: sheet.properties.title,
-                    index: sheet.properties.index
+                    index: sheet.properties.index,
+                    rowCount: sheet.properties.gridProperties?.rowCount || null,
+                    columnCount: sheet.properties.gridProperties?.columnCount || null
                 }))
             };
         } catch (error) {
             console.error('Failed to get spreadsheet info:', error);
-            return { success: false, error: error.message };
+            return toErrorResult(error);
         }
     }
 
     /**
-     * Save tokens to local storage (for persistence)
+     * Get the Drive version of a file - changes whenever any tab is edited
+     * @param {string} fileId - The spreadsheet (Drive file) ID
+     * @param {Object} options - { signal } to allow cancellation
+     * @returns {Promise<Object>} { success, modifiedTime, version }
+     */
+    async getFileVersion(fileId, options = {}) {
+        try {
+            const params = new URLSearchParams({ fields: 'modifiedTime,version', supportsAllDrives: 'true' });
+            const url = `${CONFIG.DRIVE_API_BASE_URL}/drive/v3/files/${fileId}?${params.toString()}`;
+            const data = await this.request(url, { signal: options.signal, failureMessage: 'Failed to check workbook version' });
+
+            return {
+                success: true,
+                modifiedTime: data.modifiedTime || null,
+                version: data.version || null
+            };
+        } catch (error) {
+            console.error('Failed to get file version:', error);
+            return toErrorResult(error);
+        }
+    }
+
+    /**
+     * Write values to a range using values.update
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {string} range - A1 range to write, e.g. "'Draw – Doubles B'!A1"
+     * @param {Array<Array>} values - Rows of cell values
+     * @param {Object} options - { signal } to allow cancellation
+     */
+    async updateSheetValues(spreadsheetId, range, values, options = {}) {
+        try {
+            const url = `${CONFIG.SHEETS_API_BASE_URL}/v4/spreadsheets/${spreadsheetId}/values/${encodeURIComponent(range)}?valueInputOption=RAW`;
+            const data = await this.request(url, {
+                method: 'PUT',
+                body: { range, majorDimension: 'ROWS', values },
+                signal: options.signal,
+                failureMessage: 'Failed to write sheet data'
+            });
+
+            return {
+                success: true,
+                updatedRange: data.updatedRange,
+                updatedRows: data.updatedRows || 0
+            };
+        } catch (error) {
+            console.error('Failed to write sheet data:', error);
+            return toErrorResult(error);
+        }
+    }
+
+    /**
+     * Clear all values in a range (formatting is kept)
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {string} range - A1 range to clear
+     * @param {Object} options - { signal } to allow cancellation
+     */
+    async clearSheetValues(spreadsheetId, range, options = {}) {
+        try {
+            const url = `${CONFIG.SHEETS_API_BASE_URL}/v4/spreadsheets/${spreadsheetId}/values/${encodeURIComponent(range)}:clear`;
+            await this.request(url, {
+                method: 'POST',
+                body: {},
+                signal: options.signal,
+                failureMessage: 'Failed to clear sheet data'
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to clear sheet data:', error);
+            return toErrorResult(error);
+        }
+    }
+
+    /**
+     * Apply structural changes (add sheets, formatting, etc.) with spreadsheets.batchUpdate
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {Array<Object>} requests - batchUpdate request objects
+     * @param {Object} options - { signal } to allow cancellation
+     */
+    async batchUpdate(spreadsheetId, requests, options = {}) {
+        try {
+            const url = `${CONFIG.SHEETS_API_BASE_URL}/v4/spreadsheets/${spreadsheetId}:batchUpdate`;
+            const data = await this.request(url, {
+                method: 'POST',
+                body: { requests },
+                signal: options.signal,
+                failureMessage: 'Failed to update spreadsheet'
+            });
+
+            return { success: true, replies: data.replies || [] };
+        } catch (error) {
+            console.error('Failed to update spreadsheet:', error);
+            return toErrorResult(error);
+        }
+    }
+
+    /**
+     * Replace the contents of a tab, creating the tab if it does not exist yet
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {string} title - Tab title
+     * @param {Array<Array>} values - Rows of cell values, written from A1
+     * @param {Object} options - { signal } to allow cancellation
+     */
+    async writeSheetTab(spreadsheetId, title, values, options = {}) {
+        const info = await this.getSpreadsheetInfo(spreadsheetId, options);
+        if (!info.success) {
+            return info;
+        }
+
+        const quotedTitle = `'${title.replace(/'/g, "''")}'`;
+        const existing = info.sheets.find(sheet => sheet.title === title);
+
+        if (existing) {
+            const clearResult = await this.clearSheetValues(spreadsheetId, quotedTitle, options);
+            if (!clearResult.success) return clearResult;
+        } else {
+            const addResult = await this.batchUpdate(spreadsheetId, [{
+                addSheet: {
+                    properties: {
+                        title,
+                        gridProperties: { frozenRowCount: 1 }
+                    }
+                }
+            }], options);
+            if (!addResult.success) return addResult;
+        }
+
+        const writeResult = await this.updateSheetValues(spreadsheetId, `${quotedTitle}!A1`, values, options);
+        if (!writeResult.success) return writeResult;
+
+        return { ...writeResult, created: !existing };
+    }
+
+    /**
+     * Get the session to persist in secure storage
+     * The client secret is deliberately left out - it comes from config
      */
     saveTokens() {
         return {
             accessToken: this.accessToken,
             refreshToken: this.refreshToken,
-            clientId: this.clientId,
-            clientSecret: this.clientSecret
+            tokenExpiresAt: this.tokenExpiresAt,
+            clientId: this.clientId
         };
     }
 
     /**
      * Restore tokens from saved data
+     * The expiry timestamp lets the request core refresh before the first call fails
      */
     restoreTokens(savedData) {
         this.accessToken = savedData.accessToken;
         this.refreshToken = savedData.refreshToken;
-        this.clientId = savedData.clientId;
-        this.clientSecret = savedData.clientSecret;
+        this.tokenExpiresAt = savedData.tokenExpiresAt || null;
+        this.clientId = savedData.clientId || this.clientId;
         this.isAuthenticated = !!this.accessToken;
     }
 }
@@ -336,4 +918,4 @@ class GoogleSheetsAPI {
 const sheetsAPI = new GoogleSheetsAPI();
 
 // CommonJS export for UXP
-module.exports = { sheetsAPI };
+module.exports = { sheetsAPI, parseDriveFolderId, getGridRange };
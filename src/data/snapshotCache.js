@@ -0,0 +1,183 @@
+/**
+ * Offline Snapshot Cache
+ * Saves every fetched workbook list, tab and handicap roster to the plugin data folder
+ * with the time it was fetched, so the panel can run from the last snapshot when offline
+ */
+
+const { API_ERROR_TYPES, toErrorResult } = require('./apiErrors');
+
+const SNAPSHOT_FOLDER = 'snapshots';
+
+/**
+ * Turn a cache key into a safe, unique file name
+ * Unsafe characters are hex-escaped so distinct keys never collide
+ */
+function toFileName(key) {
+    const safe = key.replace(/[^a-zA-Z0-9-]/g, char =>
+        '_' + char.charCodeAt(0).toString(16).padStart(4, '0')
+    );
+    return `${safe}.json`;
+}
+
+class SnapshotCache {
+    constructor() {
+        this.folder = null;
+    }
+
+    /**
+     * Get (creating if needed) the snapshot folder inside the plugin data folder
+     * @returns {Promise<Object|null>} UXP folder entry, or null if file storage is unavailable
+     */
+    async getFolder() {
+        if (this.folder) return this.folder;
+
+        try {
+            const { storage } = require('uxp');
+            const dataFolder = await storage.localFileSystem.getDataFolder();
+            try {
+                this.folder = await dataFolder.getEntry(SNAPSHOT_FOLDER);
+            } catch (e) {
+                this.folder = await dataFolder.createFolder(SNAPSHOT_FOLDER);
+            }
+            return this.folder;
+        } catch (error) {
+            console.warn('Snapshot storage unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save a snapshot
+     * @param {string} key - Cache key (see snapshotKeys)
+     * @param {*} data - JSON-serializable data
+     * @returns {Promise<boolean>} True if saved
+     */
+    async save(key, data) {
+        const folder = await this.getFolder();
+        if (!folder) return false;
+
+        try {
+            const file = await folder.createFile(toFileName(key), { overwrite: true });
+            await file.write(JSON.stringify({
+                key,
+                fetchedAt: new Date().toISOString(),
+                data
+            }));
+            return true;
+        } catch (error) {
+            console.warn(`Failed to save snapshot "${key}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the last snapshot for a key
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { data, fetchedAt } or null if none saved
+     */
+    async load(key) {
+        const folder = await this.getFolder();
+        if (!folder) return null;
+
+        try {
+            const file = await folder.getEntry(toFileName(key));
+            const snapshot = JSON.parse(await file.read());
+            return { data: snapshot.data, fetchedAt: snapshot.fetchedAt };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Delete every snapshot
+     * @returns {Promise<number>} Number of snapshots removed
+     */
+    async clear() {
+        const folder = await this.getFolder();
+        if (!folder) return 0;
+
+        let removed = 0;
+        try {
+            const entries = await folder.getEntries();
+            for (const entry of entries) {
+                if (entry.isFile) {
+                    await entry.delete();
+                    removed++;
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to clear snapshots:', error);
+        }
+        return removed;
+    }
+}
+
+// Failures that say nothing about the data itself - Google could not be reached or is
+// struggling - so the last snapshot is still the best copy to work from
+const FALLBACK_ERROR_TYPES = [
+    API_ERROR_TYPES.OFFLINE,
+    API_ERROR_TYPES.SERVER,
+    API_ERROR_TYPES.QUOTA
+];
+
+/**
+ * Run a Sheets/Drive fetch, saving a snapshot on success and falling back
+ * to the last snapshot if Google could not be reached (offline, server error, rate limit)
+ * A workbook that was deleted or unshared, a signed-out session or a cancelled request
+ * returns the typed error instead - old data would hide the problem
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Async function returning a { success, ... } result
+ * @returns {Promise<Object>} The fetch result with fromCache: false, or the snapshot
+ *   with fromCache: true, fetchedAt, offlineReason and offlineErrorType; the failed result
+ *   for any other failure or when no snapshot exists
+ */
+async function fetchWithSnapshot(key, fetcher) {
+    let result;
+    try {
+        result = await fetcher();
+    } catch (error) {
+        result = toErrorResult(error);
+    }
+
+    if (result.success) {
+        await snapshotCache.save(key, result);
+        return { ...result, fromCache: false };
+    }
+
+    if (!FALLBACK_ERROR_TYPES.includes(result.errorType)) {
+        return result;
+    }
+
+    const snapshot = await snapshotCache.load(key);
+    if (!snapshot) {
+        return result;
+    }
+
+    console.warn(`Using snapshot "${key}" from ${snapshot.fetchedAt}: ${result.error}`);
+    return {
+        ...snapshot.data,
+        success: true,
+        fromCache: true,
+        fetchedAt: snapshot.fetchedAt,
+        offlineReason: result.error,
+        offlineErrorType: result.errorType
+    };
+}
+
+/**
+ * Cache keys for each kind of fetched data
+ */
+const snapshotKeys = {
+    workbookList: (folderId) => `workbook-list-${folderId || 'all'}`,
+    workbookInfo: (spreadsheetId) => `workbook-info-${spreadsheetId}`,
+    workbookTabs: (spreadsheetId) => `workbook-tabs-${spreadsheetId}`,
+    tab: (spreadsheetId, tabName) => `tab-${spreadsheetId}-${tabName}`,
+    handicaps: (spreadsheetId) => `handicaps-${spreadsheetId}`
+};
+
+// Singleton instance
+const snapshotCache = new SnapshotCache();
+
+// CommonJS exports for UXP
+module.exports = { snapshotCache, fetchWithSnapshot, snapshotKeys };
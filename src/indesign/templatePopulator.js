@@ -5,8 +5,15 @@
  */
 
 const { app } = require('indesign');
-const { calculateTeamHandicap } = require('../matchmaking/teamHandicap');
-const { processHandicapForDisplay } = require('../matchmaking/handicapRounding');
+const { getDisplayHandicap } = require('../matchmaking/handicapRounding');
+const { formatDisplayName } = require('../data/playerNames');
+
+/**
+ * Format a bracket name for the page - each side of a doubles team ("A & B") on its own
+ */
+function formatBracketName(name) {
+    return (name || '').split(' & ').map(formatDisplayName).join(' & ');
+}
 
 /**
  * Builds a cache of all named text frames in the document for fast lookup.
@@ -214,7 +221,7 @@ function populateTextFrame(doc, frameName, player) {
         }
 
         // Format player text based on available data
-        let playerText = player.name;
+        let playerText = formatBracketName(player.name);
 
         // Add handicap if available (prefer singles for singles events, doubles for doubles)
         const handicap = player.singlesHandicap ?? player.doublesHandicap;
@@ -283,40 +290,8 @@ function populateTextFrameCached(frameCache, frameName, player, eventContext = {
         }
 
         // Format player text based on available data
-        let playerText = player.name;
-        const eventName = eventContext.eventName || '';
-        const isDoubles = eventContext.isDoubles || false;
-
-        // Calculate and format handicap based on event type
-        let displayHandicap = '';
-
-        if (isDoubles && player.rawEntry) {
-            // Doubles: Calculate team handicap using IRTPA algorithm
-            // rawEntry should have player and partner handicap info
-            const entry = player.rawEntry;
-            const playerHandicap = entry.singlesHCAP ?? entry.singlesHandicap ?? entry.handicap;
-            const partnerHandicap = entry.partnerSinglesHCAP ?? entry.partnerSinglesHandicap ?? entry.partnerHandicap;
-
-            if (playerHandicap !== null && playerHandicap !== undefined &&
-                partnerHandicap !== null && partnerHandicap !== undefined) {
-                const teamResult = calculateTeamHandicap(
-                    { singlesHandicap: playerHandicap },
-                    { singlesHandicap: partnerHandicap }
-                );
-                if (teamResult.success) {
-                    displayHandicap = processHandicapForDisplay(teamResult.teamHandicap, eventName);
-                }
-            } else if (playerHandicap !== null && playerHandicap !== undefined) {
-                // Fallback: use player's handicap if partner info unavailable
-                displayHandicap = processHandicapForDisplay(playerHandicap, eventName);
-            }
-        } else {
-            // Singles: Use singles handicap with rounding
-            const handicap = player.singlesHandicap ?? player.doublesHandicap;
-            if (handicap !== null && handicap !== undefined) {
-                displayHandicap = processHandicapForDisplay(handicap, eventName);
-            }
-        }
+        let playerText = formatBracketName(player.name);
+        const displayHandicap = getDisplayHandicap(player, eventContext);
 
         // Add handicap to player text if available
         if (displayHandicap !== '') {
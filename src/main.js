@@ -12,14 +12,33 @@ console.log('main.js: Starting module load...');
 // UXP/CommonJS Module Imports - paths relative to src/ directory
 console.log('main.js: Importing modules...');
 const { CONFIG } = require('./config.js');
-const { sheetsAPI } = require('./data/sheetsAPI.js');
-const { parseEventTabData } = require('./data/formParser.js');
+const { sheetsAPI, parseDriveFolderId } = require('./data/sheetsAPI.js');
+const { API_ERROR_TYPES, getErrorAdvice } = require('./data/apiErrors.js');
+const { credentialStore } = require('./data/credentialStore.js');
+const { parseEventTabData, parseWorkbookTabs } = require('./data/formParser.js');
+const { ENTRY_FIELDS, checkColumnMapping, columnMappingStore } = require('./data/columnMappings.js');
+const { LATE_HANDLING, parseFormTimestamp, getEnteredAt, applyEntryDeadline, entryDeadlineStore } = require('./data/entryDeadlines.js');
+const { getSubmissionKey, submissionChoiceStore } = require('./data/repeatSubmissions.js');
+const { REVIEW_REASON_LABELS, getPartnerEventChoices, getPartnerCandidates, buildPartnerReviewList, createPartnerDecision, partnerDecisionStore } = require('./data/partnerReview.js');
+const { IDENTITY_STATUS } = require('./data/partnerIdentity.js');
 const { handicapData } = require('./data/handicapData.js');
+const { MEMBERSHIP_STATUS, tagMembership, membershipList } = require('./data/membership.js');
 const { seedParticipants } = require('./matchmaking/seedingEngine.js');
 const { generateBracket, getFlatMatchList, validateBracket, getBracketStats } = require('./matchmaking/pairingEngine.js');
-const { validateEntries, generateValidationReport } = require('./matchmaking/validation.js');
+const { MAX_ENTRIES_PER_PLAYER, validateEntries, generateValidationReport } = require('./matchmaking/validation.js');
 // availabilityMatcher.js removed - availability logic now in seedingEngine.js
 const { populateDocument, validateTemplateFrames } = require('./indesign/templatePopulator.js');
+const { fetchWithSnapshot, snapshotKeys } = require('./data/snapshotCache.js');
+const { localFileSource, getDataSource } = require('./data/dataSources.js');
+const { drawVersionStore, hasVersionChanged } = require('./data/drawVersionStore.js');
+const { summarizeEntries, diffEntries, formatEntryChanges } = require('./matchmaking/entryChanges.js');
+const { describeAvailability } = require('./matchmaking/availability.js');
+const { buildPlayerEntryIndex } = require('./matchmaking/playerEntryIndex.js');
+const { suggestPartners } = require('./matchmaking/partnerFinder.js');
+const { formatHandicapForDisplay } = require('./matchmaking/handicapRounding.js');
+const { findMissingTeamEntries } = require('./matchmaking/missingTeamEntries.js');
+const { getWorkbookUrl, attachSheetLinks } = require('./data/sheetLinks.js');
+const { buildDrawSheetValues, getDrawTabTitle, isDrawTabTitle } = require('./data/drawSheetExport.js');
 const { NavigationManager } = require('./navigation.js');
 
 // ============================================================
@@ -124,27 +143,146 @@ async function processWorkbookSelection(workbookId) {
 
     // Load tabs from selected workbook
     showLoading('Loading event tabs...');
-    const result = await sheetsAPI.getSpreadsheetInfo(workbookId);
+    const result = await getDataSource(workbookId).getWorkbookTabs(workbookId);
+    noteDataSource(result);
 
     if (result.success) {
-        appState.eventWorkbookTabs = result.sheets;
-        populateEventTabSelect(result.sheets);
+        // Draw tabs written back by this panel are not event tabs
+        appState.eventWorkbookTabs = result.sheets.filter(sheet => !isDrawTabTitle(sheet.title));
+        populateEventTabSelect(appState.eventWorkbookTabs);
         elements.selectEventTab.disabled = false;
         hideLoading();
 
+        // Load every event tab in one request for season-wide checks
+        await loadWorkbookEntries();
+
+        // A single response sheet is offered as its events rather than as one tab
+        const formEvents = Object.keys(appState.formEventSources);
+        if (formEvents.length > 0) {
+            const sourceTabs = Object.values(appState.formEventSources);
+            populateEventTabSelect(appState.eventWorkbookTabs
+                .filter(sheet => !sourceTabs.includes(sheet.title))
+                .concat(formEvents.map(title => ({ title }))));
+        }
+
         // Auto-load handicap spreadsheet if not already loaded
         if (!appState.handicapLoaded) {
             await autoLoadHandicapSpreadsheet();
         }
+
+        // Membership list (optional - the handicap roster is used without one)
+        if (!appState.membershipLoaded) {
+            await autoLoadMembershipList();
+        }
     } else {
         hideLoading();
-        showError('Failed to load tabs: ' + result.error);
+        showRequestError('Failed to load tabs', result);
         elements.selectEventTab.disabled = true;
     }
 
     console.log('=== WORKBOOK SELECTION PROCESSED ===');
 }
 
+/**
+ * Fetch and parse every event tab of the selected workbook (one batchGet call for Google Sheets)
+ * Failures are logged only - single-tab loading still works without this model
+ */
+async function loadWorkbookEntries() {
+    appState.workbookEntries = null;
+    appState.formEventSources = {};
+
+    // The tab sizes were fetched with the tab list - reuse them rather than asking again
+    const titles = appState.eventWorkbookTabs.map(sheet => sheet.title);
+    const result = await getDataSource(appState.eventWorkbookId)
+        .getAllTabValues(appState.eventWorkbookId, titles, { sheets: appState.eventWorkbookTabs });
+    noteDataSource(result);
+
+    if (!result.success) {
+        console.warn('Failed to batch load workbook tabs:', result.error);
+        return;
+    }
+
+    appState.workbookEntries = parseWorkbookTabs(result.tabs, appState.eventWorkbookName || '', getEntryParseOptions());
+    appState.formEventSources = appState.workbookEntries.formEventSources;
+    console.log(`Loaded ${appState.workbookEntries.totalEntries} entries across ${Object.keys(appState.workbookEntries.events).length} event tabs`);
+
+    if (Object.keys(appState.workbookEntries.failed).length > 0) {
+        console.warn('Tabs that could not be parsed:', appState.workbookEntries.failed);
+    }
+
+    appState.sportWorkbookEntries[appState.eventWorkbookId] = {
+        workbookId: appState.eventWorkbookId,
+        workbookName: appState.eventWorkbookName || '',
+        events: appState.workbookEntries.events
+    };
+    rebuildPlayerIndex();
+}
+
+/**
+ * Parse every event tab of every sport workbook (handicap rosters excluded) into the player index
+ * Workbooks already parsed this session are reused unless `refresh` is set. These reads skip the
+ * offline snapshots and leave the data-source banner alone - they are not what staff have open
+ *
+ * @param {Object} options - { refresh, showProgress }
+ */
+async function loadPlayerEntryIndex(options = {}) {
+    const { refresh = false, showProgress = false } = options;
+    const workbooks = appState.availableSpreadsheets.filter(sheet => !isRosterWorkbook(sheet));
+    const failed = [];
+
+    for (let i = 0; i < workbooks.length; i++) {
+        const workbook = workbooks[i];
+        if (!refresh && appState.sportWorkbookEntries[workbook.id]) continue;
+
+        if (showProgress) {
+            showLoading(`Reading entries from "${workbook.name}" (${i + 1} of ${workbooks.length})...`);
+        }
+
+        const source = getDataSource(workbook.id);
+        const tabsResult = await source.getWorkbookTabs(workbook.id, { snapshot: false });
+        const sheets = tabsResult.success ? tabsResult.sheets.filter(sheet => !isDrawTabTitle(sheet.title)) : [];
+        const valuesResult = tabsResult.success
+            ? await source.getAllTabValues(workbook.id, sheets.map(sheet => sheet.title), { sheets, snapshot: false })
+            : tabsResult;
+
+        if (!valuesResult.success) {
+            if (valuesResult.errorType === API_ERROR_TYPES.CANCELLED) break;
+            console.warn(`Failed to read "${workbook.name}" for the player index:`, valuesResult.error);
+            failed.push(workbook.name);
+            continue;
+        }
+
+        const parsed = parseWorkbookTabs(valuesResult.tabs, workbook.name, getEntryParseOptions(workbook.id));
+        appState.sportWorkbookEntries[workbook.id] = {
+            workbookId: workbook.id,
+            workbookName: workbook.name,
+            events: parsed.events
+        };
+    }
+
+    if (showProgress) hideLoading();
+    rebuildPlayerIndex();
+    return { failed };
+}
+
+/**
+ * Rebuild the player index from the parsed sport workbooks and re-run validation with it
+ */
+function rebuildPlayerIndex() {
+    appState.playerIndex = buildPlayerEntryIndex(Object.values(appState.sportWorkbookEntries));
+    console.log(`Player index: ${appState.playerIndex.list.length} players across ${Object.keys(appState.sportWorkbookEntries).length} workbook(s)`);
+
+    if (appState.currentParticipants.length > 0) {
+        displayValidationWarnings();
+    }
+    if (elements.playerEntriesView && !elements.playerEntriesView.classList.contains('hidden')) {
+        displayPlayerEntries();
+    }
+    if (elements.missingTeamsView && !elements.missingTeamsView.classList.contains('hidden')) {
+        displayMissingTeamEntries();
+    }
+}
+
 /**
  * Process tab selection - called by click handler on sp-menu-item
  * This is the reliable path for selection in UXP (change events may not fire)
@@ -180,14 +318,29 @@ window.appState = {
     eventWorkbookId: null,               // Selected event workbook ID
     eventWorkbookName: null,             // Selected event workbook name
     eventWorkbookTabs: [],               // Available tabs in event workbook
-    selectedEventTab: null,              // Selected event tab name
+    workbookEntries: null,               // Parsed entries for every event tab in the workbook
+    sportWorkbookEntries: {},            // Parsed event tabs of every sport workbook, keyed by workbook ID
+    playerIndex: null,                   // Player → entries across all events (see playerEntryIndex.js)
+    selectedEventTab: null,              // Selected event tab name (or event of a single response sheet)
+    formEventSources: {},                // Event → response sheet tab, for single-sheet forms
     handicapWorkbookId: null,            // Selected handicap workbook ID
     handicapWorkbookName: null,          // Selected handicap workbook name
     handicapLoaded: false,               // Whether handicaps are loaded
+    membershipLoaded: false,             // Whether a membership list workbook is loaded
+    localFilesLoaded: false,             // Whether CSV/XLSX files have been opened from disk
     formEntries: [],                     // Parsed entries from selected tab
+    entryTabValues: null,                // Raw values of the selected tab (re-parsed when the column mapping changes)
+    entryHeaderRowIndex: 0,              // Row of entryTabValues holding the headers (detected)
+    columnMapping: [],                   // Column → field mapping used for the selected tab
+    entryDeadline: null,                 // { deadline, lateHandling } for the selected tab, if set
+    waitlist: [],                        // Late entries held back from the draw
+    entriesVersion: null,                // Workbook { modifiedTime, version } the entries were loaded at
+    entriesCachedAt: null,               // Fetch time of the offline snapshot the entries came from, if any
     currentParticipants: [],             // Participants with handicaps matched
     currentBracket: null,                // Generated bracket
-    validationResult: null               // Validation results
+    currentEventContext: null,           // Event context the bracket was generated with
+    validationResult: null,              // Validation results
+    cachedDataFetchedAt: null            // Fetch time of the oldest offline snapshot in use (ISO string)
 };
 
 // Create local reference for backward compatibility
@@ -203,6 +356,8 @@ function initialize() {
     initializeUI();
     setupEventListeners();
     initializeNavigation();
+    // Persist tokens to secure storage whenever they change (sign-in and every refresh)
+    sheetsAPI.onTokensChanged = (session) => credentialStore.save(session);
     checkSavedConnection();
     console.log('====================================');
     console.log('Tournament Matcher: Initialization complete');
@@ -234,31 +389,70 @@ function initializeUI() {
     elements = {
         // Connection
         btnConnect: document.getElementById('btn-connect'),
+        btnDisconnect: document.getElementById('btn-disconnect'),
+        btnWorkOffline: document.getElementById('btn-work-offline'),
+        btnOpenLocalFiles: document.getElementById('btn-open-local-files'),
+        btnAddLocalFiles: document.getElementById('btn-add-local-files'),
+        stalenessBanner: document.getElementById('staleness-banner'),
         connectionStatus: document.getElementById('connection-status'),
         statusIndicator: document.getElementById('status-indicator'),
         statusText: document.getElementById('status-text'),
-        authCodeContainer: document.getElementById('auth-code-container'),
-        inputAuthCode: document.getElementById('input-auth-code'),
-        btnSubmitAuth: document.getElementById('btn-submit-auth'),
 
         // Event Selection (NEW)
         eventSelectionSection: document.getElementById('event-selection-section'),
+        inputTournamentFolder: document.getElementById('input-tournament-folder'),
+        inputWorkbookSearch: document.getElementById('input-workbook-search'),
         selectEventWorkbook: document.getElementById('select-event-workbook'),
         selectEventTab: document.getElementById('select-event-tab'),
 
         // Load Entries Button
         btnLoadEntries: document.getElementById('btn-load-entries'),
 
+        // Partner Review
+        partnerReviewList: document.getElementById('partner-review-list'),
+        partnerReviewCount: document.getElementById('partner-review-count'),
+        partnerReviewSummary: document.getElementById('partner-review-summary'),
+        partnerFinder: document.getElementById('partner-finder'),
+        partnerFinderSummary: document.getElementById('partner-finder-summary'),
+        partnerFinderList: document.getElementById('partner-finder-list'),
+
         // Participants
         participantsSection: document.getElementById('participants-section'),
         participantsList: document.getElementById('participants-list'),
         participantCount: document.getElementById('participant-count'),
         validationWarnings: document.getElementById('validation-warnings'),
+        entryChanges: document.getElementById('entry-changes'),
+        repeatSubmissions: document.getElementById('repeat-submissions'),
+        btnCheckChanges: document.getElementById('btn-check-changes'),
         btnGenerate: document.getElementById('btn-generate'),
+        btnWriteDraw: document.getElementById('btn-write-draw'),
+        inputEntryDeadline: document.getElementById('input-entry-deadline'),
+        selectLateHandling: document.getElementById('select-late-handling'),
+        btnApplyDeadline: document.getElementById('btn-apply-deadline'),
+        waitlistContainer: document.getElementById('waitlist-container'),
+        waitlistList: document.getElementById('waitlist-list'),
+        waitlistCount: document.getElementById('waitlist-count'),
+        btnPlayerEntries: document.getElementById('btn-player-entries'),
+        playerEntriesView: document.getElementById('player-entries-view'),
+        inputPlayerSearch: document.getElementById('input-player-search'),
+        btnRefreshPlayerIndex: document.getElementById('btn-refresh-player-index'),
+        playerEntriesSummary: document.getElementById('player-entries-summary'),
+        playerEntriesList: document.getElementById('player-entries-list'),
+        btnMissingTeams: document.getElementById('btn-missing-teams'),
+        missingTeamsView: document.getElementById('missing-teams-view'),
+        missingTeamsSummary: document.getElementById('missing-teams-summary'),
+        missingTeamsList: document.getElementById('missing-teams-list'),
+        btnEditMapping: document.getElementById('btn-edit-mapping'),
+        columnMappingEditor: document.getElementById('column-mapping-editor'),
+        columnMappingRows: document.getElementById('column-mapping-rows'),
+        columnMappingProblems: document.getElementById('column-mapping-problems'),
+        btnSaveMapping: document.getElementById('btn-save-mapping'),
+        btnResetMapping: document.getElementById('btn-reset-mapping'),
 
         // Loading & Messages
         loadingOverlay: document.getElementById('loading-overlay'),
         loadingText: document.getElementById('loading-text'),
+        btnCancelLoading: document.getElementById('btn-cancel-loading'),
         errorMessage: document.getElementById('error-message'),
         successMessage: document.getElementById('success-message')
     };
@@ -276,17 +470,36 @@ function setupEventListeners() {
 
     // Connection
     elements.btnConnect.addEventListener('click', handleConnect);
+    if (elements.btnDisconnect) {
+        elements.btnDisconnect.addEventListener('click', handleDisconnect);
+    }
+    if (elements.btnWorkOffline) {
+        elements.btnWorkOffline.addEventListener('click', handleWorkOffline);
+    }
 
-    // Auth code input - enable/disable submit button based on input
-    // Listen for multiple events to catch typing, pasting, and other input methods
-    const updateSubmitButtonState = () => {
-        const hasText = elements.inputAuthCode.value.trim().length > 0;
-        elements.btnSubmitAuth.disabled = !hasText;
-    };
-    elements.inputAuthCode.addEventListener('input', updateSubmitButtonState);
-    elements.inputAuthCode.addEventListener('paste', () => setTimeout(updateSubmitButtonState, 0));
-    elements.inputAuthCode.addEventListener('change', updateSubmitButtonState);
-    elements.inputAuthCode.addEventListener('keyup', updateSubmitButtonState);
+    // Local CSV/XLSX files - from the Connection screen (no Google sign-in) or added later
+    if (elements.btnOpenLocalFiles) {
+        elements.btnOpenLocalFiles.addEventListener('click', handleOpenLocalFiles);
+    }
+    if (elements.btnAddLocalFiles) {
+        elements.btnAddLocalFiles.addEventListener('click', handleOpenLocalFiles);
+    }
+
+    // Sign-in code page: finish with the pasted code, or cancel
+
+    // Tournament folder scope - reload the workbook list when it changes
+    if (elements.inputTournamentFolder) {
+        elements.inputTournamentFolder.value = localStorage.getItem('rtc-tournament-folder') || CONFIG.TOURNAMENT_FOLDER_ID || '';
+        elements.inputTournamentFolder.addEventListener('change', handleTournamentFolderChange);
+    }
+
+    // Workbook search - filter as you type
+    // Listen for multiple events since UXP input events may not fire reliably
+    if (elements.inputWorkbookSearch) {
+        elements.inputWorkbookSearch.addEventListener('input', populateWorkbookPicker);
+        elements.inputWorkbookSearch.addEventListener('keyup', populateWorkbookPicker);
+        elements.inputWorkbookSearch.addEventListener('change', populateWorkbookPicker);
+    }
 
     // NEW: Event Workbook & Tab Selection
     if (elements.selectEventWorkbook) {
@@ -299,8 +512,60 @@ function setupEventListeners() {
         elements.btnLoadEntries.addEventListener('click', handleLoadEntries);
     }
 
+    // Cancel stops in-flight Google requests; the waiting action reports the cancellation
+    if (elements.btnCancelLoading) {
+        elements.btnCancelLoading.addEventListener('click', () => {
+            sheetsAPI.cancelPendingRequests();
+            hideLoading();
+        });
+    }
+
     // Bracket Actions
     elements.btnGenerate.addEventListener('click', handleGenerateBracket);
+    if (elements.btnWriteDraw) {
+        elements.btnWriteDraw.addEventListener('click', handleWriteDrawToSheet);
+    }
+    if (elements.btnCheckChanges) {
+        elements.btnCheckChanges.addEventListener('click', handleCheckForChanges);
+    }
+
+    // Entry deadline (Participants screen)
+    if (elements.selectLateHandling) {
+        populatePickerWithItems(elements.selectLateHandling, LATE_HANDLING_ITEMS, (value) => {
+            lateHandlingChoice = value;
+        });
+    }
+    if (elements.btnApplyDeadline) {
+        elements.btnApplyDeadline.addEventListener('click', handleApplyDeadline);
+    }
+
+    // Player Entries view (Participants screen)
+    if (elements.btnPlayerEntries) {
+        elements.btnPlayerEntries.addEventListener('click', togglePlayerEntriesView);
+    }
+    if (elements.btnRefreshPlayerIndex) {
+        elements.btnRefreshPlayerIndex.addEventListener('click', () => handleRefreshPlayerIndex(true));
+    }
+    if (elements.inputPlayerSearch) {
+        elements.inputPlayerSearch.addEventListener('input', displayPlayerEntries);
+        elements.inputPlayerSearch.addEventListener('keyup', displayPlayerEntries);
+    }
+
+    // Missing Team Entries view (Participants screen)
+    if (elements.btnMissingTeams) {
+        elements.btnMissingTeams.addEventListener('click', toggleMissingTeamsView);
+    }
+
+    // Column mapping editor (Participants screen)
+    if (elements.btnEditMapping) {
+        elements.btnEditMapping.addEventListener('click', toggleColumnMappingEditor);
+    }
+    if (elements.btnSaveMapping) {
+        elements.btnSaveMapping.addEventListener('click', handleSaveColumnMapping);
+    }
+    if (elements.btnResetMapping) {
+        elements.btnResetMapping.addEventListener('click', handleResetColumnMapping);
+    }
 
     // Initialize pickers to show placeholders
     initializePickers();
@@ -340,45 +605,52 @@ function initializePickers() {
 }
 
 /**
- * Clear all saved connection data from localStorage
+ * Clear the saved Google session and remembered workbook selections
  */
-function clearSavedConnectionData() {
-    localStorage.removeItem('rtc-sheets-tokens');
-    localStorage.removeItem('rtc-sheets-credentials');
+async function clearSavedConnectionData() {
+    await credentialStore.clear();
     localStorage.removeItem('rtc-selected-spreadsheet');
     localStorage.removeItem('rtc-handicap-workbook');
 }
 
 /**
- * Check for saved connection data and attempt to restore session
+ * OAuth client credentials from config (the client secret stays on the sign-in relay)
+ */
+function getOAuthCredentials() {
+    return {
+        client_id: CONFIG.GOOGLE_CLIENT_ID
+    };
+}
+
+/**
+ * Check for a saved session in secure storage and attempt to restore it
  */
 async function checkSavedConnection() {
-    const savedTokens = localStorage.getItem('rtc-sheets-tokens');
-    const savedCredentials = localStorage.getItem('rtc-sheets-credentials');
+    const session = await credentialStore.load();
 
-    // Must have both tokens and credentials to attempt reconnection
-    if (!savedTokens || !savedCredentials) {
+    if (!session || !session.accessToken) {
         // No saved session - ensure disconnected state
         setConnectedState(false);
         return;
     }
 
     try {
-        const tokens = JSON.parse(savedTokens);
-        const credentials = JSON.parse(savedCredentials);
-
-        sheetsAPI.initialize(credentials);
-        sheetsAPI.restoreTokens(tokens);
+        sheetsAPI.initialize({
+            ...getOAuthCredentials(),
+            client_id: session.clientId || CONFIG.GOOGLE_CLIENT_ID
+        });
+        sheetsAPI.restoreTokens(session);
 
         // Check if we have valid authentication
         if (!sheetsAPI.isAuthenticated) {
             console.warn('Saved tokens are invalid or expired');
-            clearSavedConnectionData();
+            await clearSavedConnectionData();
             setConnectedState(false);
             return;
         }
 
         // Try to validate the connection by loading spreadsheets
+        // An expired access token is refreshed before the first request using the saved expiry
         showLoading('Restoring connection...');
         await loadAndPopulateWorkbooks();
 
@@ -387,7 +659,7 @@ async function checkSavedConnection() {
 
     } catch (error) {
         console.error('Failed to restore connection:', error);
-        clearSavedConnectionData();
+        await clearSavedConnectionData();
         setConnectedState(false);
         hideLoading();
     }
@@ -395,6 +667,8 @@ async function checkSavedConnection() {
 
 /**
  * Handle Google Sheets connection
+ * Signs in through the browser with PKCE; Google redirects to the sign-in relay, and the
+ * panel polls the relay until it has the tokens - nothing is pasted back into the panel
  */
 async function handleConnect() {
     console.log('Connect button clicked');
@@ -404,15 +678,17 @@ async function handleConnect() {
 
         showLoading('Connecting to Google Sheets...');
 
-        // Step 1: Use hardcoded credentials from config
-        const credentials = {
-            client_id: CONFIG.GOOGLE_CLIENT_ID,
-            client_secret: CONFIG.GOOGLE_CLIENT_SECRET
-        };
+        // Step 1: Use client ID from config (the client secret stays on the sign-in relay)
+        const credentials = getOAuthCredentials();
 
         // Validate credentials are configured
         if (!credentials.client_id || credentials.client_id === 'YOUR_CLIENT_ID_HERE') {
-            showError('Please configure Google OAuth credentials in scripts/config.js');
+            showError('Please configure GOOGLE_CLIENT_ID in src/config.local.js');
+            hideLoading();
+            return;
+        }
+        if (!CONFIG.OAUTH_RELAY_URL) {
+            showError('Please configure OAUTH_RELAY_URL in src/config.local.js (see docs/README.md)');
             hideLoading();
             return;
         }
@@ -425,66 +701,26 @@ async function handleConnect() {
             return;
         }
 
-        // Step 2: Get authorization URL and open in browser
+        // Step 2: Sign in in the browser and wait for the relay to complete it
         const authUrl = sheetsAPI.getAuthUrl();
-        showInfo(`Opening authorization page...`);
+        showInfo('Opening authorization page...');
 
-        // Open auth URL (UXP will handle this)
         const { shell } = require('uxp');
         await shell.openExternal(authUrl);
 
-        // Step 3: Show auth code input and hide connect button
-        elements.authCodeContainer.classList.remove('hidden');
-        elements.btnConnect.classList.add('hidden');
-        hideLoading();
-
-        // Setup one-time event listener for auth code submission
-        // Wrap in try-catch to prevent unhandled promise rejections
-        elements.btnSubmitAuth.onclick = async () => {
-            try {
-                await completeAuthentication(credentials);
-            } catch (error) {
-                console.error('Auth submission error:', error);
-                showError(`Authentication failed: ${error.message}`);
-                hideLoading();
-            }
-        };
-
-    } catch (error) {
-        console.error('Connection error:', error);
-        showError(`Connection failed: ${error.message}`);
-        hideLoading();
-    }
-}
-
-/**
- * Complete authentication after user pastes auth code
- */
-async function completeAuthentication(credentials) {
-    try {
-        const authCode = elements.inputAuthCode.value.trim();
-        if (!authCode) {
-            showError('Please enter the authorization code');
-            return;
-        }
-
-        showLoading('Completing authentication...');
+        // The loading overlay's Cancel button stops the wait (cancelPendingRequests)
+        showLoading('Waiting for sign-in in your browser...');
+        const tokenResult = await sheetsAPI.waitForSignIn();
 
-        // Exchange code for tokens
-        const tokenResult = await sheetsAPI.exchangeCodeForTokens(authCode);
         if (!tokenResult.success) {
-            showError(`Authentication failed: ${tokenResult.error}`);
+            showError(tokenResult.errorType === API_ERROR_TYPES.CANCELLED
+                ? 'Sign-in cancelled'
+                : `Authentication failed: ${tokenResult.error}`);
             hideLoading();
             return;
         }
 
-        // Save tokens and credentials
-        localStorage.setItem('rtc-sheets-tokens', JSON.stringify(sheetsAPI.saveTokens()));
-        localStorage.setItem('rtc-sheets-credentials', JSON.stringify(credentials));
-
-        // Hide auth code input
-        elements.authCodeContainer.classList.add('hidden');
-        elements.inputAuthCode.value = ''; // Clear the input
+        // Step 3: Tokens were saved to secure storage by sheetsAPI.onTokensChanged
 
         // Load available spreadsheets and populate workbook dropdowns
         await loadAndPopulateWorkbooks();
@@ -492,8 +728,8 @@ async function completeAuthentication(credentials) {
         hideLoading();
 
     } catch (error) {
-        console.error('Authentication completion error:', error);
-        showError(`Failed to complete authentication: ${error.message}`);
+        console.error('Connection error:', error);
+        showError(`Connection failed: ${error.message}`);
         hideLoading();
     }
 }
@@ -505,43 +741,30 @@ async function loadAndPopulateWorkbooks() {
     try {
         showLoading('Loading your spreadsheets...');
 
-        // List all spreadsheets from Google Drive
-        const listResult = await sheetsAPI.listSpreadsheets();
+        // List spreadsheets from Google Drive (scoped to the tournament folder if set)
+        const listResult = await fetchWorkbookList();
 
         if (!listResult.success) {
-            showError(`Failed to load spreadsheets: ${listResult.error}`);
+            showRequestError('Failed to load spreadsheets', listResult);
             hideLoading();
             return;
         }
 
-        appState.availableSpreadsheets = listResult.spreadsheets;
-
-        // Populate event workbook dropdown with click handlers for reliable selection
-        if (elements.selectEventWorkbook) {
-            console.log('=== POPULATING WORKBOOK PICKER ===');
-
-            // Filter out spreadsheets with "handicaps" in the name
-            const eventSpreadsheets = appState.availableSpreadsheets.filter(sheet =>
-                !sheet.name.toLowerCase().includes('handicap')
-            );
-            console.log('Event spreadsheets to populate:', eventSpreadsheets.length);
-
-            // Build items array (placeholder is handled by label attribute)
-            const items = eventSpreadsheets.map(sheet => ({
-                value: sheet.id,
-                text: sheet.name
-            }));
-
-            // Populate with click handler for reliable selection (UXP change events unreliable)
-            populatePickerWithItems(elements.selectEventWorkbook, items, processWorkbookSelection);
-
-            console.log('Workbook picker populated with', items.length, 'items');
-            console.log('=== WORKBOOK PICKER POPULATED ===');
+        // A fresh listing means we are back online - cached data will be replaced as screens reload
+        if (!listResult.fromCache) {
+            appState.cachedDataFetchedAt = null;
+            updateStalenessBanner();
         }
+        noteDataSource(listResult);
+
+        appState.availableSpreadsheets = withLocalWorkbooks(listResult.spreadsheets);
+        populateWorkbookPicker();
 
         if (listResult.spreadsheets.length > 0) {
             setConnectedState(true);
-            showSuccess(`Connected to Google Drive - Found ${listResult.spreadsheets.length} spreadsheet(s)`);
+            showSuccess(listResult.fromCache
+                ? `Offline - using ${listResult.spreadsheets.length} saved spreadsheet(s)`
+                : `Connected to Google Drive - Found ${listResult.spreadsheets.length} spreadsheet(s)`);
 
             // Load any saved handicap data
             await loadSavedHandicapData();
@@ -559,12 +782,116 @@ async function loadAndPopulateWorkbooks() {
     } catch (error) {
         console.error('Failed to load workbooks:', error);
         showError(`Failed to load spreadsheets: ${error.message}`);
-        clearSavedConnectionData();
+        await clearSavedConnectionData();
         setConnectedState(false);
         hideLoading();
     }
 }
 
+/**
+ * Get the configured tournament folder ID (panel setting overrides config)
+ */
+function getTournamentFolderId() {
+    const saved = localStorage.getItem('rtc-tournament-folder');
+    return parseDriveFolderId(saved !== null ? saved : CONFIG.TOURNAMENT_FOLDER_ID);
+}
+
+/**
+ * Fetch the spreadsheet list for the workbook picker
+ * When a tournament folder is set, only its workbooks are listed, plus any handicap
+ * workbooks elsewhere in Drive so the roster can still be auto-loaded
+ * Falls back to the last saved listing for this folder when offline
+ */
+async function fetchWorkbookList() {
+    const folderId = getTournamentFolderId();
+    return fetchWithSnapshot(snapshotKeys.workbookList(folderId), () => fetchWorkbookListOnline(folderId));
+}
+
+/**
+ * List workbooks from Drive for the given folder scope
+ */
+async function fetchWorkbookListOnline(folderId) {
+    const listResult = await sheetsAPI.listSpreadsheets({ folderId });
+
+    if (!listResult.success || !folderId) {
+        return listResult;
+    }
+
+    const handicapResult = await sheetsAPI.listSpreadsheets({ nameContains: 'handicap' });
+    if (handicapResult.success) {
+        const knownIds = new Set(listResult.spreadsheets.map(sheet => sheet.id));
+        handicapResult.spreadsheets
+            .filter(sheet => !knownIds.has(sheet.id))
+            .forEach(sheet => listResult.spreadsheets.push(sheet));
+    } else {
+        console.warn('Failed to look up handicap workbooks:', handicapResult.error);
+    }
+
+    return listResult;
+}
+
+/**
+ * Populate the event workbook picker, applying the search filter
+ * Every whitespace-separated search term must appear in the workbook name
+ */
+function populateWorkbookPicker() {
+    if (!elements.selectEventWorkbook) return;
+
+    console.log('=== POPULATING WORKBOOK PICKER ===');
+
+    // Filter out the handicap roster and membership list
+    const eventSpreadsheets = appState.availableSpreadsheets.filter(sheet => !isRosterWorkbook(sheet));
+
+    const searchText = elements.inputWorkbookSearch ? elements.inputWorkbookSearch.value : '';
+    const terms = searchText.toLowerCase().split(/\s+/).filter(term => term);
+    const matchingSpreadsheets = eventSpreadsheets.filter(sheet =>
+        terms.every(term => sheet.name.toLowerCase().includes(term))
+    );
+    console.log(`Event spreadsheets to populate: ${matchingSpreadsheets.length} of ${eventSpreadsheets.length}`);
+
+    // Build items array (placeholder is handled by label attribute)
+    const items = matchingSpreadsheets.map(sheet => ({
+        value: sheet.id,
+        text: sheet.source === 'local' ? `${sheet.name} (local file)` : sheet.name
+    }));
+
+    // Populate with click handler for reliable selection (UXP change events unreliable)
+    populatePickerWithItems(elements.selectEventWorkbook, items, processWorkbookSelection);
+
+    console.log('Workbook picker populated with', items.length, 'items');
+    console.log('=== WORKBOOK PICKER POPULATED ===');
+}
+
+/**
+ * Handle tournament folder change - save the setting and reload the workbook list
+ */
+async function handleTournamentFolderChange() {
+    const value = elements.inputTournamentFolder.value.trim();
+    localStorage.setItem('rtc-tournament-folder', value);
+
+    if (!appState.connected) return;
+
+    showLoading('Loading workbooks...');
+    const listResult = await fetchWorkbookList();
+    hideLoading();
+
+    if (!listResult.success) {
+        showRequestError('Failed to load spreadsheets', listResult);
+        return;
+    }
+    noteDataSource(listResult);
+
+    appState.availableSpreadsheets = withLocalWorkbooks(listResult.spreadsheets);
+    populateWorkbookPicker();
+
+    const workbookCount = elements.selectEventWorkbook.querySelectorAll('sp-menu-item').length;
+    if (workbookCount === 0) {
+        showError(value ? 'No workbooks found in that folder' : 'No workbooks found in Drive');
+    } else {
+        showSuccess(`Found ${workbookCount} workbook(s)`);
+    }
+}
+
 /**
  * Load handicap data from saved handicap workbook
  */
@@ -577,7 +904,8 @@ async function loadSavedHandicapData() {
 
     try {
         // Fetch all data from first sheet
-        const result = await sheetsAPI.getSheetData(savedHandicapWorkbook, 'A:Z');
+        const result = await getDataSource(savedHandicapWorkbook).getRosterValues(savedHandicapWorkbook);
+        noteDataSource(result);
 
         if (result.success) {
             const loadResult = handicapData.loadFromSheetValues(result.values);
@@ -674,11 +1002,10 @@ function populateEventTabSelect(sheets) {
 
 /**
  * Auto-detect and load handicap data from a spreadsheet named "Handicaps"
+ * Local roster files are listed first, so an opened file wins over the Drive copy
  */
 async function autoLoadHandicapSpreadsheet() {
-    const handicapSpreadsheet = appState.availableSpreadsheets.find(sheet =>
-        sheet.name.toLowerCase().includes('handicap')
-    );
+    const handicapSpreadsheet = appState.availableSpreadsheets.find(isHandicapWorkbook);
 
     if (!handicapSpreadsheet) {
         console.log('No handicap spreadsheet found in Drive');
@@ -688,7 +1015,8 @@ async function autoLoadHandicapSpreadsheet() {
     showLoading(`Loading handicaps from "${handicapSpreadsheet.name}"...`);
 
     try {
-        const result = await sheetsAPI.getSheetData(handicapSpreadsheet.id, 'A:Z');
+        const result = await getDataSource(handicapSpreadsheet.id).getRosterValues(handicapSpreadsheet.id);
+        noteDataSource(result);
 
         if (!result.success) {
             hideLoading();
@@ -717,6 +1045,47 @@ async function autoLoadHandicapSpreadsheet() {
     }
 }
 
+/**
+ * Auto-detect and load the membership list from a workbook with "member" in its name
+ * Optional - without one, membership is judged against the handicap roster
+ */
+async function autoLoadMembershipList() {
+    const membershipWorkbook = appState.availableSpreadsheets.find(isMembershipWorkbook);
+
+    if (!membershipWorkbook) {
+        console.log('No membership list found - using the handicap roster for membership');
+        return false;
+    }
+
+    showLoading(`Loading members from "${membershipWorkbook.name}"...`);
+
+    try {
+        const result = await getDataSource(membershipWorkbook.id).getRosterValues(membershipWorkbook.id);
+        noteDataSource(result);
+
+        if (!result.success) {
+            hideLoading();
+            console.warn('Failed to load membership list:', result.error);
+            return false;
+        }
+
+        const loadResult = membershipList.loadFromSheetValues(result.values);
+        hideLoading();
+
+        if (loadResult.success) {
+            appState.membershipLoaded = true;
+            showSuccess(`Loaded ${loadResult.memberCount} members from "${membershipWorkbook.name}"`);
+            return true;
+        }
+        showError(`Failed to parse membership list: ${loadResult.error}`);
+        return false;
+    } catch (error) {
+        hideLoading();
+        console.error('Error loading membership list:', error);
+        return false;
+    }
+}
+
 /**
  * Set connected/disconnected UI state
  */
@@ -725,8 +1094,15 @@ function setConnectedState(connected) {
 
     if (connected) {
         elements.statusIndicator.classList.add('connected');
-        elements.statusText.textContent = 'Connected to Google Drive';
-        elements.btnConnect.classList.add('hidden');
+        elements.statusText.textContent = appState.cachedDataFetchedAt
+            ? 'Offline - using saved data'
+            : 'Connected to Google Drive';
+        // Keep Connect available while offline so staff can sign in once the network is back
+        if (appState.cachedDataFetchedAt) {
+            elements.btnConnect.classList.remove('hidden');
+        } else {
+            elements.btnConnect.classList.add('hidden');
+        }
         // Screen visibility now handled by NavigationManager
     } else {
         elements.statusIndicator.classList.remove('connected');
@@ -734,124 +1110,448 @@ function setConnectedState(connected) {
         elements.btnConnect.classList.remove('hidden');
         // Screen visibility now handled by NavigationManager
     }
-}
 
+    // Disconnect is offered whenever a Google session is held, even an expired one
+    if (elements.btnDisconnect) {
+        const hasSession = !!(sheetsAPI.accessToken || sheetsAPI.refreshToken);
+        if (hasSession) {
+            elements.btnDisconnect.classList.remove('hidden');
+        } else {
+            elements.btnDisconnect.classList.add('hidden');
+        }
+    }
+}
 
 /**
- * Handle load entries - NEW VERSION for tab-based data
+ * Handle Disconnect - revoke Google access and wipe the saved session
+ * Offline snapshots and local files are kept so the panel can still work from them
  */
-async function handleLoadEntries() {
-    try {
-        // Check prerequisites
-        if (!appState.eventWorkbookId || !appState.selectedEventTab) {
-            showError('Please select a workbook and event tab');
-            return;
-        }
-
-        showLoading(`Loading entries from "${appState.selectedEventTab}"...`);
-
-        // Fetch data from selected tab
-        const tabRange = `${appState.selectedEventTab}!A:Z`;
-        const result = await sheetsAPI.getSheetData(appState.eventWorkbookId, tabRange);
-
-        if (!result.success) {
-            showError(`Failed to load entries: ${result.error}`);
-            hideLoading();
-            return;
-        }
-
-        // Parse event tab data (NEW parser) - pass workbook name for sport detection
-        console.log('DEBUG sport detection:', {
-            workbookName: appState.eventWorkbookName,
-            tabName: appState.selectedEventTab,
-            workbookNameType: typeof appState.eventWorkbookName
-        });
-        const parseResult = parseEventTabData(result.values, appState.selectedEventTab, appState.eventWorkbookName);
-        console.log('DEBUG detected sport:', parseResult.sport);
-
-        if (!parseResult.success) {
-            showError(`Failed to parse entries: ${parseResult.error}`);
-            hideLoading();
-            return;
-        }
+async function handleDisconnect() {
+    showLoading('Disconnecting from Google...');
 
-        appState.formEntries = parseResult.entries;
-        appState.currentSport = parseResult.sport;
+    const revokeResult = await sheetsAPI.revokeAccess();
+    await clearSavedConnectionData();
 
-        // Check handicap data requirement - only needed for court-tennis
-        if (parseResult.sport === 'court-tennis' && !appState.handicapLoaded) {
-            showError('Please load handicap data first (required for court-tennis events)');
-            hideLoading();
-            return;
+    // Drop the Drive listing and any Google workbook selection
+    appState.cachedDataFetchedAt = null;
+    Object.keys(appState.sportWorkbookEntries).forEach(workbookId => {
+        if (!localFileSource.isLocalWorkbookId(workbookId)) {
+            delete appState.sportWorkbookEntries[workbookId];
         }
+    });
+    rebuildPlayerIndex();
+    updateStalenessBanner();
+    appState.availableSpreadsheets = withLocalWorkbooks([]);
+    populateWorkbookPicker();
+
+    if (!localFileSource.isLocalWorkbookId(appState.eventWorkbookId)) {
+        appState.eventWorkbookId = null;
+        appState.eventWorkbookName = null;
+        appState.eventWorkbookTabs = [];
+        appState.workbookEntries = null;
+        appState.formEventSources = {};
+        appState.selectedEventTab = null;
+        elements.selectEventWorkbook.label = 'Select a workbook...';
+        clearPickerChildren(elements.selectEventTab);
+        elements.selectEventTab.disabled = true;
+        elements.btnLoadEntries.disabled = true;
+    }
 
-        // Enrich with handicap data - only for court-tennis
-        const eventType = parseResult.eventType; // 'singles' or 'doubles'
-        if (parseResult.sport === 'court-tennis') {
-            appState.currentParticipants = appState.formEntries.map(entry =>
-                enrichWithHandicap(entry, eventType)
-            );
-        } else {
-            // Non-tennis: skip handicap lookup entirely
-            appState.currentParticipants = appState.formEntries.map(entry => ({
-                ...entry,
-                handicap: null,
-                handicapFound: false
-            }));
-        }
+    setConnectedState(false);
+    hideLoading();
 
-        displayParticipants();
-        hideLoading();
-        showSuccess(`Loaded ${appState.currentParticipants.length} participants from ${appState.selectedEventTab}`);
+    if (revokeResult.success) {
+        showSuccess('Disconnected from Google Sheets');
+    } else {
+        showWarning(`Signed out, but Google could not be reached to revoke access (${revokeResult.error}). Access can be removed at myaccount.google.com/permissions.`);
+    }
+}
 
-        // Auto-advance to participants screen
-        if (navigationManager) {
-            setTimeout(() => navigationManager.goForward(), 800);
-        }
+/**
+ * Record that a result came from an offline snapshot
+ * The banner shows the oldest snapshot currently in use
+ */
+function noteDataSource(result) {
+    if (!result || !result.fromCache) return;
 
-    } catch (error) {
-        console.error('Load entries error:', error);
-        showError(`Failed to load entries: ${error.message}`);
-        hideLoading();
+    if (!appState.cachedDataFetchedAt || result.fetchedAt < appState.cachedDataFetchedAt) {
+        appState.cachedDataFetchedAt = result.fetchedAt;
     }
+    updateStalenessBanner();
 }
 
-
 /**
- * Enrich entry with handicap data
- * For doubles, also looks up partner's handicap for team handicap calculation
+ * Show or hide the banner saying when cached data was fetched
  */
-function enrichWithHandicap(entry, type) {
-    // Use fuzzy matching to find player by name (no sport filter needed - all handicaps in one workbook)
-    const player = handicapData.findPlayer(entry.playerName);
-
-    const enriched = {
-        ...entry,
-        // Set both generic and type-specific handicap properties for validation compatibility
-        handicap: player ? (type === 'singles' ? player.singlesHCAP : player.doublesHCAP) : null,
-        singlesHandicap: player ? player.singlesHCAP : null,
-        doublesHandicap: player ? player.doublesHCAP : null,
-        handicapFound: !!player
-    };
+function updateStalenessBanner() {
+    if (!elements.stalenessBanner) return;
 
-    // For doubles, also look up partner's handicap
-    if (type === 'doubles' && entry.partnerName) {
-        const partner = handicapData.findPlayer(entry.partnerName);
-        enriched.partnerHandicap = partner ? partner.doublesHCAP : null;
-        enriched.partnerHandicapFound = !!partner;
+    if (!appState.cachedDataFetchedAt) {
+        elements.stalenessBanner.classList.add('hidden');
+        return;
     }
 
-    return enriched;
+    const fetchedAt = new Date(appState.cachedDataFetchedAt);
+    elements.stalenessBanner.textContent =
+        `Offline - showing data saved ${fetchedAt.toLocaleString()} (${formatAge(Date.now() - fetchedAt.getTime())} ago)`;
+    elements.stalenessBanner.classList.remove('hidden');
 }
 
 /**
- * Display participants list
+ * Format a duration as a short human-readable age, e.g. "5 min", "3 h", "2 days"
  */
-function displayParticipants() {
-    elements.participantsSection.classList.remove('hidden');
-    elements.participantCount.textContent = appState.currentParticipants.length;
+function formatAge(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h`;
+    return `${Math.round(hours / 24)} days`;
+}
 
-    // Clear list
+/**
+ * Handle "Use Saved Data" - run from the last snapshots without signing in
+ */
+async function handleWorkOffline() {
+    await loadAndPopulateWorkbooks();
+
+    if (!appState.connected && !appState.cachedDataFetchedAt) {
+        showError('No saved data available offline. Connect to Google Sheets first.');
+    }
+}
+
+/**
+ * Check whether a workbook is a handicap roster rather than an event workbook
+ */
+function isHandicapWorkbook(sheet) {
+    return sheet.name.toLowerCase().includes('handicap');
+}
+
+/**
+ * Check whether a workbook is the club membership list
+ */
+function isMembershipWorkbook(sheet) {
+    return sheet.name.toLowerCase().includes('member');
+}
+
+/**
+ * Check whether a workbook is a roster (handicaps or members) rather than event entries
+ */
+function isRosterWorkbook(sheet) {
+    return isHandicapWorkbook(sheet) || isMembershipWorkbook(sheet);
+}
+
+/**
+ * Combine a Drive listing with the local files opened this session (local files first)
+ */
+function withLocalWorkbooks(spreadsheets) {
+    const localWorkbooks = localFileSource.listWorkbooks();
+    const driveWorkbooks = (spreadsheets || []).filter(sheet => sheet.source !== 'local');
+    return [...localWorkbooks, ...driveWorkbooks];
+}
+
+/**
+ * Handle "Open Local Files" - load CSV exports or XLSX workbooks from disk
+ * Roster files (name contains "handicap") replace the loaded handicaps; a single
+ * entries workbook is selected straight away so its tabs can be picked
+ */
+async function handleOpenLocalFiles() {
+    let result;
+    try {
+        result = await localFileSource.pickFiles();
+    } catch (error) {
+        console.error('Failed to open local files:', error);
+        showError(`Failed to open files: ${error.message}`);
+        return;
+    }
+
+    if (result.cancelled) return;
+
+    if (!result.success) {
+        showError(`Failed to open files: ${result.error}`);
+        return;
+    }
+
+    appState.localFilesLoaded = true;
+    appState.availableSpreadsheets = withLocalWorkbooks(appState.availableSpreadsheets);
+    populateWorkbookPicker();
+
+    if (result.workbooks.some(isHandicapWorkbook)) {
+        appState.handicapLoaded = false;
+        await autoLoadHandicapSpreadsheet();
+    }
+
+    if (result.workbooks.some(isMembershipWorkbook)) {
+        appState.membershipLoaded = false;
+        await autoLoadMembershipList();
+    }
+
+    const entryWorkbooks = result.workbooks.filter(workbook => !isRosterWorkbook(workbook));
+    if (entryWorkbooks.length === 1) {
+        elements.selectEventWorkbook.label = `${entryWorkbooks[0].name} (local file)`;
+        await processWorkbookSelection(entryWorkbooks[0].id);
+    }
+
+    if (result.errors.length > 0) {
+        showWarning(`Some files could not be read: ${result.error}`);
+    } else if (entryWorkbooks.length > 0) {
+        showSuccess(`Opened ${entryWorkbooks.map(workbook => workbook.name).join(', ')}`);
+    }
+
+    // Move on from the Connection screen when working from files only
+    if (navigationManager && navigationManager.currentScreen === 1) {
+        navigationManager.goForward();
+    }
+}
+
+/**
+ * Handle load entries - NEW VERSION for tab-based data
+ */
+async function handleLoadEntries() {
+    try {
+        // Check prerequisites
+        if (!appState.eventWorkbookId || !appState.selectedEventTab) {
+            showError('Please select a workbook and event tab');
+            return;
+        }
+
+        showLoading(`Loading entries from "${appState.selectedEventTab}"...`);
+
+        // Fetch data from selected tab (Google Sheets or local file)
+        // The workbook version is fetched alongside so a later draw can record what it was built from
+        const source = getDataSource(appState.eventWorkbookId);
+        const [result, versionResult] = await Promise.all([
+            source.getTabValues(appState.eventWorkbookId, getSelectedSourceTab()),
+            source.getWorkbookVersion(appState.eventWorkbookId)
+        ]);
+        noteDataSource(result);
+        appState.entriesVersion = versionResult.success && !result.fromCache
+            ? { modifiedTime: versionResult.modifiedTime, version: versionResult.version }
+            : null;
+        appState.entriesCachedAt = result.fromCache ? result.fetchedAt : null;
+
+        if (!result.success) {
+            showRequestError('Failed to load entries', result);
+            hideLoading();
+            return;
+        }
+
+        if (!applyEntryValues(result.values)) {
+            hideLoading();
+            return;
+        }
+
+        hideLoading();
+        showSuccess(`Loaded ${appState.currentParticipants.length} participants from ${appState.selectedEventTab}`);
+
+        // Index the other sport workbooks too, so entry limits are checked across every event -
+        // only when a tournament folder limits the list to this tournament's workbooks; without
+        // one the list is all of Drive, so that waits for Re-read All Workbooks
+        if (getTournamentFolderId()) {
+            loadPlayerEntryIndex().catch(error => console.warn('Player index failed:', error));
+        }
+
+        // Auto-advance to partner review, or straight on to participants when no partner needs a look
+        if (navigationManager) {
+            const skipReview = buildPartnerReviewList(getReviewEntries()).length === 0;
+            setTimeout(() => {
+                navigationManager.goForward();
+                if (skipReview) navigationManager.goForward();
+            }, 800);
+        }
+
+    } catch (error) {
+        console.error('Load entries error:', error);
+        showError(`Failed to load entries: ${error.message}`);
+        hideLoading();
+    }
+}
+
+
+/**
+ * Parse the selected tab's values into participants and show them
+ * Runs when entries are loaded and again when the column mapping is changed
+ *
+ * @param {Array<Array>} values - Tab values, header row first
+ * @returns {Object|null} Parse result, or null if the entries cannot be used (error already shown)
+ */
+function applyEntryValues(values) {
+    // Parse event tab data - pass workbook name for sport detection
+    console.log('DEBUG sport detection:', {
+        workbookName: appState.eventWorkbookName,
+        tabName: appState.selectedEventTab,
+        workbookNameType: typeof appState.eventWorkbookName
+    });
+    const parseResult = parseEventTabData(values, appState.selectedEventTab, appState.eventWorkbookName, getEntryParseOptions());
+    console.log('DEBUG detected sport:', parseResult.sport);
+
+    if (!parseResult.success) {
+        showError(`Failed to parse entries: ${parseResult.error}`);
+        return null;
+    }
+
+    // Each entry links back to its row in the sheet
+    const linkedEntries = attachSheetLinks(parseResult.entries, getSheetLinkTarget(parseResult.sourceTab));
+
+    // Late entries are flagged, or held on the waitlist, per the event's deadline
+    const deadlineSettings = entryDeadlineStore.get(appState.eventWorkbookId, appState.selectedEventTab);
+    const deadlineResult = applyEntryDeadline(linkedEntries, deadlineSettings);
+
+    appState.entryTabValues = values;
+    appState.entryHeaderRowIndex = parseResult.headerRowIndex;
+    appState.columnMapping = parseResult.columnMapping;
+    appState.entryDeadline = deadlineSettings;
+    appState.formEntries = deadlineResult.entries;
+    appState.currentSport = parseResult.sport;
+
+    // A previously generated draw no longer matches the loaded entries
+    appState.currentBracket = null;
+    appState.currentEventContext = null;
+    elements.btnWriteDraw.disabled = true;
+
+    // Check handicap data requirement - only needed for court-tennis
+    if (parseResult.sport === 'court-tennis' && !appState.handicapLoaded) {
+        showError('Please load handicap data first (required for court-tennis events)');
+        return null;
+    }
+
+    // Enrich with handicap data - only for court-tennis (waitlisted entries too, for display)
+    const eventType = parseResult.eventType; // 'singles' or 'doubles'
+    const withHandicap = parseResult.sport === 'court-tennis'
+        ? entry => enrichWithHandicap(entry, eventType)
+        // Non-tennis: skip handicap lookup entirely
+        : entry => ({ ...entry, handicap: null, handicapFound: false });
+    // Every player and named partner is tagged member, guest or unknown
+    const membershipSources = { members: membershipList, roster: handicapData };
+    const enrich = entry => tagMembership(withHandicap(entry), membershipSources);
+    appState.currentParticipants = deadlineResult.accepted.map(enrich);
+    appState.waitlist = deadlineResult.waitlist.map(enrich);
+
+    displayParticipants();
+    displayPartnerReview();
+    displayRepeatSubmissions(parseResult.repeatSubmissions);
+    displayDeadlineControls();
+    displayColumnMappingEditor();
+
+    // Warn if an earlier draw for this event was built from different entries
+    // (labelled when the entries are an offline snapshot, which may be older than the draw)
+    const drawRecord = drawVersionStore.get(appState.eventWorkbookId, appState.selectedEventTab);
+    displayEntryChanges(
+        drawRecord,
+        drawRecord ? diffEntries(drawRecord.entries, summarizeEntries(deadlineResult.accepted)) : null,
+        appState.entriesCachedAt
+    );
+
+    return parseResult;
+}
+
+/**
+ * Parse options for a workbook (its saved column mapping, restored submissions and partner decisions,
+ * and the handicap roster partners are matched against)
+ * For the selected workbook this also names the event to read from a single response sheet
+ */
+function getEntryParseOptions(workbookId = appState.eventWorkbookId) {
+    const isSelectedFormEvent = workbookId === appState.eventWorkbookId &&
+        !!appState.formEventSources[appState.selectedEventTab];
+
+    return {
+        mappingProfile: columnMappingStore.get(workbookId),
+        submissionChoices: submissionChoiceStore.getForWorkbook(workbookId),
+        partnerDecisions: partnerDecisionStore.getForWorkbook(workbookId),
+        rosterPlayers: handicapData.isLoaded ? handicapData.players : [],
+        formEvent: isSelectedFormEvent ? appState.selectedEventTab : null
+    };
+}
+
+/**
+ * Workbook URL and sheet ID for links to a tab's rows in the selected workbook
+ * @returns {Object|null} { workbookUrl, gid }, or null for local files
+ */
+function getSheetLinkTarget(tabTitle) {
+    if (localFileSource.isLocalWorkbookId(appState.eventWorkbookId)) return null;
+
+    const workbook = appState.availableSpreadsheets.find(sheet => sheet.id === appState.eventWorkbookId);
+    const tab = appState.eventWorkbookTabs.find(sheet => sheet.title === tabTitle);
+    if (!workbook || !tab) return null;
+
+    return { workbookUrl: getWorkbookUrl(workbook), gid: tab.id };
+}
+
+/**
+ * Open an entry's source row in the browser
+ */
+async function openSheetLink(url) {
+    try {
+        const { shell } = require('uxp');
+        await shell.openExternal(url);
+    } catch (error) {
+        console.error('Failed to open sheet link:', error);
+        showError(`Could not open the sheet: ${error.message}`);
+    }
+}
+
+/**
+ * Create a "Row N" link that opens an entry's source row
+ * @returns {HTMLElement|null} Link element, or null if the entry has no link
+ */
+function createSheetLink(sheetLink, rowIndex) {
+    if (!sheetLink) return null;
+
+    const link = document.createElement('a');
+    link.className = 'sheet-row-link';
+    link.href = sheetLink;
+    link.textContent = rowIndex ? `Open row ${rowIndex}` : 'Open in sheet';
+    link.addEventListener('click', event => {
+        event.preventDefault();
+        openSheetLink(sheetLink);
+    });
+    return link;
+}
+
+/**
+ * Tab holding the selected event's rows (the response sheet for a single-sheet form)
+ */
+function getSelectedSourceTab() {
+    return appState.formEventSources[appState.selectedEventTab] || appState.selectedEventTab;
+}
+
+/**
+ * Enrich entry with handicap data
+ * For doubles, also looks up partner's handicap for team handicap calculation
+ */
+function enrichWithHandicap(entry, type) {
+    // Use fuzzy matching to find player by name (no sport filter needed - all handicaps in one workbook)
+    const player = handicapData.findPlayer(entry.playerName);
+
+    const enriched = {
+        ...entry,
+        // Set both generic and type-specific handicap properties for validation compatibility
+        handicap: player ? (type === 'singles' ? player.singlesHCAP : player.doublesHCAP) : null,
+        singlesHandicap: player ? player.singlesHCAP : null,
+        doublesHandicap: player ? player.doublesHCAP : null,
+        handicapFound: !!player
+    };
+
+    // For doubles, also look up partner's handicap - from the roster player the partner was
+    // matched to, when partners were resolved (an unclear partner has no handicap until picked)
+    if (type === 'doubles' && entry.partnerName) {
+        const partner = entry.partnerIdentity
+            ? (entry.partnerIdentity.person && entry.partnerIdentity.person.rosterPlayer) || null
+            : handicapData.findPlayer(entry.partnerName);
+        enriched.partnerHandicap = partner ? partner.doublesHCAP : null;
+        enriched.partnerHandicapFound = !!partner;
+    }
+
+    return enriched;
+}
+
+/**
+ * Display participants list
+ */
+function displayParticipants() {
+    elements.participantsSection.classList.remove('hidden');
+    elements.participantCount.textContent = appState.currentParticipants.length;
+
+    // Clear list
     elements.participantsList.innerHTML = '';
 
     // Display each participant
@@ -860,6 +1560,20 @@ function displayParticipants() {
         elements.participantsList.appendChild(item);
     });
 
+    // Late entries held back from the draw
+    if (elements.waitlistContainer) {
+        elements.waitlistList.innerHTML = '';
+        elements.waitlistCount.textContent = appState.waitlist.length;
+        appState.waitlist.forEach(entry => {
+            elements.waitlistList.appendChild(createParticipantItem(entry));
+        });
+        if (appState.waitlist.length > 0) {
+            elements.waitlistContainer.classList.remove('hidden');
+        } else {
+            elements.waitlistContainer.classList.add('hidden');
+        }
+    }
+
     // Show validation warnings if any
     displayValidationWarnings();
 }
@@ -882,6 +1596,51 @@ function createParticipantItem(participant) {
 
     nameDiv.appendChild(name);
 
+    // Guests and players who could not be confirmed as members
+    const badges = createMembershipBadges(participant);
+    if (badges) {
+        nameDiv.appendChild(badges);
+    }
+
+    // Jump to the form response row to fix typos at the source
+    const sheetLink = createSheetLink(participant.sheetLink, participant._rowIndex);
+    if (sheetLink) {
+        nameDiv.appendChild(sheetLink);
+    }
+
+    // Availability as parsed from the form (days, times, blackout dates)
+    const availabilityText = describeAvailability(participant.availabilityDetail);
+    if (availabilityText) {
+        const availability = document.createElement('div');
+        availability.className = 'participant-availability';
+        const unparsed = participant.availabilityDetail.unparsed;
+        const unreadNote = unparsed.length > 0 && unparsed.join('; ') !== availabilityText
+            ? ` (could not read: ${unparsed.join('; ')})`
+            : '';
+        availability.textContent = `Availability: ${availabilityText}${unreadNote}`;
+        nameDiv.appendChild(availability);
+    }
+
+    // When the entry arrived (form timestamp), and whether that was after the deadline
+    const enteredAt = getEnteredAt(participant);
+    if (enteredAt || participant.isLate) {
+        const entered = document.createElement('div');
+        entered.className = 'participant-entered';
+        if (enteredAt) {
+            entered.textContent = `Entered ${new Date(enteredAt).toLocaleString()}`;
+            if (participant.submittedAt && participant.submittedAt !== enteredAt) {
+                entered.textContent += ` (updated ${new Date(participant.submittedAt).toLocaleString()})`;
+            }
+        }
+        if (participant.isLate) {
+            const late = document.createElement('span');
+            late.className = 'participant-late';
+            late.textContent = ' LATE';
+            entered.appendChild(late);
+        }
+        nameDiv.appendChild(entered);
+    }
+
     // Only show handicap warning for court-tennis events
     if (!participant.handicapFound && appState.currentSport === 'court-tennis') {
         const warning = document.createElement('div');
@@ -890,6 +1649,15 @@ function createParticipantItem(participant) {
         nameDiv.appendChild(warning);
     }
 
+    // A partner name that fits several people - picked on the Partner Review screen
+    const identity = participant.partnerIdentity;
+    if (identity && identity.status === IDENTITY_STATUS.AMBIGUOUS) {
+        const warning = document.createElement('div');
+        warning.className = 'participant-warning';
+        warning.textContent = `⚠ Partner could be: ${identity.candidates.map(candidate => candidate.person.name).join(', ')}`;
+        nameDiv.appendChild(warning);
+    }
+
     div.appendChild(nameDiv);
 
     // Only show handicap column for court-tennis events
@@ -903,6 +1671,40 @@ function createParticipantItem(participant) {
     return div;
 }
 
+/**
+ * Create badges for a non-member entrant or partner
+ * @returns {HTMLElement|null} Badge row, or null when everyone is a member (or untagged)
+ */
+function createMembershipBadges(participant) {
+    const labels = {
+        [MEMBERSHIP_STATUS.GUEST]: 'GUEST',
+        [MEMBERSHIP_STATUS.UNKNOWN]: 'NOT VERIFIED'
+    };
+    const people = [
+        { status: participant.membership, note: participant.membershipNote, prefix: '' },
+        { status: participant.partnerMembership, note: participant.partnerMembershipNote, prefix: 'PARTNER ' }
+    ].filter(person => labels[person.status]);
+
+    if (people.length === 0) return null;
+
+    const row = document.createElement('div');
+    row.className = 'participant-badges';
+    people.forEach(person => {
+        const badge = document.createElement('span');
+        badge.className = `membership-badge membership-${person.status}`;
+        badge.textContent = `${person.prefix}${labels[person.status]}`;
+        row.appendChild(badge);
+
+        if (person.note) {
+            const note = document.createElement('span');
+            note.className = 'membership-note';
+            note.textContent = person.note;
+            row.appendChild(note);
+        }
+    });
+    return row;
+}
+
 /**
  * Display validation warnings
  */
@@ -915,7 +1717,10 @@ function displayValidationWarnings() {
     };
 
     // Run full validation
-    appState.validationResult = validateEntries(appState.currentParticipants, eventInfo);
+    // Entry limits are counted across every indexed event, not just this tab
+    appState.validationResult = validateEntries(appState.currentParticipants, eventInfo, [], {
+        playerIndex: appState.playerIndex
+    });
 
     const warnings = [];
 
@@ -927,6 +1732,28 @@ function displayValidationWarnings() {
         }
     }
 
+    // Availability answers that could not be turned into days, times or blackout dates
+    const unreadAvailability = appState.currentParticipants.filter(p => p.availabilityDetail?.unparsed.length > 0);
+    if (unreadAvailability.length > 0) {
+        warnings.push(`${unreadAvailability.length} availability answer(s) could not be read - check them in the list below`);
+    }
+
+    // Entries after the event's deadline, and entries whose arrival time is unknown
+    if (appState.entryDeadline) {
+        const lateCount = appState.formEntries.filter(entry => entry.isLate).length;
+        const undatedCount = appState.formEntries.filter(entry => !getEnteredAt(entry)).length;
+        if (lateCount > 0) {
+            const handling = appState.waitlist.length > 0 ? 'on the waitlist' : 'still in the draw';
+            warnings.push(`${lateCount} entr${lateCount === 1 ? 'y' : 'ies'} arrived after the deadline (${handling})`);
+        }
+        if (undatedCount > 0) {
+            warnings.push(`${undatedCount} entr${undatedCount === 1 ? 'y has' : 'ies have'} no readable timestamp - check them against the deadline`);
+        }
+    }
+
+    // Validation warnings (guests, unconfirmed members)
+    warnings.push(...appState.validationResult.warnings);
+
     // Add other validation errors (excluding missing handicap which is already shown above)
     if (!appState.validationResult.valid) {
         const otherErrors = appState.validationResult.errors.filter(e =>
@@ -939,9 +1766,35 @@ function displayValidationWarnings() {
 
     if (warnings.length > 0 || !appState.validationResult.valid) {
         elements.validationWarnings.classList.remove('hidden');
-        elements.validationWarnings.innerHTML = warnings.map(w =>
-            `<div class="warning-item"><span class="warning-icon">⚠</span><span>${w}</span></div>`
-        ).join('');
+        // Warnings can include names from the sheet - build them with textContent
+        elements.validationWarnings.innerHTML = '';
+        warnings.forEach(warning => {
+            const item = document.createElement('div');
+            item.className = 'warning-item';
+            const icon = document.createElement('span');
+            icon.className = 'warning-icon';
+            icon.textContent = '⚠';
+            const text = document.createElement('span');
+            text.textContent = warning;
+            item.appendChild(icon);
+            item.appendChild(text);
+            elements.validationWarnings.appendChild(item);
+        });
+
+        // Each player's errors, with a link to the row to fix (names come from the sheet - use textContent)
+        appState.validationResult.errors.forEach(error => {
+            const item = document.createElement('div');
+            item.className = 'warning-item validation-error-item';
+            const text = document.createElement('span');
+            text.textContent = `${error.playerName}: ${error.errors.join('; ')}`;
+            item.appendChild(text);
+
+            const link = createSheetLink(error.sheetLink, null);
+            if (link) {
+                item.appendChild(link);
+            }
+            elements.validationWarnings.appendChild(item);
+        });
 
         // Log full validation report to console
         if (!appState.validationResult.valid) {
@@ -952,6 +1805,812 @@ function displayValidationWarnings() {
     }
 }
 
+/**
+ * Show how the entries differ from those the last draw was generated from
+ * Hidden when there is no draw record or nothing changed
+ *
+ * @param {Object|null} drawRecord - Saved draw record from drawVersionStore
+ * @param {Object|null} diff - Result from diffEntries
+ * @param {string|null} cachedAt - Fetch time of the offline snapshot the entries came from, if any
+ */
+function displayEntryChanges(drawRecord, diff, cachedAt = null) {
+    if (!elements.entryChanges) return;
+
+    elements.entryChanges.innerHTML = '';
+    if (!drawRecord || !diff || !diff.hasChanges) {
+        elements.entryChanges.classList.add('hidden');
+        return;
+    }
+
+    const generatedAt = new Date(drawRecord.generatedAt).toLocaleString();
+    const heading = cachedAt
+        ? `The saved offline copy of the entries (${new Date(cachedAt).toLocaleString()}) differs from the draw (${generatedAt}) - it may be out of date, check again when online:`
+        : `Entries changed since the draw was generated (${generatedAt}) - regenerate to include them:`;
+    const lines = [heading, ...formatEntryChanges(diff)];
+
+    // Names come from the sheet, so build the rows with textContent rather than innerHTML
+    lines.forEach((line, index) => {
+        const item = document.createElement('div');
+        item.className = 'warning-item';
+        const icon = document.createElement('span');
+        icon.className = 'warning-icon';
+        icon.textContent = index === 0 ? '⚠' : '•';
+        const text = document.createElement('span');
+        text.textContent = line;
+        item.appendChild(icon);
+        item.appendChild(text);
+        elements.entryChanges.appendChild(item);
+    });
+    elements.entryChanges.classList.remove('hidden');
+}
+
+/**
+ * Handle "Check for Entry Changes" - compare the sheet now with the entries the last draw used
+ * The workbook version is checked first, so the tab is only re-read when something was edited
+ */
+async function handleCheckForChanges() {
+    try {
+        if (!appState.eventWorkbookId || !appState.selectedEventTab) {
+            showError('Please select a workbook and event tab');
+            return;
+        }
+
+        const drawRecord = drawVersionStore.get(appState.eventWorkbookId, appState.selectedEventTab);
+        if (!drawRecord) {
+            showInfo('No draw has been generated for this event yet');
+            return;
+        }
+
+        showLoading('Checking for entry changes...');
+        const source = getDataSource(appState.eventWorkbookId);
+
+        const versionResult = await source.getWorkbookVersion(appState.eventWorkbookId);
+        if (!versionResult.success) {
+            hideLoading();
+            showRequestError('Failed to check for changes', versionResult);
+            return;
+        }
+
+        if (hasVersionChanged(drawRecord, versionResult) === false) {
+            hideLoading();
+            displayEntryChanges(drawRecord, null);
+            showSuccess('No changes to the workbook since the draw was generated');
+            return;
+        }
+
+        const result = await source.getTabValues(appState.eventWorkbookId, getSelectedSourceTab());
+        noteDataSource(result);
+        if (!result.success) {
+            hideLoading();
+            showRequestError('Failed to check for changes', result);
+            return;
+        }
+
+        // A saved copy says nothing about what changed since it was taken
+        if (result.fromCache) {
+            hideLoading();
+            showWarning(`Google could not be reached - only a saved copy of this tab from ${new Date(result.fetchedAt).toLocaleString()} is available, so changes cannot be checked now`);
+            return;
+        }
+
+        const parseResult = parseEventTabData(result.values, appState.selectedEventTab, appState.eventWorkbookName, getEntryParseOptions());
+        if (!parseResult.success) {
+            hideLoading();
+            showError(`Failed to parse entries: ${parseResult.error}`);
+            return;
+        }
+
+        const { accepted } = applyEntryDeadline(parseResult.entries, entryDeadlineStore.get(appState.eventWorkbookId, appState.selectedEventTab));
+        const diff = diffEntries(drawRecord.entries, summarizeEntries(accepted));
+        hideLoading();
+        displayEntryChanges(drawRecord, diff);
+
+        if (diff.hasChanges) {
+            showWarning(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.edited.length} edited since the draw - reload entries and regenerate`);
+        } else {
+            showSuccess('The workbook was edited, but this event\'s entries are unchanged');
+        }
+    } catch (error) {
+        hideLoading();
+        console.error('Check for changes error:', error);
+        showError(`Failed to check for changes: ${error.message}`);
+    }
+}
+
+/**
+ * List players who submitted more than once, with a button to use an earlier row instead
+ *
+ * @param {Array} repeatSubmissions - From parseEventTabData ([{ key, kept, superseded, restored }])
+ */
+function displayRepeatSubmissions(repeatSubmissions) {
+    if (!elements.repeatSubmissions) return;
+
+    elements.repeatSubmissions.innerHTML = '';
+    if (!repeatSubmissions || repeatSubmissions.length === 0) {
+        elements.repeatSubmissions.classList.add('hidden');
+        return;
+    }
+
+    const intro = document.createElement('p');
+    intro.textContent = `${repeatSubmissions.length} player(s) submitted more than once - the latest submission is used unless you pick another row:`;
+    elements.repeatSubmissions.appendChild(intro);
+
+    // Names and partners come from the sheet, so build the rows with textContent
+    repeatSubmissions.forEach(group => {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'repeat-group';
+
+        const title = document.createElement('div');
+        title.className = 'repeat-title';
+        const count = group.superseded.length + 1;
+        title.textContent = `${group.kept.playerName} - ${count} submissions${group.restored ? ' (earlier row restored)' : ''}`;
+        groupDiv.appendChild(title);
+
+        [group.kept, ...group.superseded]
+            .sort((a, b) => a._rowIndex - b._rowIndex)
+            .forEach(entry => {
+                const isKept = entry === group.kept;
+                const row = document.createElement('div');
+                row.className = isKept ? 'repeat-row kept' : 'repeat-row';
+
+                const text = document.createElement('span');
+                text.textContent = `${isKept ? '✓ ' : ''}${describeSubmission(entry)}`;
+                row.appendChild(text);
+
+                // Superseded rows can be restored; a restored row can go back to the latest
+                if (!isKept || group.restored) {
+                    const button = document.createElement('sp-button');
+                    button.setAttribute('variant', 'secondary');
+                    button.setAttribute('size', 's');
+                    button.textContent = isKept ? 'Use Latest' : 'Use This Row';
+                    button.addEventListener('click', () => handleChooseSubmission(group.key, isKept ? null : entry._rowIndex));
+                    row.appendChild(button);
+                }
+                groupDiv.appendChild(row);
+            });
+
+        elements.repeatSubmissions.appendChild(groupDiv);
+    });
+    elements.repeatSubmissions.classList.remove('hidden');
+}
+
+/**
+ * One-line description of a submission (row, arrival time, partner, availability)
+ */
+function describeSubmission(entry) {
+    const parts = [`Row ${entry._rowIndex}`];
+    if (entry.submittedAt) parts.push(`entered ${new Date(entry.submittedAt).toLocaleString()}`);
+    if (entry.partnerName) parts.push(`partner: ${entry.partnerName}`);
+    if (entry.availability) parts.push(`availability: ${entry.availability}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Use a specific row for a player's repeat submissions (null returns to the latest) and re-parse
+ */
+async function handleChooseSubmission(key, rowIndex) {
+    submissionChoiceStore.choose(appState.eventWorkbookId, appState.selectedEventTab, key, rowIndex);
+    await reapplyEntryValues(rowIndex ? `Using row ${rowIndex}` : 'Using the latest submission');
+}
+
+// Event chosen for each reviewed partner, by submission key (picker.value is unreliable in UXP)
+const partnerReviewEvents = new Map();
+
+/**
+ * Entries shown on the partner review screen (waitlisted entries too, with partners resolved)
+ */
+function getReviewEntries() {
+    return [...appState.currentParticipants, ...appState.waitlist];
+}
+
+/**
+ * Show the doubles entries whose partner answer needs a look (ambiguous, unsure, TBD or missing)
+ */
+function displayPartnerReview() {
+    if (!elements.partnerReviewList) return;
+
+    const items = buildPartnerReviewList(getReviewEntries());
+    const openCount = items.filter(item => item.reasons.length > 0).length;
+
+    elements.partnerReviewList.innerHTML = '';
+    elements.partnerReviewCount.textContent = openCount;
+    partnerReviewEvents.clear();
+
+    if (!getReviewEntries().some(entry => entry.eventType === 'doubles')) {
+        elements.partnerReviewSummary.textContent = 'Singles event - there are no partners to review.';
+    } else if (items.length === 0) {
+        elements.partnerReviewSummary.textContent = 'Every partner answer was read clearly.';
+    } else {
+        const decidedCount = items.length - openCount;
+        elements.partnerReviewSummary.textContent = `${openCount} to check, ${decidedCount} decided. ` +
+            'Pick or type the partner and the event they are for - decisions are kept when the entries are reloaded.';
+    }
+
+    items.forEach((item, index) => {
+        elements.partnerReviewList.appendChild(createPartnerReviewItem(item, index));
+    });
+
+    displayPartnerFinder();
+}
+
+/**
+ * Show partner suggestions for the event's entrants who have no partner yet
+ * Waitlisted entrants are left out - they are not in the draw
+ */
+function displayPartnerFinder() {
+    if (!elements.partnerFinder) return;
+
+    const { entrants, suggestions, withoutHandicap } = suggestPartners(
+        appState.currentParticipants,
+        appState.selectedEventTab,
+        appState.eventWorkbookName || ''
+    );
+    elements.partnerFinderList.innerHTML = '';
+
+    if (entrants.length < 2) {
+        elements.partnerFinder.classList.add('hidden');
+        return;
+    }
+    elements.partnerFinder.classList.remove('hidden');
+
+    const summary = [`${entrants.length} entrants without a partner, ${suggestions.length} possible team${suggestions.length === 1 ? '' : 's'}.`];
+    if (withoutHandicap.length > 0) {
+        summary.push(`No handicap for ${withoutHandicap.map(entry => entry.playerName).join(', ')}.`);
+    }
+    elements.partnerFinderSummary.textContent = summary.join(' ');
+
+    // Names come from the sheets, so build the rows with textContent
+    suggestions.forEach(suggestion => {
+        const [player, partner] = suggestion.players;
+
+        const item = document.createElement('div');
+        item.className = 'partner-review-item';
+
+        const name = document.createElement('div');
+        name.className = 'participant-name';
+        name.textContent = `${player.playerName} & ${partner.playerName}`;
+        item.appendChild(name);
+
+        const handicaps = document.createElement('div');
+        handicaps.className = 'partner-review-detail';
+        handicaps.textContent = `Team handicap ${formatHandicapForDisplay(suggestion.teamHandicap)} ` +
+            `(${suggestion.handicaps.map(formatHandicapForDisplay).join(' and ')})`;
+        item.appendChild(handicaps);
+
+        const availability = document.createElement('div');
+        availability.className = 'partner-review-detail';
+        availability.textContent = `Both available: ${suggestion.availability || 'any time'}`;
+        item.appendChild(availability);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'mapping-buttons';
+        const acceptButton = document.createElement('sp-button');
+        acceptButton.setAttribute('variant', 'cta');
+        acceptButton.setAttribute('size', 's');
+        acceptButton.textContent = 'Make Team';
+        acceptButton.addEventListener('click', () => handleAcceptPartnerSuggestion(suggestion));
+        buttons.appendChild(acceptButton);
+        item.appendChild(buttons);
+
+        elements.partnerFinderList.appendChild(item);
+    });
+}
+
+/**
+ * Create a review row: the answer as submitted, what was read from it, and controls to set the partner
+ */
+function createPartnerReviewItem(item, index) {
+    const { entry, key, reasons } = item;
+    const eventChoices = getPartnerEventChoices(appState.selectedEventTab, appState.eventWorkbookName || '')
+        .map(choice => ({ value: choice.value || '', text: choice.text }));
+
+    const div = document.createElement('div');
+    div.className = entry.partnerDecision ? 'partner-review-item decided' : 'partner-review-item';
+
+    const name = document.createElement('div');
+    name.className = 'participant-name';
+    name.textContent = entry.playerName;
+    div.appendChild(name);
+
+    const badges = document.createElement('div');
+    badges.className = 'participant-badges';
+    const labels = entry.partnerDecision ? ['Decided'] : reasons.map(reason => REVIEW_REASON_LABELS[reason]);
+    labels.forEach(label => {
+        const badge = document.createElement('span');
+        badge.className = entry.partnerDecision ? 'review-badge review-decided' : 'review-badge';
+        badge.textContent = label;
+        badges.appendChild(badge);
+    });
+    const sheetLink = createSheetLink(entry.sheetLink, entry._rowIndex);
+    if (sheetLink) {
+        badges.appendChild(sheetLink);
+    }
+    div.appendChild(badges);
+
+    // Answers and names come from the sheet, so build the rows with textContent
+    const answer = entry.partnerAnswer !== undefined ? entry.partnerAnswer : entry.partnerName;
+    const answerLine = document.createElement('div');
+    answerLine.className = 'partner-review-detail';
+    answerLine.textContent = `Answer: ${answer ? `"${answer}"` : '(blank)'}`;
+    div.appendChild(answerLine);
+
+    const parsed = (entry.allParsedPartners || []).map(partner =>
+        `${partner.event || 'any event'}: ${partner.isTBD ? 'TBD' : partner.partnerName}` +
+        (entry.partnerDecision ? '' : ` (${partner.confidence})`)
+    );
+    const parsedLine = document.createElement('div');
+    parsedLine.className = 'partner-review-detail';
+    parsedLine.textContent = `${entry.partnerDecision ? 'Decided' : 'Read as'}: ${parsed.length > 0 ? parsed.join('; ') : 'nothing recognized'}`;
+    div.appendChild(parsedLine);
+
+    if (entry.partnerParseWarnings && entry.partnerParseWarnings.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'participant-warning';
+        warning.textContent = entry.partnerParseWarnings.join('; ');
+        div.appendChild(warning);
+    }
+
+    // What the partner's own entry says about the team, when it was checked
+    if (entry.partnerClaim && entry.partnerClaim.note) {
+        const claim = document.createElement('div');
+        claim.className = 'partner-review-detail';
+        claim.textContent = entry.partnerClaim.note;
+        div.appendChild(claim);
+    }
+
+    const controls = document.createElement('div');
+    controls.className = 'partner-review-controls';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'select-field';
+    input.placeholder = 'Partner name, or TBD';
+    const current = entry.parsedPartner;
+    input.value = current ? (current.isTBD ? 'TBD' : current.partnerName || '') : '';
+    controls.appendChild(input);
+
+    const picker = document.createElement('sp-picker');
+    picker.id = `select-partner-event-${index}`;
+    picker.setAttribute('size', 's');
+    const selectEvent = value => {
+        const choice = eventChoices.find(option => option.value === value) || eventChoices[0];
+        partnerReviewEvents.set(key, choice.value);
+        picker.label = choice.text;
+        picker.querySelectorAll('sp-menu-item').forEach(menuItem => {
+            if (menuItem.value === choice.value) {
+                menuItem.setAttribute('selected', '');
+            } else {
+                menuItem.removeAttribute('selected');
+            }
+        });
+    };
+    populatePickerWithItems(picker, eventChoices, value => partnerReviewEvents.set(key, value));
+    selectEvent(entry.partnerDecision ? (entry.partnerDecision.event || '') : eventChoices[0].value);
+    controls.appendChild(picker);
+    div.appendChild(controls);
+
+    // People the name may be, and names the parser found, can be picked instead of typed
+    const buttons = document.createElement('div');
+    buttons.className = 'mapping-buttons';
+    getPartnerCandidates(entry).forEach(partner => {
+        const button = document.createElement('sp-button');
+        button.setAttribute('variant', 'secondary');
+        button.setAttribute('size', 's');
+        button.textContent = `Use ${partner.name}`;
+        button.addEventListener('click', () => {
+            input.value = partner.name;
+            selectEvent(partner.event || '');
+        });
+        buttons.appendChild(button);
+    });
+
+    const saveButton = document.createElement('sp-button');
+    saveButton.setAttribute('variant', 'cta');
+    saveButton.setAttribute('size', 's');
+    saveButton.textContent = 'Save Partner';
+    saveButton.addEventListener('click', () => handleSavePartnerDecision(key, input.value));
+    buttons.appendChild(saveButton);
+
+    if (entry.partnerDecision) {
+        const resetButton = document.createElement('sp-button');
+        resetButton.setAttribute('variant', 'secondary');
+        resetButton.setAttribute('size', 's');
+        resetButton.textContent = 'Use Form Answer';
+        resetButton.addEventListener('click', () => handleClearPartnerDecision(key));
+        buttons.appendChild(resetButton);
+    }
+    div.appendChild(buttons);
+
+    return div;
+}
+
+/**
+ * Save the partner picked or typed for an entry and re-parse
+ */
+async function handleSavePartnerDecision(key, partnerText) {
+    const decision = createPartnerDecision(partnerText, partnerReviewEvents.get(key) || null);
+    if (!decision) {
+        showError('Type the partner\'s name, or TBD if they are still looking');
+        return;
+    }
+
+    partnerDecisionStore.decide(appState.eventWorkbookId, appState.selectedEventTab, key, decision);
+    await reapplyEntryValues(decision.isTBD ? 'Partner set to TBD' : `Partner set to ${decision.partnerName}`);
+}
+
+/**
+ * Make a suggested pair a team: each is saved as the other's partner, so the two entries
+ * reconcile into one team when the entries are re-parsed
+ */
+async function handleAcceptPartnerSuggestion(suggestion) {
+    const [player, partner] = suggestion.players;
+    [[player, partner], [partner, player]].forEach(([entry, other]) => {
+        const decision = createPartnerDecision(other.playerName, suggestion.event);
+        partnerDecisionStore.decide(appState.eventWorkbookId, appState.selectedEventTab, getSubmissionKey(entry), decision);
+    });
+    await reapplyEntryValues(`${player.playerName} and ${partner.playerName} are now a team`);
+}
+
+/**
+ * Drop a saved partner decision (the form answer is parsed again) and re-parse
+ */
+async function handleClearPartnerDecision(key) {
+    partnerDecisionStore.decide(appState.eventWorkbookId, appState.selectedEventTab, key, null);
+    await reapplyEntryValues('Using the form answer');
+}
+
+// Late-entry choices for the deadline picker
+const LATE_HANDLING_ITEMS = [
+    { value: LATE_HANDLING.FLAG, text: 'Flag late entries' },
+    { value: LATE_HANDLING.WAITLIST, text: 'Move late entries to waitlist' }
+];
+
+// Late-entry handling chosen in the picker (picker.value is unreliable in UXP)
+let lateHandlingChoice = LATE_HANDLING.FLAG;
+
+/**
+ * Show the selected event's saved deadline in the deadline controls
+ */
+function displayDeadlineControls() {
+    if (!elements.inputEntryDeadline) return;
+
+    const settings = appState.entryDeadline;
+    elements.inputEntryDeadline.value = settings ? formatDeadline(settings.deadline) : '';
+    lateHandlingChoice = settings?.lateHandling || LATE_HANDLING.FLAG;
+
+    const choice = LATE_HANDLING_ITEMS.find(item => item.value === lateHandlingChoice);
+    elements.selectLateHandling.label = choice.text;
+    elements.selectLateHandling.querySelectorAll('sp-menu-item').forEach(item => {
+        if (item.value === lateHandlingChoice) {
+            item.setAttribute('selected', '');
+        } else {
+            item.removeAttribute('selected');
+        }
+    });
+}
+
+/**
+ * Format a deadline for the input, in the same M/D/YYYY H:mm form the entry forms use
+ */
+function formatDeadline(iso) {
+    const date = new Date(iso);
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()} ${date.getHours()}:${minutes}`;
+}
+
+/**
+ * Save the deadline typed for the selected event and re-check the loaded entries against it
+ * A blank deadline removes it
+ */
+function handleApplyDeadline() {
+    if (!appState.eventWorkbookId || !appState.entryTabValues) {
+        showError('Load entries before setting a deadline');
+        return;
+    }
+
+    const text = elements.inputEntryDeadline.value.trim();
+    let deadline = null;
+    if (text) {
+        // A date alone means the end of that day
+        const parsed = parseFormTimestamp(/^[\d/-]+$/.test(text) ? `${text} 23:59:59` : text);
+        if (!parsed) {
+            showError('Enter the deadline as M/D/YYYY H:mm, e.g. 1/15/2026 17:00');
+            return;
+        }
+        deadline = parsed.toISOString();
+    }
+
+    entryDeadlineStore.save(appState.eventWorkbookId, appState.selectedEventTab, {
+        deadline,
+        lateHandling: lateHandlingChoice
+    });
+    if (!applyEntryValues(appState.entryTabValues)) return;
+
+    if (!deadline) {
+        showSuccess(`Deadline removed for ${appState.selectedEventTab}`);
+        return;
+    }
+
+    const lateCount = appState.formEntries.filter(entry => entry.isLate).length;
+    const hasTimestamps = appState.formEntries.some(entry => entry.submittedAt);
+    if (!hasTimestamps) {
+        showWarning('Deadline saved, but no entry has a timestamp - map the Timestamp column in Column Mapping');
+    } else if (lateCount > 0) {
+        showWarning(`${lateCount} late entr${lateCount === 1 ? 'y' : 'ies'} ${appState.waitlist.length > 0 ? 'moved to the waitlist' : 'flagged'}`);
+    } else {
+        showSuccess('All timestamped entries arrived before the deadline');
+    }
+}
+
+/**
+ * Show or hide the Player Entries view
+ */
+function togglePlayerEntriesView() {
+    if (!elements.playerEntriesView) return;
+
+    if (elements.playerEntriesView.classList.contains('hidden')) {
+        elements.playerEntriesView.classList.remove('hidden');
+        displayPlayerEntries();
+    } else {
+        elements.playerEntriesView.classList.add('hidden');
+    }
+}
+
+/**
+ * Re-read every sport workbook and rebuild the player index
+ */
+async function handleRefreshPlayerIndex(refresh) {
+    try {
+        const { failed } = await loadPlayerEntryIndex({ refresh, showProgress: true });
+        if (failed.length > 0) {
+            showWarning(`Could not read: ${failed.join(', ')}`);
+        } else {
+            showSuccess(`Indexed ${appState.playerIndex.list.length} players`);
+        }
+    } catch (error) {
+        hideLoading();
+        console.error('Player index error:', error);
+        showError(`Failed to read workbooks: ${error.message}`);
+    }
+}
+
+/**
+ * List every indexed player with the events they entered (filtered by the search box)
+ */
+function displayPlayerEntries() {
+    if (!elements.playerEntriesList) return;
+
+    const index = appState.playerIndex;
+    const search = (elements.inputPlayerSearch?.value || '').trim().toLowerCase();
+    const players = (index ? index.list : []).filter(player =>
+        !search || player.name.toLowerCase().includes(search) || player.email.toLowerCase().includes(search)
+    );
+
+    const workbookCount = Object.keys(appState.sportWorkbookEntries).length;
+    const scopeNote = getTournamentFolderId() ? '' : ' - use Re-read All Workbooks to include the others';
+    elements.playerEntriesSummary.textContent = index
+        ? `${index.list.length} players across ${workbookCount} workbook(s)${search ? ` - ${players.length} shown` : scopeNote}`
+        : 'No entries indexed yet - load entries or use Re-read All Workbooks';
+
+    // Names come from the sheets, so build the rows with textContent
+    elements.playerEntriesList.innerHTML = '';
+    players.forEach(player => {
+        const item = document.createElement('div');
+        item.className = 'participant-item player-entries-item';
+
+        const details = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'participant-name';
+        name.textContent = `${player.name} (${player.entries.length})`;
+        details.appendChild(name);
+
+        if (player.entries.length > MAX_ENTRIES_PER_PLAYER) {
+            const warning = document.createElement('div');
+            warning.className = 'participant-warning';
+            warning.textContent = `⚠ More than ${MAX_ENTRIES_PER_PLAYER} entries`;
+            details.appendChild(warning);
+        }
+
+        player.entries.forEach(record => {
+            const line = document.createElement('div');
+            line.className = 'player-entry-line';
+            const parts = [`${record.workbookName} › ${record.eventName}`];
+            if (record.partnerName) parts.push(`with ${record.partnerName}`);
+            if (record.availability) parts.push(record.availability);
+            line.textContent = parts.join(' · ');
+            details.appendChild(line);
+        });
+
+        item.appendChild(details);
+        elements.playerEntriesList.appendChild(item);
+    });
+}
+
+/**
+ * Show or hide the Missing Team Entries view
+ */
+function toggleMissingTeamsView() {
+    if (!elements.missingTeamsView) return;
+
+    if (elements.missingTeamsView.classList.contains('hidden')) {
+        elements.missingTeamsView.classList.remove('hidden');
+        displayMissingTeamEntries();
+    } else {
+        elements.missingTeamsView.classList.add('hidden');
+    }
+}
+
+/**
+ * List teams named for another event that have no entry in that event
+ */
+function displayMissingTeamEntries() {
+    if (!elements.missingTeamsList) return;
+
+    const workbooks = Object.values(appState.sportWorkbookEntries);
+    const missing = findMissingTeamEntries(workbooks);
+
+    elements.missingTeamsSummary.textContent = workbooks.length === 0
+        ? 'No entries indexed yet - load entries or use Re-read All Workbooks'
+        : missing.length > 0
+            ? `${missing.length} team entr${missing.length === 1 ? 'y' : 'ies'} to follow up`
+            : 'Every team named for another event has entered it';
+
+    // Names come from the sheets, so build the rows with textContent
+    elements.missingTeamsList.innerHTML = '';
+    missing.forEach(record => {
+        const item = document.createElement('div');
+        item.className = 'participant-item';
+
+        const details = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'participant-name';
+        name.textContent = `${record.playerName} & ${record.partnerName}`;
+        details.appendChild(name);
+
+        const expected = document.createElement('div');
+        expected.className = 'player-entry-line';
+        expected.textContent = `${record.workbookName} › ${record.eventTab || record.event} · named in ${record.sourceEvent}, row ${record.rowIndex}`;
+        details.appendChild(expected);
+
+        const note = document.createElement('div');
+        note.className = 'participant-warning';
+        note.textContent = `⚠ ${record.note}`;
+        details.appendChild(note);
+
+        item.appendChild(details);
+        elements.missingTeamsList.appendChild(item);
+    });
+}
+
+// Column mapping being edited (copied from appState.columnMapping when the editor is shown)
+let columnMappingDraft = [];
+
+/**
+ * Show or hide the column mapping editor
+ */
+function toggleColumnMappingEditor() {
+    if (!elements.columnMappingEditor) return;
+
+    if (elements.columnMappingEditor.classList.contains('hidden')) {
+        displayColumnMappingEditor();
+        elements.columnMappingEditor.classList.remove('hidden');
+    } else {
+        elements.columnMappingEditor.classList.add('hidden');
+    }
+}
+
+/**
+ * Build one row per column: header, a sample value and a field picker
+ */
+function displayColumnMappingEditor() {
+    if (!elements.columnMappingRows) return;
+
+    columnMappingDraft = appState.columnMapping.map(column => ({ ...column }));
+    elements.columnMappingRows.innerHTML = '';
+
+    const sampleRow = (appState.entryTabValues || [])[appState.entryHeaderRowIndex + 1] || [];
+    const fieldItems = Object.entries(ENTRY_FIELDS).map(([value, text]) => ({ value, text }));
+
+    columnMappingDraft.forEach(column => {
+        const row = document.createElement('div');
+        row.className = 'mapping-row';
+
+        // Headers and samples come from the sheet, so use textContent
+        const header = document.createElement('div');
+        header.className = 'mapping-header';
+        header.textContent = column.header || `(Column ${column.index + 1} has no header)`;
+        row.appendChild(header);
+
+        const sample = document.createElement('div');
+        sample.className = 'mapping-sample';
+        const sampleValue = (sampleRow[column.index] || '').toString().trim();
+        sample.textContent = `${sampleValue ? `e.g. "${sampleValue}"` : 'No sample value'} - ${column.source === 'profile' ? 'saved' : 'guessed'}`;
+        row.appendChild(sample);
+
+        const picker = document.createElement('sp-picker');
+        picker.id = `mapping-column-${column.index}`;
+        picker.label = ENTRY_FIELDS[column.field];
+        populatePickerWithItems(picker, fieldItems, (field) => {
+            column.field = field;
+            displayColumnMappingProblems();
+        });
+        picker.querySelectorAll('sp-menu-item').forEach(item => {
+            if (item.value === column.field) item.setAttribute('selected', '');
+        });
+        row.appendChild(picker);
+
+        elements.columnMappingRows.appendChild(row);
+    });
+
+    displayColumnMappingProblems();
+}
+
+/**
+ * List problems with the mapping being edited (e.g. no name column)
+ */
+function displayColumnMappingProblems() {
+    if (!elements.columnMappingProblems) return;
+
+    const problems = checkColumnMapping(columnMappingDraft);
+    elements.columnMappingProblems.innerHTML = '';
+    if (problems.length === 0) {
+        elements.columnMappingProblems.classList.add('hidden');
+        return;
+    }
+
+    problems.forEach(problem => {
+        const item = document.createElement('div');
+        item.className = 'warning-item';
+        const icon = document.createElement('span');
+        icon.className = 'warning-icon';
+        icon.textContent = '⚠';
+        const text = document.createElement('span');
+        text.textContent = problem;
+        item.appendChild(icon);
+        item.appendChild(text);
+        elements.columnMappingProblems.appendChild(item);
+    });
+    elements.columnMappingProblems.classList.remove('hidden');
+}
+
+/**
+ * Save the edited mapping as the workbook's profile and re-parse the loaded entries with it
+ */
+async function handleSaveColumnMapping() {
+    if (!appState.eventWorkbookId || !appState.entryTabValues) {
+        showError('Load entries before editing the column mapping');
+        return;
+    }
+
+    columnMappingStore.save(appState.eventWorkbookId, columnMappingDraft);
+    await reapplyEntryValues('Column mapping saved');
+}
+
+/**
+ * Forget the workbook's profile so columns are guessed from their headers again
+ */
+async function handleResetColumnMapping() {
+    if (!appState.eventWorkbookId || !appState.entryTabValues) {
+        showError('Load entries before editing the column mapping');
+        return;
+    }
+
+    columnMappingStore.clear(appState.eventWorkbookId);
+    await reapplyEntryValues('Column mapping reset to automatic');
+}
+
+/**
+ * Re-parse the selected tab and the workbook-wide entries after a parse setting changed
+ */
+async function reapplyEntryValues(message) {
+    if (!applyEntryValues(appState.entryTabValues)) return;
+    showSuccess(`${message} - ${appState.currentParticipants.length} participants`);
+
+    if (appState.workbookEntries) {
+        await loadWorkbookEntries();
+    }
+}
+
 /**
  * Small delay helper to allow UI updates between steps
  */
@@ -1070,11 +2729,27 @@ async function handleGenerateBracket() {
             eventType: appState.currentParticipants[0]?.eventType || 'singles',
             isDoubles: appState.selectedEventTab.toLowerCase().includes('doubles')
         };
+        appState.currentEventContext = eventContext;
+
+        // Draws can only be written back to Google Sheets workbooks
+        elements.btnWriteDraw.disabled = localFileSource.isLocalWorkbookId(appState.eventWorkbookId);
+
         const result = populateDocument(appState.currentBracket, flatMatches, eventContext);
 
         hideLoading();
 
         if (result.success) {
+            // Remember which entries and workbook version this draw was built from
+            // (only once it is in the document, so a failed run keeps the last baseline)
+            drawVersionStore.save({
+                workbookId: appState.eventWorkbookId,
+                tabName: appState.selectedEventTab,
+                modifiedTime: appState.entriesVersion?.modifiedTime || null,
+                version: appState.entriesVersion?.version || null,
+                entries: summarizeEntries(appState.currentParticipants)
+            });
+            displayEntryChanges(null, null);
+
             showSuccess(result.message);
 
             // Show detailed results in console
@@ -1103,6 +2778,63 @@ async function handleGenerateBracket() {
     }
 }
 
+/**
+ * Write the generated draw to a "Draw – {event}" tab in the entries workbook
+ * Lists each match with both sides' positions and handicaps, and whether it is a bye or play-in
+ */
+async function handleWriteDrawToSheet() {
+    try {
+        if (!appState.currentBracket || !appState.currentEventContext) {
+            showError('Generate the draw before writing it to the workbook');
+            return;
+        }
+
+        if (!appState.eventWorkbookId) {
+            showError('No entries workbook selected');
+            return;
+        }
+
+        if (localFileSource.isLocalWorkbookId(appState.eventWorkbookId)) {
+            showError('Entries were loaded from a local file - the draw can only be written to a Google Sheets workbook');
+            return;
+        }
+
+        const eventContext = appState.currentEventContext;
+        const title = getDrawTabTitle(eventContext.eventName);
+        showLoading(`Writing "${title}" to ${appState.eventWorkbookName || 'workbook'}...`);
+
+        const flatMatches = getFlatMatchList(appState.currentBracket);
+        const values = buildDrawSheetValues(appState.currentBracket, flatMatches, eventContext);
+
+        // Writing the tab bumps the workbook version, so note whether the draw's baseline is
+        // still current beforehand - only then can the new version become the baseline
+        const drawRecord = drawVersionStore.get(appState.eventWorkbookId, eventContext.eventName);
+        const versionBefore = drawRecord ? await sheetsAPI.getFileVersion(appState.eventWorkbookId) : null;
+        const baselineCurrent = !!versionBefore && versionBefore.success && hasVersionChanged(drawRecord, versionBefore) === false;
+
+        const result = await sheetsAPI.writeSheetTab(appState.eventWorkbookId, title, values);
+
+        if (result.success && baselineCurrent) {
+            const versionAfter = await sheetsAPI.getFileVersion(appState.eventWorkbookId);
+            if (versionAfter.success) {
+                drawVersionStore.updateVersion(appState.eventWorkbookId, eventContext.eventName, versionAfter);
+            }
+        }
+
+        hideLoading();
+
+        if (result.success) {
+            showSuccess(`${result.created ? 'Created' : 'Updated'} "${title}" with ${flatMatches.length} matches`);
+        } else {
+            showRequestError('Failed to write draw', result);
+        }
+    } catch (error) {
+        hideLoading();
+        showError(`Error writing draw: ${error.message}`);
+        console.error('Write draw error:', error);
+    }
+}
+
 /**
  * UI Helper Functions
  */
@@ -1136,6 +2868,24 @@ function showSuccess(message) {
     }, 3000);
 }
 
+/**
+ * Show a failed Google request with the next step for its error type
+ * An expired session also switches the panel to disconnected so Connect is offered again
+ */
+function showRequestError(prefix, result) {
+    if (result.errorType === API_ERROR_TYPES.CANCELLED) {
+        showInfo('Cancelled');
+        return;
+    }
+
+    if (result.errorType === API_ERROR_TYPES.AUTH_EXPIRED) {
+        setConnectedState(false);
+    }
+
+    const advice = getErrorAdvice(result.errorType);
+    showError(advice ? `${prefix}: ${result.error} - ${advice}` : `${prefix}: ${result.error}`);
+}
+
 function showInfo(message) {
     showSuccess(message);
 }
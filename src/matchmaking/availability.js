@@ -0,0 +1,501 @@
+/**
+ * Availability
+ * Structured availability parsed from free-text form answers such as "weekdays after 6",
+ * "away 3/14–3/21" or "mornings only": a weekday set, time-of-day windows and blackout
+ * date ranges. The Day/Night session letter used for bracket placement is derived from it.
+ *
+ * Model:
+ * {
+ *   raw: ['weekdays after 6'],          // Answers it was parsed from
+ *   session: 'D' | 'N' | null,          // Day/Night preference
+ *   weekdays: [1, 2, 3, 4, 5] | null,   // 0 = Sunday; null = any day
+ *   windows: [{ start: 1080, end: 1439 }], // Minutes after midnight; empty = any time
+ *   blackouts: [{ start: '2026-03-14', end: '2026-03-21' }],
+ *   unparsed: ['text that was not understood']
+ * }
+ */
+
+// Evening sessions start at 5 PM
+const NIGHT_START = 17 * 60;
+const DAY_START = 6 * 60;
+const DAY_END = 24 * 60 - 1;
+
+const PART_OF_DAY_WINDOWS = {
+    morning: { start: DAY_START, end: 12 * 60 },
+    afternoon: { start: 12 * 60, end: NIGHT_START },
+    evening: { start: NIGHT_START, end: DAY_END },
+    night: { start: NIGHT_START, end: DAY_END },
+    day: { start: DAY_START, end: NIGHT_START },
+    daytime: { start: DAY_START, end: NIGHT_START }
+};
+
+// "day" as a part of day: "daytime", "during the day", "days" - but not "any day", "most days"
+const DAYTIME_REGEX = /\bdaytimes?\b|\b(?:during|in) the day\b|^days?\b|(?<!\b(?:any|every|each|some|most|many|several|other|all|few|the|these|those|two|three|four|five|six|\d+)\s)\bdays\b/;
+
+// Words that rule out what follows: "no mornings", "not weekends", "except fridays",
+// "any day but saturday", "can't do evenings", "not on mondays"
+const NEGATION_PREFIX = "(?:not?|except|but(?:\\s+not)?|can'?t|cannot|can\\s+not|unable\\s+to)(?:\\s+(?:do|play|make|on|in|during|the))*\\s+";
+
+// A ruled-out part of day ("no mornings", "not during the day")
+const NEGATED_PART_REGEX = new RegExp(`\\b${NEGATION_PREFIX}(morning|afternoon|evening|night|daytime|day)s?\\b`, 'g');
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Words that make dates in an answer a blackout rather than a preference
+const UNAVAILABLE_PATTERN = /\b(away|out|unavailable|not|no|except|can't|cannot|cant|vacation|travel(l?ing)?|gone|busy)\b/;
+
+// "3/14", "3/14/26", "march 14", "mar 14th"
+const DATE_PATTERN = '(?:\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?)';
+const DATE_RANGE_REGEX = new RegExp(`(${DATE_PATTERN})(?:\\s*(?:-|–|—|to|through|thru|until)\\s*(${DATE_PATTERN}|\\d{1,2}(?:st|nd|rd|th)?\\b))?`, 'g');
+
+/**
+ * Format a date as YYYY-MM-DD
+ */
+function toDateKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse one date token ("3/14", "3/14/26", "March 14") into { year, month, day }
+ * A bare day number ("21" in "3/14-21") takes the month of `previous`
+ */
+function parseDateToken(token, referenceYear, previous = null) {
+    const text = token.trim().toLowerCase();
+
+    let match = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    if (match) {
+        let year = match[3] ? parseInt(match[3], 10) : referenceYear;
+        if (year < 100) year += 2000;
+        return { year, month: parseInt(match[1], 10), day: parseInt(match[2], 10) };
+    }
+
+    match = text.match(/^([a-z]+)\.?\s+(\d{1,2})/);
+    if (match) {
+        const month = MONTH_NAMES.indexOf(match[1].slice(0, 3)) + 1;
+        return month > 0 ? { year: referenceYear, month, day: parseInt(match[2], 10) } : null;
+    }
+
+    match = text.match(/^(\d{1,2})/);
+    if (match && previous) {
+        return { year: previous.year, month: previous.month, day: parseInt(match[1], 10) };
+    }
+    return null;
+}
+
+/**
+ * Find blackout date ranges in an answer
+ * @returns {Array} [{ start, end }] as YYYY-MM-DD
+ */
+function parseBlackouts(text, referenceYear) {
+    const blackouts = [];
+    DATE_RANGE_REGEX.lastIndex = 0;
+
+    let match;
+    while ((match = DATE_RANGE_REGEX.exec(text)) !== null) {
+        const start = parseDateToken(match[1], referenceYear);
+        if (!start) continue;
+
+        let end = match[2] ? parseDateToken(match[2], referenceYear, start) : start;
+        if (!end) end = start;
+
+        // "12/28 - 1/3" runs into the next year
+        if (!/\/\d{2,4}$/.test(match[2] || '') && (end.month < start.month || (end.month === start.month && end.day < start.day))) {
+            end = { ...end, year: start.year + 1 };
+        }
+
+        blackouts.push({
+            start: toDateKey(start.year, start.month, start.day),
+            end: toDateKey(end.year, end.month, end.day)
+        });
+    }
+    return blackouts;
+}
+
+/**
+ * Find the weekdays an answer allows
+ * @returns {Array<number>|null} Sorted weekday numbers, or null if the answer names no days
+ */
+function parseWeekdays(text) {
+    let days = null;
+    const add = (list) => {
+        days = days || new Set();
+        list.forEach(day => days.add(day));
+    };
+
+    // "weekdays", "weekends" and ruled-out ones ("not weekends")
+    const excluded = [];
+    const weekRegex = new RegExp(`\\b(${NEGATION_PREFIX})?week(day|end)s?\\b`, 'g');
+    let match;
+    while ((match = weekRegex.exec(text)) !== null) {
+        const list = match[2] === 'day' ? [1, 2, 3, 4, 5] : [0, 6];
+        if (match[1]) {
+            excluded.push(...list);
+        } else {
+            add(list);
+        }
+    }
+
+    // Ranges such as "mon-thu"
+    const rangeRegex = /\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*\.?\s*(?:-|–|to|through|thru)\s*(sun|mon|tue|wed|thu|fri|sat)[a-z]*/g;
+    let withoutRanges = text;
+    while ((match = rangeRegex.exec(text)) !== null) {
+        const from = WEEKDAY_NAMES.indexOf(match[1]);
+        const to = WEEKDAY_NAMES.indexOf(match[2]);
+        const range = [];
+        for (let day = from; ; day = (day + 1) % 7) {
+            range.push(day);
+            if (day === to) break;
+        }
+        add(range);
+        withoutRanges = withoutRanges.replace(match[0], ' ');
+    }
+
+    // Single names, short or in full, including negated ones ("no fridays", "any day but saturday")
+    const dayRegex = new RegExp(`\\b(${NEGATION_PREFIX})?(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)s?\\.?(?![a-z])`, 'g');
+    while ((match = dayRegex.exec(withoutRanges)) !== null) {
+        const day = WEEKDAY_NAMES.indexOf(match[2].slice(0, 3));
+        if (match[1]) {
+            excluded.push(day);
+        } else {
+            add([day]);
+        }
+    }
+
+    if (excluded.length > 0) {
+        if (!days) add([0, 1, 2, 3, 4, 5, 6]);
+        excluded.forEach(day => days.delete(day));
+    }
+
+    return days ? Array.from(days).sort((a, b) => a - b) : null;
+}
+
+/**
+ * Convert a clock time to minutes after midnight
+ * Without am/pm a time is read from what it is tied to: a range's end is the first reading
+ * after its start ("5 to 8" is 5-8 PM), a range's start the last reading before a pm end
+ * ("11-2pm"), and a "before" time the first reading after the day starts ("before 7" is
+ * 7 AM, "before 5" is 5 PM). A time on its own ("after 6") is an evening time from 1 to 7.
+ *
+ * @param {Object} anchor - { after } or { before } in minutes, for a time without am/pm
+ */
+function toMinutes(hours, minutes, meridiem, anchor = {}) {
+    let hour = parseInt(hours, 10);
+    const mins = parseInt(minutes || '0', 10);
+
+    if (meridiem) {
+        if (/p/i.test(meridiem) && hour < 12) hour += 12;
+        if (/a/i.test(meridiem) && hour === 12) hour = 0;
+        return Math.min(hour * 60 + mins, DAY_END);
+    }
+
+    // Both readings, e.g. 7:00 and 19:00 ("12" is noon or midnight)
+    const readings = [(hour % 12) * 60 + mins, Math.min((hour % 12 + 12) * 60 + mins, DAY_END)];
+    if (anchor.after !== undefined) {
+        return readings.find(reading => reading > anchor.after) ?? readings[1];
+    }
+    if (anchor.before !== undefined) {
+        return readings.slice().reverse().find(reading => reading < anchor.before) ?? readings[0];
+    }
+
+    if (hour >= 1 && hour < 8) hour += 12;
+    return Math.min(hour * 60 + mins, DAY_END);
+}
+
+/**
+ * Remove one window from a list of windows
+ */
+function subtractWindow(windows, removed) {
+    return windows.flatMap(window => {
+        if (removed.end <= window.start || removed.start >= window.end) return [window];
+        const parts = [];
+        if (removed.start > window.start) parts.push({ start: window.start, end: removed.start });
+        if (removed.end < window.end) parts.push({ start: removed.end, end: window.end });
+        return parts;
+    });
+}
+
+/**
+ * Find windows from parts of the day ("mornings", "evenings", "no afternoons")
+ * Ruled-out parts are taken from the parts named, or from the whole day when none are
+ */
+function parsePartOfDayWindows(text) {
+    const excluded = [];
+    const remaining = text.replace(NEGATED_PART_REGEX, (phrase, part) => {
+        excluded.push(PART_OF_DAY_WINDOWS[part]);
+        return ' ';
+    });
+
+    let windows = [];
+    Object.entries(PART_OF_DAY_WINDOWS).forEach(([name, window]) => {
+        const mentioned = window === PART_OF_DAY_WINDOWS.day || window === PART_OF_DAY_WINDOWS.daytime
+            ? DAYTIME_REGEX.test(remaining)
+            : new RegExp(`\\b${name}s?\\b`).test(remaining);
+        if (mentioned && !windows.some(w => w.start === window.start && w.end === window.end)) {
+            windows.push({ ...window });
+        }
+    });
+
+    if (excluded.length > 0) {
+        if (windows.length === 0) windows = [{ start: DAY_START, end: DAY_END }];
+        excluded.forEach(window => {
+            windows = subtractWindow(windows, window);
+        });
+    }
+    return windows;
+}
+
+/**
+ * Find time-of-day windows in an answer
+ * @returns {Array} [{ start, end }] in minutes after midnight
+ */
+function parseTimeWindows(text) {
+    const windows = [];
+    const time = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+
+    const between = new RegExp(`(?:between\\s+|from\\s+)?\\b${time}\\s*(?:-|–|to|and)\\s*${time}`, 'g');
+    let remaining = text.replace(DATE_RANGE_REGEX, ' ');
+    let match;
+    while ((match = between.exec(remaining)) !== null) {
+        let start;
+        let end;
+        if (!match[3] && match[6]) {
+            // "5-8pm" - the start is the last reading before the end
+            end = toMinutes(match[4], match[5], match[6]);
+            start = toMinutes(match[1], match[2], null, { before: end });
+        } else {
+            start = toMinutes(match[1], match[2], match[3]);
+            end = toMinutes(match[4], match[5], match[6], { after: start });
+        }
+        if (end > start) windows.push({ start, end });
+        remaining = remaining.replace(match[0], ' ');
+    }
+
+    // "not before 7pm" is an after time - taken out here so the before pass does not read it again
+    const after = new RegExp(`\\b(?:after|from|not (?:before|until|till))\\s+${time}`, 'g');
+    const afterText = remaining;
+    while ((match = after.exec(afterText)) !== null) {
+        windows.push({ start: toMinutes(match[1], match[2], match[3]), end: DAY_END });
+        remaining = remaining.replace(match[0], ' ');
+    }
+
+    const before = new RegExp(`\\b(not\\s+)?(?:before|until|till|by)\\s+${time}`, 'g');
+    while ((match = before.exec(remaining)) !== null) {
+        if (match[1]) continue;
+        windows.push({ start: DAY_START, end: toMinutes(match[2], match[3], match[4], { after: DAY_START }) });
+    }
+
+    return windows.length > 0 ? windows : parsePartOfDayWindows(text);
+}
+
+/**
+ * Derive the Day/Night session from time windows
+ */
+function deriveSession(windows) {
+    if (windows.length === 0) return null;
+    if (windows.every(window => window.end <= NIGHT_START)) return 'D';
+    if (windows.every(window => window.start >= NIGHT_START)) return 'N';
+    return null;
+}
+
+/**
+ * Parse availability answers from one or more form columns
+ *
+ * @param {Array<string>|string} values - Answer text(s)
+ * @param {Object} options - { referenceYear } for dates written without a year (default: this year)
+ * @returns {Object|null} Availability model, or null if every answer is blank
+ */
+function parseAvailability(values, options = {}) {
+    const raw = (Array.isArray(values) ? values : [values])
+        .map(value => (value || '').toString().trim())
+        .filter(Boolean);
+    if (raw.length === 0) return null;
+
+    const referenceYear = options.referenceYear || new Date().getFullYear();
+    const availability = { raw, session: null, weekdays: null, windows: [], blackouts: [], unparsed: [] };
+
+    raw.forEach(answer => {
+        const text = answer.toLowerCase().replace(/[‘’]/g, "'");
+
+        // The original single-letter answers
+        if (/^(d|day|days)$/.test(text)) {
+            availability.session = 'D';
+            return;
+        }
+        if (/^(n|night|nights)$/.test(text)) {
+            availability.session = 'N';
+            return;
+        }
+        if (/^(any|anytime|any time|flexible|either|both|no preference|n\/a)$/.test(text)) {
+            return;
+        }
+
+        const blackouts = UNAVAILABLE_PATTERN.test(text) ? parseBlackouts(text, referenceYear) : [];
+        // Times and days are read from what is left once the blackout dates are removed
+        const rest = blackouts.length > 0 ? text.replace(DATE_RANGE_REGEX, ' ') : text;
+        const weekdays = parseWeekdays(rest);
+        const windows = parseTimeWindows(rest);
+
+        availability.blackouts.push(...blackouts);
+        availability.windows.push(...windows);
+        if (weekdays) {
+            // Several answers naming days narrow each other down
+            availability.weekdays = availability.weekdays
+                ? availability.weekdays.filter(day => weekdays.includes(day))
+                : weekdays;
+        }
+
+        if (blackouts.length === 0 && windows.length === 0 && !weekdays) {
+            availability.unparsed.push(answer);
+        }
+    });
+
+    if (!availability.session) {
+        availability.session = deriveSession(availability.windows);
+    }
+    return availability;
+}
+
+/**
+ * Check whether a player can play at a given date and time
+ *
+ * @param {Object|null} availability - Availability model (null = no constraints)
+ * @param {Date} date - Match date and time
+ * @returns {boolean}
+ */
+function isAvailableAt(availability, date) {
+    if (!availability) return true;
+
+    const dateKey = toDateKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    if (availability.blackouts.some(range => dateKey >= range.start && dateKey <= range.end)) {
+        return false;
+    }
+    if (availability.weekdays && !availability.weekdays.includes(date.getDay())) {
+        return false;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (availability.windows.length > 0) {
+        return availability.windows.some(window => minutes >= window.start && minutes <= window.end);
+    }
+    if (availability.session) {
+        return availability.session === 'N' ? minutes >= NIGHT_START : minutes < NIGHT_START;
+    }
+    return true;
+}
+
+/**
+ * Get the time windows a model allows, falling back to its session
+ */
+function getEffectiveWindows(availability) {
+    if (!availability) return [];
+    if (availability.windows.length > 0) return availability.windows;
+    if (availability.session === 'D') return [PART_OF_DAY_WINDOWS.day];
+    if (availability.session === 'N') return [PART_OF_DAY_WINDOWS.night];
+    return [];
+}
+
+/**
+ * Find when two players are both available (e.g. potential partners or opponents)
+ * Blackouts are not intersected - they only rule out specific dates
+ *
+ * @returns {Object} { compatible, weekdays (null = any), windows (empty = any time) }
+ */
+function availabilityOverlap(a, b) {
+    const weekdaysA = a?.weekdays || null;
+    const weekdaysB = b?.weekdays || null;
+    const weekdays = weekdaysA && weekdaysB
+        ? weekdaysA.filter(day => weekdaysB.includes(day))
+        : (weekdaysA || weekdaysB);
+
+    const windowsA = getEffectiveWindows(a);
+    const windowsB = getEffectiveWindows(b);
+    let windows = windowsA.length === 0 ? windowsB : windowsA;
+    if (windowsA.length > 0 && windowsB.length > 0) {
+        windows = [];
+        windowsA.forEach(wa => windowsB.forEach(wb => {
+            const start = Math.max(wa.start, wb.start);
+            const end = Math.min(wa.end, wb.end);
+            if (end > start) windows.push({ start, end });
+        }));
+    }
+
+    const compatible = (!weekdays || weekdays.length > 0) &&
+        !(windowsA.length > 0 && windowsB.length > 0 && windows.length === 0);
+
+    return { compatible, weekdays, windows };
+}
+
+/**
+ * Get the half of the bracket a participant belongs in from their availability
+ * Players who can only play before 5 PM are Day, only from 5 PM on are Night; players who
+ * can play at either time (or gave no times) can go in either half
+ *
+ * @param {Object} participant - Entry with availabilityDetail (or just the Day/Night letter)
+ * @returns {string|null} 'D', 'N', or null when either half will do
+ */
+function getPlacementSession(participant) {
+    const availability = participant.availabilityDetail;
+    if (!availability) {
+        return participant.availability === 'D' || participant.availability === 'N' ? participant.availability : null;
+    }
+
+    const windows = getEffectiveWindows(availability);
+    const canPlayDay = windows.length === 0 || windows.some(window => window.start < NIGHT_START);
+    const canPlayNight = windows.length === 0 || windows.some(window => window.end > NIGHT_START);
+    if (canPlayDay && !canPlayNight) return 'D';
+    if (canPlayNight && !canPlayDay) return 'N';
+    return null;
+}
+
+/**
+ * Format minutes after midnight as a clock time ("6:00 PM")
+ */
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHours}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Short human-readable summary, e.g. "Mon–Fri · after 6:00 PM · away 2026-03-14 to 2026-03-21"
+ * A plain Day/Night answer stays a single letter so older draw records still compare equal
+ *
+ * @param {Object|null} availability - Availability model
+ * @returns {string} Summary ('' when there are no constraints)
+ */
+function describeAvailability(availability) {
+    if (!availability) return '';
+
+    const parts = [];
+    if (availability.weekdays) {
+        parts.push(availability.weekdays.map(day => WEEKDAY_NAMES[day][0].toUpperCase() + WEEKDAY_NAMES[day].slice(1)).join(', '));
+    }
+    availability.windows.forEach(window => {
+        if (window.end === DAY_END) {
+            parts.push(`after ${formatMinutes(window.start)}`);
+        } else if (window.start === DAY_START) {
+            parts.push(`before ${formatMinutes(window.end)}`);
+        } else {
+            parts.push(`${formatMinutes(window.start)}–${formatMinutes(window.end)}`);
+        }
+    });
+    availability.blackouts.forEach(range => {
+        parts.push(range.start === range.end ? `away ${range.start}` : `away ${range.start} to ${range.end}`);
+    });
+
+    if (parts.length === 0) {
+        return availability.session || availability.unparsed.join('; ');
+    }
+    return parts.join(' · ');
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    parseAvailability,
+    isAvailableAt,
+    availabilityOverlap,
+    getPlacementSession,
+    describeAvailability
+};
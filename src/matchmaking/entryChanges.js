@@ -0,0 +1,132 @@
+/**
+ * Entry Changes
+ * Compares the entrants a draw was built from with the entries in the sheet now,
+ * so late entries, withdrawals and edits after a draw was laid out are not missed
+ */
+
+const { describeAvailability } = require('./availability.js');
+
+// Entry fields compared for edits, with labels for display
+const COMPARED_FIELDS = {
+    playerName: 'Name',
+    partnerName: 'Partner',
+    email: 'Email',
+    availability: 'Availability'
+};
+
+/**
+ * Normalize text for comparison (case, surrounding and repeated whitespace)
+ */
+function normalizeValue(value) {
+    return (value || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Reduce an entry to the fields that matter for the draw
+ * The key is the email when present, so a corrected name shows as an edit, not a swap
+ *
+ * @param {Object} entry - Parsed entry or participant
+ * @returns {Object} { key, playerName, partnerName, email, availability }
+ */
+function summarizeEntry(entry) {
+    const summary = { key: normalizeValue(entry.email) || normalizeValue(entry.playerName) };
+    Object.keys(COMPARED_FIELDS).forEach(field => {
+        summary[field] = entry[field] || '';
+    });
+    // Compare the full availability answer, not just the Day/Night letter derived from it
+    if (entry.availabilityDetail) {
+        summary.availability = describeAvailability(entry.availabilityDetail);
+    }
+    return summary;
+}
+
+/**
+ * Summarize a list of entries, making duplicate keys unique (e.g. "#2")
+ *
+ * @param {Array} entries - Parsed entries or participants
+ * @returns {Array} Entry summaries
+ */
+function summarizeEntries(entries) {
+    const seen = {};
+    return (entries || []).map(entry => {
+        const summary = summarizeEntry(entry);
+        seen[summary.key] = (seen[summary.key] || 0) + 1;
+        if (seen[summary.key] > 1) {
+            summary.key = `${summary.key}#${seen[summary.key]}`;
+        }
+        return summary;
+    });
+}
+
+/**
+ * Diff the entrants a draw used against the current entries
+ *
+ * @param {Array} previous - Entry summaries the draw was built from
+ * @param {Array} current - Entry summaries loaded now
+ * @returns {Object} { added, removed, edited: [{ before, after, changes: [{ field, label, from, to }] }], hasChanges }
+ */
+function diffEntries(previous, current) {
+    const previousByKey = new Map(previous.map(summary => [summary.key, summary]));
+    const currentByKey = new Map(current.map(summary => [summary.key, summary]));
+
+    const added = current.filter(summary => !previousByKey.has(summary.key));
+    const removed = previous.filter(summary => !currentByKey.has(summary.key));
+    const edited = [];
+
+    current.forEach(after => {
+        const before = previousByKey.get(after.key);
+        if (!before) return;
+
+        const changes = Object.keys(COMPARED_FIELDS)
+            .filter(field => normalizeValue(before[field]) !== normalizeValue(after[field]))
+            .map(field => ({
+                field,
+                label: COMPARED_FIELDS[field],
+                from: before[field],
+                to: after[field]
+            }));
+
+        if (changes.length > 0) {
+            edited.push({ before, after, changes });
+        }
+    });
+
+    return {
+        added,
+        removed,
+        edited,
+        hasChanges: added.length > 0 || removed.length > 0 || edited.length > 0
+    };
+}
+
+/**
+ * Display name for an entry summary ("Player & Partner")
+ */
+function describeEntrant(summary) {
+    return summary.partnerName ? `${summary.playerName} & ${summary.partnerName}` : summary.playerName;
+}
+
+/**
+ * Format a diff as short lines for the panel
+ *
+ * @param {Object} diff - Result from diffEntries
+ * @returns {Array<string>} One line per added, removed or edited entrant
+ */
+function formatEntryChanges(diff) {
+    const lines = [];
+    diff.added.forEach(summary => lines.push(`Added: ${describeEntrant(summary)}`));
+    diff.removed.forEach(summary => lines.push(`Removed: ${describeEntrant(summary)}`));
+    diff.edited.forEach(({ after, changes }) => {
+        const details = changes.map(change => `${change.label} "${change.from || '(blank)'}" → "${change.to || '(blank)'}"`);
+        lines.push(`Edited: ${describeEntrant(after)} - ${details.join(', ')}`);
+    });
+    return lines;
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    summarizeEntry,
+    summarizeEntries,
+    diffEntries,
+    formatEntryChanges
+};
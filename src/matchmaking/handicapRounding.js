@@ -4,6 +4,8 @@
  * Ensures displayed handicaps stay within appropriate class boundaries.
  */
 
+const { calculateTeamHandicap } = require('./teamHandicap');
+
 /**
  * Class boundaries for tennis events.
  * Min is the lowest handicap allowed in the class.
@@ -131,11 +133,53 @@ function processHandicapForDisplay(handicap, eventName) {
     return formatHandicapForDisplay(rounded);
 }
 
+/**
+ * Gets the display handicap for a bracket participant.
+ * Doubles teams use the IRTPA team handicap when both partners have one,
+ * falling back to the player's own handicap; singles use the player's handicap.
+ *
+ * @param {Object} player - Bracket participant (with rawEntry for doubles)
+ * @param {Object} eventContext - Event context with eventName, isDoubles
+ * @returns {string} The processed handicap ready for display, or '' if unavailable
+ */
+function getDisplayHandicap(player, eventContext = {}) {
+    const eventName = eventContext.eventName || '';
+    const isDoubles = eventContext.isDoubles || false;
+
+    if (isDoubles && player.rawEntry) {
+        // Doubles: Calculate team handicap using IRTPA algorithm
+        // rawEntry should have player and partner handicap info
+        const entry = player.rawEntry;
+        const playerHandicap = entry.singlesHCAP ?? entry.singlesHandicap ?? entry.handicap;
+        const partnerHandicap = entry.partnerSinglesHCAP ?? entry.partnerSinglesHandicap ?? entry.partnerHandicap;
+
+        if (playerHandicap !== null && playerHandicap !== undefined &&
+            partnerHandicap !== null && partnerHandicap !== undefined) {
+            const teamResult = calculateTeamHandicap(
+                { singlesHandicap: playerHandicap },
+                { singlesHandicap: partnerHandicap }
+            );
+            if (teamResult.success) {
+                return processHandicapForDisplay(teamResult.teamHandicap, eventName);
+            }
+        } else if (playerHandicap !== null && playerHandicap !== undefined) {
+            // Fallback: use player's handicap if partner info unavailable
+            return processHandicapForDisplay(playerHandicap, eventName);
+        }
+        return '';
+    }
+
+    // Singles: Use singles handicap with rounding
+    const handicap = player.singlesHandicap ?? player.doublesHandicap;
+    return processHandicapForDisplay(handicap, eventName);
+}
+
 // CommonJS exports for UXP
 module.exports = {
     getEventClassBounds,
     roundHandicapForClass,
     formatHandicapForDisplay,
     processHandicapForDisplay,
+    getDisplayHandicap,
     CLASS_BOUNDS
 };
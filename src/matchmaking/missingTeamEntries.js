@@ -0,0 +1,138 @@
+/**
+ * Missing Team Entries
+ * One partner answer often names partners for several events ("5th - Carl Weatherly-White,
+ * 120+ Will Rand"), but only the tab's own event is used when it is parsed. This checks,
+ * across every event tab of the sport workbooks, that each pairing named for another event
+ * was entered in that event too, and lists the ones the committee should follow up.
+ */
+
+const { getPartnerEvent } = require('../data/partnerReview.js');
+const { scoreNameMatch } = require('../data/partnerIdentity.js');
+const { getNameKey } = require('../data/playerNames.js');
+const { getNamedPartner } = require('../data/partnerParser.js');
+
+// Names this alike are taken to be the same person ("Will Rand" and "William Rand")
+const SAME_PERSON_MIN_SCORE = 0.75;
+
+/**
+ * Get the name key of a partner as written ("P.Hansen" is an initial and a surname)
+ */
+function getWrittenNameKey(name) {
+    return getNameKey((name || '').replace(/\./g, '. '));
+}
+
+/**
+ * Check whether two names are the same person (either may be the shorter form)
+ */
+function isSamePerson(a, b) {
+    const keyA = getWrittenNameKey(a);
+    const keyB = getWrittenNameKey(b);
+    if (!keyA || !keyB) return false;
+    return Math.max(scoreNameMatch(keyA, keyB).score, scoreNameMatch(keyB, keyA).score) >= SAME_PERSON_MIN_SCORE;
+}
+
+/**
+ * Check whether two pairs of names are the same two people, in either order
+ */
+function isSamePair([a1, a2], [b1, b2]) {
+    return (isSamePerson(a1, b1) && isSamePerson(a2, b2)) || (isSamePerson(a1, b2) && isSamePerson(a2, b1));
+}
+
+/**
+ * Look for a team in an event's parsed tabs
+ *
+ * @param {Array} parseResults - Parse results of the event's tabs
+ * @param {string} playerName - Player who named the partner
+ * @param {string} partnerName - Partner they named
+ * @returns {Object} { found, note } - note says what was entered instead, when not found
+ */
+function findTeamEntry(parseResults, playerName, partnerName) {
+    const teams = parseResults.flatMap(result => result.entries)
+        .map(entry => [entry.playerName, getNamedPartner(entry)]);
+
+    const found = teams.some(team => isSamePair(team, [playerName, partnerName]));
+    if (found) return { found, note: '' };
+
+    // What each player entered instead, if anything
+    const notes = [playerName, partnerName].map(name => {
+        const team = teams.find(names => names.some(other => isSamePerson(other, name)));
+        if (!team) return null;
+        const other = isSamePerson(team[0], name) ? team[1] : team[0];
+        return `${name} entered ${other ? `with ${other}` : 'without a partner'}`;
+    }).filter(Boolean);
+
+    return { found, note: notes.length > 0 ? notes.join('; ') : 'Neither player has entered' };
+}
+
+/**
+ * Find pairings named for another event that have no entry in that event
+ *
+ * @param {Array} workbooks - [{ workbookId, workbookName, events }] where events is
+ *                            parseWorkbookTabs(...).events ({ [tabName]: parseResult })
+ * @returns {Array} [{ workbookId, workbookName, sport, event, eventTab, playerName, partnerName,
+ *   sourceEvent, rowIndex, note }] - event is the canonical event the pairing was named for,
+ *   eventTab its tab (null when the workbook has none), sourceEvent/rowIndex where it was named
+ */
+function findMissingTeamEntries(workbooks) {
+    const missing = [];
+    const checked = [];    // Pairings already checked: { workbookId, event, names }
+
+    workbooks.forEach(({ workbookId, workbookName, events }) => {
+        const doublesTabs = Object.entries(events || {}).filter(([, result]) => result.eventType === 'doubles');
+
+        // Doubles tabs by the canonical event they hold
+        const tabsByEvent = new Map();
+        doublesTabs.forEach(([tabName]) => {
+            const event = getPartnerEvent(tabName, workbookName);
+            if (!event) return;
+            if (!tabsByEvent.has(event)) tabsByEvent.set(event, []);
+            tabsByEvent.get(event).push(tabName);
+        });
+
+        doublesTabs.forEach(([sourceEvent, result]) => {
+            // Without the tab's own event there is no telling which names were for other events
+            const sourceCanonical = getPartnerEvent(sourceEvent, workbookName);
+            if (!sourceCanonical) return;
+
+            result.entries.forEach(entry => {
+                (entry.allParsedPartners || []).forEach(partner => {
+                    if (!partner.event || partner.event === sourceCanonical || partner.isTBD || !partner.partnerName) return;
+
+                    // Both partners may name each other - check each pairing once
+                    const names = [entry.playerName, partner.partnerName];
+                    const alreadyChecked = checked.some(pair =>
+                        pair.workbookId === workbookId && pair.event === partner.event && isSamePair(pair.names, names)
+                    );
+                    if (alreadyChecked) return;
+                    checked.push({ workbookId, event: partner.event, names });
+
+                    const tabs = tabsByEvent.get(partner.event) || [];
+                    const team = tabs.length > 0
+                        ? findTeamEntry(tabs.map(tab => events[tab]), entry.playerName, partner.partnerName)
+                        : { found: false, note: `No ${partner.event} tab in this workbook` };
+                    if (team.found) return;
+
+                    missing.push({
+                        workbookId,
+                        workbookName,
+                        sport: result.sport,
+                        event: partner.event,
+                        eventTab: tabs[0] || null,
+                        playerName: entry.playerName,
+                        partnerName: partner.partnerName,
+                        sourceEvent,
+                        rowIndex: entry._rowIndex,
+                        note: team.note
+                    });
+                });
+            });
+        });
+    });
+
+    return missing;
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    findMissingTeamEntries
+};
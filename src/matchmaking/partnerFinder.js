@@ -0,0 +1,93 @@
+/**
+ * Partner Finder
+ * Suggests partners for doubles entrants who entered without one ("TBD (4th Class)",
+ * "pro shop to find"): pairs whose IRTPA team handicap falls within the event's class
+ * bounds and who can play at the same times.
+ */
+
+const { calculateTeamHandicap, getPlayerEffectiveHandicap } = require('./teamHandicap');
+const { getEventClassBounds } = require('./handicapRounding');
+const { availabilityOverlap, describeAvailability } = require('./availability.js');
+const { getNamedPartner } = require('../data/partnerParser.js');
+const { getPartnerEvent } = require('../data/partnerReview.js');
+
+/**
+ * Get the doubles entrants still looking for a partner (TBD, or no partner named for this event)
+ * Entrants whose partner could not be matched to one person are left to Partner Review
+ *
+ * @param {Array} entries - Parsed entries, one per team (after partner reconciliation)
+ * @returns {Array} Entries without a partner
+ */
+function findEntrantsWithoutPartner(entries) {
+    return entries.filter(entry => entry.eventType === 'doubles' && !getNamedPartner(entry));
+}
+
+/**
+ * Check whether a team handicap is within a class's bounds (no bounds = any handicap)
+ */
+function isWithinClass(teamHandicap, bounds) {
+    if (!bounds) return true;
+    return (bounds.min === null || teamHandicap >= bounds.min) &&
+        (bounds.max === null || teamHandicap <= bounds.max);
+}
+
+/**
+ * Suggest partners for the entrants of a doubles event who have none
+ * Every pair that fits the class and can play together is suggested, most evenly matched first
+ *
+ * @param {Array} entries - Entries for the event, with handicaps (see enrichWithHandicap)
+ *                          and availabilityDetail
+ * @param {string} eventName - Event name, for the class bounds ("4th Class" → 40-49)
+ * @param {string} workbookName - Workbook name, for the sport of the event
+ * @returns {Object} { entrants, suggestions: [{ players: [a, b], event, teamHandicap, handicaps,
+ *   difference, availability }], withoutHandicap } - event is the canonical event the pair was
+ *   suggested for (null when the tab is not recognized); withoutHandicap lists entrants who
+ *   cannot be paired until they have a handicap
+ */
+function suggestPartners(entries, eventName, workbookName = '') {
+    const entrants = findEntrantsWithoutPartner(entries);
+    const bounds = getEventClassBounds(eventName);
+    const event = getPartnerEvent(eventName, workbookName);
+    const suggestions = [];
+    const withoutHandicap = [];
+
+    entrants.forEach((player, index) => {
+        if (getPlayerEffectiveHandicap(player) === null) {
+            withoutHandicap.push(player);
+            return;
+        }
+
+        entrants.slice(index + 1).forEach(partner => {
+            // Partners without a handicap fail here and are listed when their own turn comes
+            const team = calculateTeamHandicap(player, partner);
+            if (!team.success || !isWithinClass(team.teamHandicap, bounds)) return;
+
+            const overlap = availabilityOverlap(player.availabilityDetail, partner.availabilityDetail);
+            if (!overlap.compatible) return;
+
+            suggestions.push({
+                players: [player, partner],
+                event,
+                teamHandicap: team.teamHandicap,
+                handicaps: [team.playerAHandicap, team.playerBHandicap],
+                difference: team.difference,
+                availability: describeAvailability({
+                    weekdays: overlap.weekdays,
+                    windows: overlap.windows,
+                    blackouts: [],
+                    unparsed: []
+                })
+            });
+        });
+    });
+
+    suggestions.sort((a, b) => a.difference - b.difference || a.teamHandicap - b.teamHandicap);
+
+    return { entrants, suggestions, withoutHandicap };
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    findEntrantsWithoutPartner,
+    suggestPartners
+};
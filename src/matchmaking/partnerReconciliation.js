@@ -0,0 +1,190 @@
+/**
+ * Partner Reconciliation
+ * Builds doubles teams from partner claims between people (see partnerIdentity.js), rather
+ * than from partner strings: "A names B" and "B names A" is one confirmed team, while
+ * "A names B" and "B names C" is a conflict - B cannot be in two teams in one draw.
+ */
+
+const { getNameKey } = require('../data/playerNames.js');
+const { getNamedPartner } = require('../data/partnerParser.js');
+const { IDENTITY_STATUS } = require('../data/partnerIdentity.js');
+
+const CLAIM_STATUS = {
+    CONFIRMED: 'confirmed',       // Both partners named each other
+    UNCONFIRMED: 'unconfirmed',   // The partner has not entered (usual when one partner enters for both)
+    ONE_SIDED: 'one-sided',       // The partner entered without naming anyone
+    CONFLICT: 'conflict'          // The partner named someone else, or is already in another team
+};
+
+/**
+ * Get the person key of an entrant (playerKey from partner resolution, else the name key)
+ */
+function getEntrantKey(entry) {
+    return entry.playerKey || getNameKey(entry.playerName);
+}
+
+/**
+ * Get the person key of the partner an entry names for its event ('' when none or TBD)
+ */
+function getClaimedPartnerKey(entry) {
+    return entry.partnerKey !== undefined ? entry.partnerKey : getNameKey(getNamedPartner(entry));
+}
+
+/**
+ * Get the people an unclear partner name may be (see partnerIdentity.resolvePartnerIdentity)
+ */
+function getCandidates(entry) {
+    const identity = entry.partnerIdentity;
+    return identity && identity.status === IDENTITY_STATUS.AMBIGUOUS ? identity.candidates : [];
+}
+
+/**
+ * Check whether an entry names a person as partner - outright, or as one of the people an
+ * unclear name may be
+ */
+function namesPerson(entry, key) {
+    return getClaimedPartnerKey(entry) === key || getCandidates(entry).some(candidate => candidate.person.key === key);
+}
+
+/**
+ * Settle an unclear partner name on the person it turned out to be
+ */
+function settlePartner(entry, person) {
+    return {
+        ...entry,
+        partnerAnswer: entry.partnerAnswer !== undefined ? entry.partnerAnswer : entry.partnerName,
+        partnerName: person.name,
+        parsedPartner: entry.parsedPartner ? { ...entry.parsedPartner, partnerName: person.name } : entry.parsedPartner,
+        partnerKey: person.key,
+        partnerIdentity: { ...entry.partnerIdentity, status: IDENTITY_STATUS.RESOLVED, person }
+    };
+}
+
+/**
+ * Reconcile partner claims into one entry per team
+ * The first submitter's entry stands for the team (its availability is kept). A partner
+ * who named them back - or named nobody - is merged into it; a partner who named someone
+ * else keeps their own entry, and the claim on them is marked as a conflict. A name that
+ * may be several people is settled by the one of them who named this player back.
+ *
+ * @param {Array} entries - Parsed entries in sheet order (singles entries pass through)
+ * @returns {Array} One entry per team, with partnerClaim { status, note } and, when the
+ *   partner's own entry was merged in, partnerRowIndex
+ */
+function reconcilePartnerClaims(entries) {
+    const doubles = entries.filter(entry => entry.eventType === 'doubles');
+    const byPerson = new Map();
+    doubles.forEach(entry => {
+        const key = getEntrantKey(entry);
+        if (key && !byPerson.has(key)) byPerson.set(key, entry);
+    });
+
+    const mergedInto = new Map();    // Partner entry → team entry it was merged into
+    const claims = new Map();        // Team entry → { status, note, partnerRowIndex }
+    const settled = new Map();       // Team entry → person its unclear partner name turned out to be
+
+    doubles.forEach(entry => {
+        if (mergedInto.has(entry)) return;
+
+        const partnerKey = getClaimedPartnerKey(entry);
+        if (!partnerKey) return;
+
+        const entrantKey = getEntrantKey(entry);
+        let partnerEntry = byPerson.get(partnerKey);
+        if (!partnerEntry) {
+            const namedBack = getCandidates(entry).find(candidate => {
+                const candidateEntry = byPerson.get(candidate.person.key);
+                return candidateEntry && candidateEntry !== entry && !mergedInto.has(candidateEntry) &&
+                    namesPerson(candidateEntry, entrantKey);
+            });
+            if (namedBack) {
+                partnerEntry = byPerson.get(namedBack.person.key);
+                settled.set(entry, namedBack.person);
+            }
+        }
+
+        if (!partnerEntry || partnerEntry === entry) {
+            claims.set(entry, { status: CLAIM_STATUS.UNCONFIRMED, note: `${getNamedPartner(entry)} has not entered` });
+            return;
+        }
+
+        const partnerName = partnerEntry.playerName;
+        const otherTeam = mergedInto.get(partnerEntry);
+        if (otherTeam) {
+            claims.set(entry, {
+                status: CLAIM_STATUS.CONFLICT,
+                note: `${partnerName} is already partnered with ${otherTeam.playerName}`
+            });
+            return;
+        }
+
+        const partnerClaimKey = getClaimedPartnerKey(partnerEntry);
+        if (partnerClaimKey && !namesPerson(partnerEntry, entrantKey)) {
+            claims.set(entry, {
+                status: CLAIM_STATUS.CONFLICT,
+                note: `${partnerName} named ${getNamedPartner(partnerEntry)} as their partner`
+            });
+            return;
+        }
+
+        mergedInto.set(partnerEntry, entry);
+        claims.set(entry, partnerClaimKey
+            ? { status: CLAIM_STATUS.CONFIRMED, note: '', partnerRowIndex: partnerEntry._rowIndex }
+            : {
+                status: CLAIM_STATUS.ONE_SIDED,
+                note: `${partnerName} entered without naming ${entry.playerName}`,
+                partnerRowIndex: partnerEntry._rowIndex
+            });
+    });
+
+    return entries
+        .filter(entry => !mergedInto.has(entry))
+        .map(entry => {
+            const claim = claims.get(entry);
+            if (!claim) return entry;
+
+            const team = settled.has(entry) ? settlePartner(entry, settled.get(entry)) : entry;
+            const { partnerRowIndex, ...partnerClaim } = claim;
+            return partnerRowIndex
+                ? { ...team, partnerClaim, partnerRowIndex }
+                : { ...team, partnerClaim };
+        });
+}
+
+/**
+ * Find people who are in more than one team of a draw
+ *
+ * @param {Array} entries - Reconciled entries (one per team)
+ * @returns {Array} [{ name, teams: ["A & B", ...], entries }]
+ */
+function findPlayersInSeveralTeams(entries) {
+    const teamsByPerson = new Map();
+
+    entries.filter(entry => entry.eventType === 'doubles').forEach(entry => {
+        const partnerKey = getClaimedPartnerKey(entry);
+        const people = [
+            { key: getEntrantKey(entry), name: entry.playerName },
+            { key: partnerKey, name: getNamedPartner(entry) }
+        ];
+        people.forEach(({ key, name }) => {
+            if (!key) return;
+            if (!teamsByPerson.has(key)) teamsByPerson.set(key, { name, entries: [] });
+            teamsByPerson.get(key).entries.push(entry);
+        });
+    });
+
+    return Array.from(teamsByPerson.values())
+        .filter(person => person.entries.length > 1)
+        .map(person => ({
+            name: person.name,
+            teams: person.entries.map(entry => `${entry.playerName} & ${getNamedPartner(entry)}`),
+            entries: person.entries
+        }));
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    CLAIM_STATUS,
+    reconcilePartnerClaims,
+    findPlayersInSeveralTeams
+};
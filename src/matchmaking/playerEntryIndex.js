@@ -0,0 +1,129 @@
+/**
+ * Player Entry Index
+ * A player-centric view of every event tab in every sport workbook, so rules that span
+ * events (e.g. "max 4 entries per player") can be checked while one event is loaded.
+ * Doubles teams count as an entry for both the entrant and the named partner.
+ * Players are told apart by email address where the form collected one, so two members
+ * with the same name are not merged; a name without an email (a partner, a paper entry)
+ * joins the one emailed player with that name.
+ */
+
+const { describeAvailability } = require('./availability.js');
+const { getNameKey, formatDisplayName } = require('../data/playerNames.js');
+
+/**
+ * Get the index key of a player: their email address when known, otherwise their name
+ * (see playerNames.getNameKey). A name without an email takes the key of the one emailed
+ * player with that name in the index, if there is exactly one
+ *
+ * @param {string} name - Player name
+ * @param {string} email - Email address ('' when unknown)
+ * @param {Object} index - From buildPlayerEntryIndex (optional)
+ * @returns {string} Key, or '' for a blank name and email
+ */
+function getPlayerKey(name, email = '', index = null) {
+    const address = (email || '').toString().trim().toLowerCase();
+    if (address) return `email:${address}`;
+
+    const nameKey = getNameKey(name);
+    if (!nameKey) return '';
+    const emailKeys = index?.emailKeysByName[nameKey] || [];
+    return emailKeys.length === 1 ? emailKeys[0] : `name:${nameKey}`;
+}
+
+/**
+ * Get the partner named for this event, if one was resolved
+ */
+function getEventPartnerName(entry) {
+    if (entry.parsedPartner) {
+        return entry.parsedPartner.isTBD ? '' : (entry.parsedPartner.partnerName || '');
+    }
+    return entry.eventType === 'doubles' ? (entry.partnerName || '') : '';
+}
+
+/**
+ * Build the index from parsed workbooks
+ *
+ * @param {Array} workbooks - [{ workbookId, workbookName, events }] where events is
+ *                            parseWorkbookTabs(...).events ({ [tabName]: parseResult })
+ * @returns {Object} { players: { [key]: player }, list: [player] sorted by name, emailKeysByName }
+ *   player: { key, name, email, entries: [{ workbookId, workbookName, sport, eventName, eventType, partnerName, role, availability }] }
+ */
+function buildPlayerEntryIndex(workbooks) {
+    const players = {};
+    const parseResults = (workbooks || []).flatMap(({ workbookId, workbookName, events }) =>
+        Object.entries(events || {}).map(([eventName, parseResult]) => ({ workbookId, workbookName, eventName, parseResult }))
+    );
+
+    // Email keys seen for each name, so names without an email can be matched to one of them
+    const emailKeysByName = {};
+    parseResults.forEach(({ parseResult }) => {
+        parseResult.entries.forEach(entry => {
+            const nameKey = getNameKey(entry.playerName);
+            const emailKey = getPlayerKey(entry.playerName, entry.email);
+            if (!nameKey || !emailKey.startsWith('email:')) return;
+            if (!emailKeysByName[nameKey]) emailKeysByName[nameKey] = [];
+            if (!emailKeysByName[nameKey].includes(emailKey)) emailKeysByName[nameKey].push(emailKey);
+        });
+    });
+    const keyIndex = { emailKeysByName };
+
+    const addEntry = (name, email, record) => {
+        const key = getPlayerKey(name, email, keyIndex);
+        if (!key) return;
+
+        if (!players[key]) {
+            players[key] = { key, name: formatDisplayName(name), email: '', entries: [] };
+        }
+        const player = players[key];
+        if (email && !player.email) player.email = email;
+
+        // A player listed twice in one event (own row and as a partner) is one entry
+        const duplicate = player.entries.some(existing =>
+            existing.workbookId === record.workbookId && existing.eventName === record.eventName
+        );
+        if (!duplicate) player.entries.push(record);
+    };
+
+    parseResults.forEach(({ workbookId, workbookName, eventName, parseResult }) => {
+        parseResult.entries.forEach(entry => {
+            const partnerName = getEventPartnerName(entry);
+            const base = {
+                workbookId,
+                workbookName,
+                sport: parseResult.sport,
+                eventName,
+                eventType: parseResult.eventType,
+                availability: describeAvailability(entry.availabilityDetail) || entry.availability || ''
+            };
+
+            addEntry(entry.playerName, entry.email, { ...base, partnerName, role: 'entrant' });
+            if (partnerName) {
+                addEntry(partnerName, '', { ...base, partnerName: entry.playerName, role: 'partner' });
+            }
+        });
+    });
+
+    const list = Object.values(players).sort((a, b) => a.name.localeCompare(b.name));
+    return { players, list, emailKeysByName };
+}
+
+/**
+ * Look up a player's entries across all events
+ *
+ * @param {Object} index - From buildPlayerEntryIndex
+ * @param {string} name - Player name
+ * @param {string} email - Email address, when known
+ * @returns {Array} Entry records (empty if the player is not indexed)
+ */
+function getPlayerEntries(index, name, email = '') {
+    const player = index?.players[getPlayerKey(name, email, index)];
+    return player ? player.entries : [];
+}
+
+// CommonJS exports for UXP
+module.exports = {
+    getPlayerKey,
+    buildPlayerEntryIndex,
+    getPlayerEntries
+};
@@ -6,9 +6,13 @@
  * - Play-in matches are distributed randomly (not stacked)
  * - Day (D) players go to top of bracket (lower match numbers)
  * - Night (N) players start at halfway point (higher match numbers)
+ * - D/N comes from each participant's availability windows (see availability.getPlacementSession);
+ *   players who can play at either time fill out the smaller half
  * - Random ordering within each section
  */
 
+const { getPlacementSession } = require('./availability.js');
+
 /**
  * Fisher-Yates shuffle for true randomness
  * @param {Array} array - Array to shuffle
@@ -35,6 +39,40 @@ function createBye() {
     };
 }
 
+/**
+ * Split participants into Day and Night players
+ * Players who can play at either time go to whichever half is smaller; when nobody has a
+ * Day/Night constraint both lists are empty (placement is then purely random)
+ *
+ * @param {Array} participants - Participant objects
+ * @returns {Object} { dayPlayers, nightPlayers }
+ */
+function splitBySession(participants) {
+    const dayPlayers = [];
+    const nightPlayers = [];
+    const eitherPlayers = [];
+
+    participants.forEach(p => {
+        const session = getPlacementSession(p);
+        if (session === 'D') {
+            dayPlayers.push(p);
+        } else if (session === 'N') {
+            nightPlayers.push(p);
+        } else {
+            eitherPlayers.push(p);
+        }
+    });
+
+    if (dayPlayers.length === 0 && nightPlayers.length === 0) {
+        return { dayPlayers, nightPlayers };
+    }
+
+    shuffle(eitherPlayers).forEach(p => {
+        (dayPlayers.length <= nightPlayers.length ? dayPlayers : nightPlayers).push(p);
+    });
+    return { dayPlayers, nightPlayers };
+}
+
 /**
  * Places participants by availability (Day/Night) into bracket positions using play-in style.
  *
@@ -78,16 +116,7 @@ function placeByAvailability(participants, bracketSize) {
     const byeToRound2Count = totalPlayers - playInParticipantCount;
 
     // Separate by availability
-    const dayPlayers = [];
-    const nightPlayers = [];
-
-    participants.forEach(p => {
-        if (p.availability === 'D') {
-            dayPlayers.push(p);
-        } else if (p.availability === 'N') {
-            nightPlayers.push(p);
-        }
-    });
+    const { dayPlayers, nightPlayers } = splitBySession(participants);
 
     // Check if we have availability data
     const hasAvailability = dayPlayers.length > 0 || nightPlayers.length > 0;
@@ -246,16 +275,7 @@ function placeByAvailability(participants, bracketSize) {
  */
 function placeFullBracket(participants, bracketSize) {
     // Separate by availability
-    const dayPlayers = [];
-    const nightPlayers = [];
-
-    participants.forEach(p => {
-        if (p.availability === 'D') {
-            dayPlayers.push(p);
-        } else if (p.availability === 'N') {
-            nightPlayers.push(p);
-        }
-    });
+    const { dayPlayers, nightPlayers } = splitBySession(participants);
 
     const hasAvailability = dayPlayers.length > 0 || nightPlayers.length > 0;
 
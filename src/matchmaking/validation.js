@@ -4,11 +4,19 @@
  * - Max 4 entries per player
  * - No re-entering previously won draws
  * - Handicap must be within class range
- * - Doubles partners must have reciprocal entries
+ * - Doubles partners must have reciprocal entries, and no one can be in two teams
  * - Finals night availability checking
+ * - Guests and unconfirmed members (see membership.js)
  */
 
 const { calculateTeamHandicap } = require('./teamHandicap');
+const { getPlayerKey, getPlayerEntries } = require('./playerEntryIndex');
+const { getNameKey } = require('../data/playerNames');
+const { MEMBERSHIP_STATUS } = require('../data/membership');
+const { getNamedPartner } = require('../data/partnerParser');
+const { CLAIM_STATUS, findPlayersInSeveralTeams } = require('./partnerReconciliation');
+
+const MAX_ENTRIES_PER_PLAYER = 4;
 
 /**
  * Validates all tournament entries for a specific event
@@ -16,9 +24,13 @@ const { calculateTeamHandicap } = require('./teamHandicap');
  * @param {Array} entries - All tournament entries from form
  * @param {Object} event - Tournament event definition
  * @param {Array} previousWinners - List of previous winners (optional)
+ * @param {Object} options - { playerIndex, membersOnly }
+ *   playerIndex: entries across every event (see playerEntryIndex.js); without it,
+ *                entries are only counted within this event
+ *   membersOnly: guests are errors rather than warnings
  * @returns {Object} Validation result with errors and warnings
  */
-function validateEntries(entries, event, previousWinners = []) {
+function validateEntries(entries, event, previousWinners = [], options = {}) {
     const errors = [];
     const warnings = [];
 
@@ -29,26 +41,52 @@ function validateEntries(entries, event, previousWinners = []) {
             errors.push({
                 entryIndex: index,
                 playerName: entry.name || entry.playerName,
+                sheetLink: entry.sheetLink || null,
                 errors: entryErrors
             });
         }
     });
 
     // Cross-entry validations
-    const playerEntryCount = checkMaxEntriesPerPlayer(entries);
-    playerEntryCount.forEach(({ playerName, count }) => {
-        if (count > 4) {
-            errors.push({
-                playerName,
-                errors: [`Player has ${count} entries (maximum 4 allowed)`]
-            });
-        }
+    const playerEntryCount = options.playerIndex
+        ? checkMaxEntriesAcrossEvents(entries, options.playerIndex)
+        : checkMaxEntriesPerPlayer(entries);
+    playerEntryCount.forEach(({ playerName, count, events, sheetLink }) => {
+        const eventList = events ? `: ${events.join(', ')}` : '';
+        errors.push({
+            playerName,
+            sheetLink: sheetLink || null,
+            errors: [`Player has ${count} entries (maximum ${MAX_ENTRIES_PER_PLAYER} allowed)${eventList}`]
+        });
     });
 
     // Doubles-specific validations
     if (event.name.toLowerCase().includes('doubles')) {
         const partnerErrors = validateDoublesPartners(entries);
         errors.push(...partnerErrors);
+
+        const claims = checkPartnerClaims(entries);
+        errors.push(...claims.errors);
+        warnings.push(...claims.warnings);
+    }
+
+    // Membership (entries tagged by membership.tagMembership)
+    const membership = checkMembership(entries);
+    membership.guests.forEach(({ entry, name }) => {
+        if (options.membersOnly) {
+            errors.push({
+                playerName: name,
+                sheetLink: entry.sheetLink || null,
+                errors: ['Guest entered in a members-only event']
+            });
+        } else {
+            warnings.push(`${name} is a guest (not on the club roster) - check eligibility and fees`);
+        }
+    });
+    if (membership.unconfirmed.length > 0) {
+        // Without a roster everyone is unconfirmed - only name them when the list is short
+        const names = membership.unconfirmed.length <= 10 ? `: ${membership.unconfirmed.join(', ')}` : '';
+        warnings.push(`${membership.unconfirmed.length} player(s) could not be confirmed as members${names}`);
     }
 
     return {
@@ -99,9 +137,9 @@ function validateSingleEntry(entry, event, previousWinners) {
 
     // Check previous winners
     if (previousWinners.length > 0 && playerName) {
-        const normalizedName = playerName.toLowerCase().trim();
+        const normalizedName = getNameKey(playerName);
         const hasWonBefore = previousWinners.some(winner =>
-            winner.toLowerCase().trim() === normalizedName
+            getNameKey(winner) === normalizedName
         );
 
         if (hasWonBefore) {
@@ -198,23 +236,91 @@ function checkMaxEntriesPerPlayer(entries) {
     entries.forEach(entry => {
         const playerName = entry.name || entry.playerName;
         if (!playerName) return; // Skip entries without a name
-        const name = playerName.toLowerCase().trim();
+        const name = getNameKey(playerName);
         playerCounts[name] = (playerCounts[name] || 0) + 1;
     });
 
     return Object.entries(playerCounts)
-        .filter(([_, count]) => count > 4)
+        .filter(([_, count]) => count > MAX_ENTRIES_PER_PLAYER)
         .map(([playerName, count]) => ({ playerName, count }));
 }
 
+/**
+ * Counts each of this event's players' entries across every indexed event
+ * Doubles partners are checked as well as the entrant
+ *
+ * @param {Array} entries - This event's entries
+ * @param {Object} playerIndex - From buildPlayerEntryIndex
+ * @returns {Array} Array of {playerName, count, events, sheetLink} objects over the limit
+ */
+function checkMaxEntriesAcrossEvents(entries, playerIndex) {
+    const checked = new Set();
+    const overLimit = [];
+
+    entries.forEach(entry => {
+        // Only the entrant's email is known - the partner is looked up by name
+        const people = [{ name: entry.name || entry.playerName, email: entry.email || '' }];
+        const partnerName = getNamedPartner(entry);
+        if (partnerName) people.push({ name: partnerName, email: '' });
+
+        people.forEach(({ name, email }) => {
+            const key = getPlayerKey(name, email, playerIndex);
+            if (!key || checked.has(key)) return;
+            checked.add(key);
+
+            const playerEntries = getPlayerEntries(playerIndex, name, email);
+            if (playerEntries.length > MAX_ENTRIES_PER_PLAYER) {
+                overLimit.push({
+                    playerName: name,
+                    sheetLink: entry.sheetLink,
+                    count: playerEntries.length,
+                    events: playerEntries.map(record => `${record.workbookName} - ${record.eventName}`)
+                });
+            }
+        });
+    });
+
+    return overLimit;
+}
+
+/**
+ * Collects guests and players whose membership could not be confirmed
+ * Partners are included; entries that were never tagged are skipped
+ *
+ * @param {Array} entries - Entries with membership / partnerMembership
+ * @returns {Object} { guests: [{ entry, name }], unconfirmed: [name] }
+ */
+function checkMembership(entries) {
+    const guests = [];
+    const unconfirmed = [];
+
+    entries.forEach(entry => {
+        const people = [
+            { name: entry.playerName, status: entry.membership },
+            { name: getNamedPartner(entry), status: entry.partnerMembership }
+        ];
+
+        people.forEach(({ name, status }) => {
+            if (!name || !status) return;
+            if (status === MEMBERSHIP_STATUS.GUEST) {
+                guests.push({ entry, name });
+            } else if (status === MEMBERSHIP_STATUS.UNKNOWN) {
+                unconfirmed.push(name);
+            }
+        });
+    });
+
+    return { guests, unconfirmed };
+}
+
 /**
  * Validates doubles partners and team handicaps
  *
- * After deduplication, each team has one entry with:
+ * After reconciliation, each team has one entry with:
  * - playerName, handicap (player's handicap)
  * - partnerName, partnerHandicap (partner's handicap, looked up during enrichment)
  *
- * @param {Array} entries - Doubles tournament entries (deduplicated)
+ * @param {Array} entries - Doubles tournament entries (one per team)
  * @returns {Array} Array of error objects
  */
 function validateDoublesPartners(entries) {
@@ -224,10 +330,10 @@ function validateDoublesPartners(entries) {
         const playerName = entry.name || entry.playerName;
         if (!entry.partnerName || !playerName) return;
 
-        const player = playerName.toLowerCase().trim();
+        const player = getNameKey(playerName);
 
         // Check team handicap for 120+ events using IRTPA algorithm
-        // After deduplication, partner handicap is stored on the entry itself
+        // After reconciliation, partner handicap is stored on the entry itself
         if (entry.eventName && entry.eventName.includes('120')) {
             const playerHandicap = entry.handicap;
             const partnerHandicap = entry.partnerHandicap;
@@ -242,6 +348,7 @@ function validateDoublesPartners(entries) {
                     errors.push({
                         entryIndex: index,
                         playerName: player,
+                        sheetLink: entry.sheetLink || null,
                         errors: [`Team handicap ${teamResult.teamHandicap.toFixed(1)} exceeds 120 limit`]
                     });
                 }
@@ -252,6 +359,45 @@ function validateDoublesPartners(entries) {
     return errors;
 }
 
+/**
+ * Checks partner claims reconciled by partnerReconciliation.js
+ * - Conflicting claims (the partner named someone else) are errors
+ * - One-sided claims (the partner entered without naming anyone) are warnings
+ * - A player in more than one team is an error
+ *
+ * @param {Array} entries - Doubles entries (one per team, with partnerClaim)
+ * @returns {Object} { errors, warnings }
+ */
+function checkPartnerClaims(entries) {
+    const errors = [];
+    const warnings = [];
+
+    entries.forEach(entry => {
+        const claim = entry.partnerClaim;
+        if (!claim) return;
+
+        if (claim.status === CLAIM_STATUS.CONFLICT) {
+            errors.push({
+                playerName: entry.playerName,
+                sheetLink: entry.sheetLink || null,
+                errors: [`Partner conflict: ${claim.note}`]
+            });
+        } else if (claim.status === CLAIM_STATUS.ONE_SIDED) {
+            warnings.push(`${entry.playerName} & ${getNamedPartner(entry)}: ${claim.note}`);
+        }
+    });
+
+    findPlayersInSeveralTeams(entries).forEach(({ name, teams, entries: teamEntries }) => {
+        errors.push({
+            playerName: name,
+            sheetLink: teamEntries[0].sheetLink || null,
+            errors: [`In ${teams.length} teams in this draw: ${teams.join('; ')}`]
+        });
+    });
+
+    return { errors, warnings };
+}
+
 /**
  * Generates a validation report for display
  *
@@ -292,6 +438,7 @@ function generateValidationReport(validationResult) {
 
 // CommonJS exports for UXP
 module.exports = {
+    MAX_ENTRIES_PER_PLAYER,
     validateEntries,
     generateValidationReport
 };
@@ -6,7 +6,7 @@
 class NavigationManager {
     constructor() {
         this.currentScreen = 1;
-        this.totalScreens = 3;
+        this.totalScreens = 4;
         this.screens = [];
         this.navigationCallbacks = {};
 
@@ -14,7 +14,8 @@ class NavigationManager {
         this.screenConfig = {
             1: { id: 'connection-section', title: 'Connection', canProceed: () => this.canProceedFromConnection() },
             2: { id: 'event-selection-section', title: 'Event Selection', canProceed: () => this.canProceedFromEventSelection() },
-            3: { id: 'participants-section', title: 'Participants', canProceed: () => true }
+            3: { id: 'partner-review-section', title: 'Partner Review', canProceed: () => true },
+            4: { id: 'participants-section', title: 'Participants', canProceed: () => true }
         };
     }
 
@@ -177,8 +178,8 @@ class NavigationManager {
      * Validation: Can proceed from Connection screen?
      */
     canProceedFromConnection() {
-        // Check if connected to Google Sheets
-        if (window.appState && window.appState.connected) {
+        // Check if connected to Google Sheets or working from local files
+        if (window.appState && (window.appState.connected || window.appState.localFilesLoaded)) {
             return true;
         }
         return false;
@@ -202,7 +203,7 @@ class NavigationManager {
      */
     showValidationError() {
         const messages = {
-            1: 'Please connect to Google Sheets before proceeding',
+            1: 'Please connect to Google Sheets or open a local file before proceeding',
             2: 'Please select an event and load entries before proceeding'
         };
 
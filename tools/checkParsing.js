@@ -0,0 +1,292 @@
+/**
+ * Parsing Checks
+ * Input/output cases for the entry parsing and matching logic, taken from the change
+ * requests and real form answers. Runs in plain Node without InDesign or Google:
+ *   npm run check
+ */
+
+const assert = require('assert');
+const { mergeRepeatSubmissions } = require('../src/data/repeatSubmissions.js');
+const { applyEntryDeadline, LATE_HANDLING } = require('../src/data/entryDeadlines.js');
+const { parseAvailability, getPlacementSession } = require('../src/matchmaking/availability.js');
+const { buildPlayerEntryIndex, getPlayerEntries } = require('../src/matchmaking/playerEntryIndex.js');
+const { guessFieldForHeader } = require('../src/data/columnMappings.js');
+const { parseEventTabData } = require('../src/data/formParser.js');
+const { getPartnerEventChoices } = require('../src/data/partnerReview.js');
+const { parsePartnerString } = require('../src/data/partnerParser.js');
+const { findMissingTeamEntries } = require('../src/matchmaking/missingTeamEntries.js');
+const { suggestPartners } = require('../src/matchmaking/partnerFinder.js');
+
+const cases = [];
+
+/**
+ * Register a named check
+ */
+function check(name, run) {
+    cases.push({ name, run });
+}
+
+/**
+ * Minimal parsed entry for the submission and deadline checks
+ */
+function submission(rowIndex, submittedAt, fields = {}) {
+    return { _rowIndex: rowIndex, playerName: 'Will Rand', email: 'will@example.org', submittedAt, ...fields };
+}
+
+// ============================================================
+// REPEAT SUBMISSIONS AND ENTRY DEADLINES
+// ============================================================
+
+const DEADLINE = { deadline: '2026-01-15T23:59:00.000Z', lateHandling: LATE_HANDLING.WAITLIST };
+
+check('Resubmitting after the deadline to change partner keeps an on-time entry', () => {
+    const { entries } = mergeRepeatSubmissions([
+        submission(2, '2026-01-10T09:00:00.000Z', { partnerName: 'Carl Weatherly-White' }),
+        submission(9, '2026-01-20T09:00:00.000Z', { partnerName: 'Peter Hansen' })
+    ]);
+    const result = applyEntryDeadline(entries, DEADLINE);
+
+    assert.strictEqual(result.accepted.length, 1);
+    assert.strictEqual(result.accepted[0].partnerName, 'Peter Hansen');
+    assert.strictEqual(result.accepted[0].isLate, false);
+    assert.strictEqual(result.waitlist.length, 0);
+});
+
+check('A player whose first submission was late is waitlisted', () => {
+    const { entries } = mergeRepeatSubmissions([
+        submission(4, '2026-01-16T09:00:00.000Z'),
+        submission(7, '2026-01-18T09:00:00.000Z')
+    ]);
+    const result = applyEntryDeadline(entries, DEADLINE);
+
+    assert.strictEqual(result.accepted.length, 0);
+    assert.strictEqual(result.waitlist.length, 1);
+});
+
+check('A row without an email joins the same-named emailed player', () => {
+    const { entries, repeatSubmissions } = mergeRepeatSubmissions([
+        submission(2, '2026-01-10T09:00:00.000Z'),
+        submission(5, '2026-01-12T09:00:00.000Z', { email: '' })
+    ]);
+
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0]._rowIndex, 5);
+    assert.deepStrictEqual(repeatSubmissions[0].superseded.map(entry => entry._rowIndex), [2]);
+});
+
+check('Undated entries are kept and counted for a manual check', () => {
+    const result = applyEntryDeadline([submission(3, null)], DEADLINE);
+
+    assert.strictEqual(result.accepted.length, 1);
+    assert.strictEqual(result.undated.length, 1);
+});
+
+// ============================================================
+// AVAILABILITY
+// ============================================================
+
+/**
+ * Check the parsed windows (as [start, end] minutes), session and weekdays of an answer
+ */
+function checkAvailability(answer, expected) {
+    check(`Availability: "${answer}"`, () => {
+        const availability = parseAvailability(answer, { referenceYear: 2026 });
+        if ('windows' in expected) {
+            assert.deepStrictEqual(availability.windows.map(window => [window.start, window.end]), expected.windows);
+        }
+        if ('session' in expected) assert.strictEqual(availability.session, expected.session);
+        if ('weekdays' in expected) assert.deepStrictEqual(availability.weekdays, expected.weekdays);
+        if ('blackouts' in expected) assert.deepStrictEqual(availability.blackouts, expected.blackouts);
+        if ('unparsed' in expected) assert.strictEqual(availability.unparsed.length > 0, expected.unparsed);
+    });
+}
+
+checkAvailability('weekdays after 6', { windows: [[1080, 1439]], session: 'N', weekdays: [1, 2, 3, 4, 5] });
+checkAvailability('away 3/14-3/21', { blackouts: [{ start: '2026-03-14', end: '2026-03-21' }], windows: [] });
+checkAvailability('mornings only', { windows: [[360, 720]], session: 'D' });
+checkAvailability('saturday only', { weekdays: [6] });
+checkAvailability('no wednesday', { weekdays: [0, 1, 2, 4, 5, 6] });
+checkAvailability('Any day but Saturday', { weekdays: [0, 1, 2, 3, 4, 5], session: null });
+checkAvailability('not weekends', { weekdays: [1, 2, 3, 4, 5] });
+checkAvailability('except weekdays', { weekdays: [0, 6] });
+checkAvailability("can't do mondays", { weekdays: [0, 2, 3, 4, 5, 6] });
+checkAvailability('no mornings', { windows: [[720, 1439]], session: null });
+checkAvailability('not evenings', { windows: [[360, 1020]], session: 'D' });
+checkAvailability('can’t do afternoons', { windows: [[360, 720], [1020, 1439]], session: null });
+checkAvailability('not during the day', { windows: [[1020, 1439]], session: 'N' });
+checkAvailability('can play most days', { windows: [], session: null });
+checkAvailability('not before 7pm', { windows: [[1140, 1439]], session: 'N' });
+checkAvailability('not until 8pm', { windows: [[1200, 1439]], session: 'N' });
+checkAvailability('between 5 and 8', { windows: [[1020, 1200]], session: 'N' });
+checkAvailability('5-8pm', { windows: [[1020, 1200]], session: 'N' });
+checkAvailability('11-2pm', { windows: [[660, 840]], session: 'D' });
+checkAvailability('before 7', { windows: [[360, 420]], session: 'D' });
+checkAvailability('before 5', { windows: [[360, 1020]], session: 'D' });
+checkAvailability('D', { session: 'D' });
+checkAvailability('whenever suits', { unparsed: true });
+
+check('Players who can play either session are not placed in one', () => {
+    assert.strictEqual(getPlacementSession({ availabilityDetail: parseAvailability('no mornings') }), null);
+    assert.strictEqual(getPlacementSession({ availabilityDetail: parseAvailability('not evenings') }), 'D');
+    assert.strictEqual(getPlacementSession({ availability: 'N' }), 'N');
+});
+
+// ============================================================
+// PARTNER COLUMNS
+// ============================================================
+
+check('General partner headers map to the partner, event partner headers to their event', () => {
+    assert.strictEqual(guessFieldForHeader('Doubles partner(s)'), 'partnerName');
+    assert.strictEqual(guessFieldForHeader('RACQUETS DOUBLES PARTNER(S)'), 'partnerName');
+    assert.strictEqual(guessFieldForHeader('Please list your squash doubles partner(s).'), 'partnerName');
+    assert.strictEqual(guessFieldForHeader('Court Tennis Doubles Partners'), 'partnerName');
+    assert.strictEqual(guessFieldForHeader('Partner for Doubles Masters'), 'eventPartner');
+    assert.strictEqual(guessFieldForHeader('Doubles B'), 'eventChoice');
+});
+
+check('A general partner column on a single response sheet goes to each ticked event', () => {
+    const values = [
+        ['Timestamp', 'First Name', 'Last Name', 'Email address', 'Doubles Masters', 'Doubles B', 'Doubles partner(s)'],
+        ['1/5/2026 10:00:00', 'John', 'Beam', 'john@example.org', '', 'TRUE', 'Peter Corbett'],
+        ['1/5/2026 11:00:00', 'Rick', 'Burke', 'rick@example.org', 'TRUE', '', 'Rob Parker']
+    ];
+    const partners = formEvent => parseEventTabData(values, 'Form Responses 1', 'Squash Events', { formEvent })
+        .entries.map(entry => [entry.playerName, entry.partnerName]);
+
+    assert.deepStrictEqual(partners('Doubles Masters'), [['Rick Burke', 'Rob Parker']]);
+    assert.deepStrictEqual(partners('Doubles B'), [['John Beam', 'Peter Corbett']]);
+});
+
+// ============================================================
+// PARTNER ANSWERS
+// ============================================================
+
+/**
+ * Check the [event, partner] pairs read from a partner answer
+ */
+function checkPartners(answer, tabName, workbookName, expected) {
+    check(`Partners: "${answer}" (${workbookName} - ${tabName})`, () => {
+        const parsed = parsePartnerString(answer, tabName, workbookName);
+        assert.deepStrictEqual(parsed.partners.map(partner => [partner.event, partner.partnerName]), expected);
+    });
+}
+
+checkPartners('5th - Carl Weatherly-White, 120+ Will Rand', 'Doubles 120+', 'Tennis Events', [
+    ['Doubles 5th Class', 'Carl Weatherly-White'],
+    ['Doubles 120+', 'Will Rand']
+]);
+checkPartners('1st - Rob Parker, 2nd - Jack Curry', 'Doubles 1st', 'Racquets Events', [
+    ['Doubles 1st Class', 'Rob Parker'],
+    ['Doubles 2nd Class', 'Jack Curry']
+]);
+checkPartners('Browning platt / B; Peter Corbett / C', 'Doubles B', 'Squash Events', [
+    ['Doubles B', 'Browning Platt'],
+    ['Doubles C', 'Peter Corbett']
+]);
+
+// ============================================================
+// MISSING TEAM ENTRIES
+// ============================================================
+
+check('A team named for another event that did not enter it is listed', () => {
+    const headers = ['First Name', 'Last Name', 'Email address', 'Phone Number', 'Court Tennis Doubles Partners'];
+    const events = {
+        'Doubles 120+': parseEventTabData([
+            headers,
+            ['Jim', 'Ayer', 'jim@example.org', '', '5th - Carl Weatherly-White, 120+ Will Rand'],
+            ['Will', 'Rand', 'will@example.org', '', 'Jim Ayer']
+        ], 'Doubles 120+', 'Tennis Events'),
+        'Doubles 5th Class': parseEventTabData([
+            headers,
+            ['Carl', 'Weatherly-White', 'carl@example.org', '', 'Peter Hansen']
+        ], 'Doubles 5th Class', 'Tennis Events')
+    };
+    const missing = findMissingTeamEntries([{ workbookId: 'tennis', workbookName: 'Tennis Events', events }]);
+
+    assert.deepStrictEqual(missing.map(record => [record.event, record.playerName, record.partnerName, record.note]), [
+        ['Doubles 5th Class', 'Jim Ayer', 'Carl Weatherly-White', 'Carl Weatherly-White entered with Peter Hansen']
+    ]);
+});
+
+// ============================================================
+// PARTNER EVENTS
+// ============================================================
+
+check('Partner event choices are the workbook sport\'s events', () => {
+    const tennis = getPartnerEventChoices('Doubles 120+', 'Tennis Events');
+    assert.strictEqual(tennis[0].value, 'Doubles 120+');
+    assert.ok(tennis.some(choice => choice.value === 'Doubles 5th Class'));
+
+    const racquets = getPartnerEventChoices('Doubles 1st', 'Racquets Events');
+    assert.strictEqual(racquets[0].value, 'Doubles 1st Class');
+});
+
+check('Suggested teams carry the event they were suggested for', () => {
+    const lookingForPartner = (playerName, handicap) =>
+        ({ playerName, eventType: 'doubles', partnerName: 'TBD', parsedPartner: null, doublesHCAP: handicap });
+    const { suggestions } = suggestPartners(
+        [lookingForPartner('Jim Ayer', 25), lookingForPartner('Will Rand', 27)],
+        'Doubles 120+',
+        'Tennis Events'
+    );
+
+    assert.strictEqual(suggestions.length, 1);
+    assert.strictEqual(suggestions[0].event, 'Doubles 120+');
+});
+
+// ============================================================
+// PLAYER ENTRY INDEX
+// ============================================================
+
+check('Players with the same name but different emails are indexed apart', () => {
+    const index = buildPlayerEntryIndex([{
+        workbookId: 'tennis',
+        workbookName: 'Tennis Events',
+        events: {
+            'Singles': { sport: 'tennis', eventType: 'singles', entries: [
+                { playerName: 'John Smith', email: 'john@example.org' },
+                { playerName: 'John Smith', email: 'jsmith@example.org' }
+            ] }
+        }
+    }]);
+
+    assert.strictEqual(index.list.length, 2);
+    assert.strictEqual(getPlayerEntries(index, 'John Smith', 'JOHN@example.org').length, 1);
+});
+
+check('A partner without an email joins the one emailed player with that name', () => {
+    const index = buildPlayerEntryIndex([{
+        workbookId: 'tennis',
+        workbookName: 'Tennis Events',
+        events: {
+            'Singles': { sport: 'tennis', eventType: 'singles', entries: [
+                { playerName: 'Will Rand', email: 'will@example.org' }
+            ] },
+            '120+': { sport: 'tennis', eventType: 'doubles', entries: [
+                { playerName: 'Carl Weatherly-White', email: 'carl@example.org', eventType: 'doubles', partnerName: 'Will Rand' }
+            ] }
+        }
+    }]);
+
+    assert.strictEqual(getPlayerEntries(index, 'Will Rand', 'will@example.org').length, 2);
+    assert.strictEqual(getPlayerEntries(index, 'Will Rand').length, 2);
+});
+
+// ============================================================
+// RUN
+// ============================================================
+
+let failed = 0;
+cases.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`✗ ${name}`);
+        console.log(`    ${error.message.split('\n').join('\n    ')}`);
+    }
+});
+
+console.log(`\n${cases.length - failed} of ${cases.length} checks passed`);
+process.exitCode = failed > 0 ? 1 : 0;
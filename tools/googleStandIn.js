@@ -0,0 +1,679 @@
+/**
+ * Google Sheets/Drive Stand-in Server
+ * Implements the subset of Google OAuth, Drive v3 and Sheets v4 that GoogleSheetsAPI calls,
+ * seeded from docs/example_data, so the whole panel flow can run with fake tokens
+ * and without real club data.
+ *
+ * Usage:
+ *   npm run stand-in
+ *   npm run stand-in -- --port 8765 --token-ttl 60 --data-dir docs/example_data
+ *
+ * Then point src/config.local.js at it (see docs/README.md, "Local Google Stand-in").
+ * Data lives in memory only - restart the server to reset it.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseCSV, splitCsvExportName } = require('../src/data/localFileParser.js');
+const { OAuthRelay } = require('./oauthRelay.js');
+
+const FOLDER_ID = 'stand-in-folder';
+
+// Client secret the stand-in's sign-in relay adds, as the hosted relay adds the real one
+const RELAY_CLIENT_SECRET = 'stand-in-secret';
+
+/**
+ * Read --name value options from the command line
+ */
+function parseArgs(argv) {
+    const options = {
+        port: 8765,
+        tokenTtl: 3600,
+        dataDir: path.join(__dirname, '..', 'docs', 'example_data')
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port') options.port = parseInt(value, 10);
+        if (argv[i] === '--token-ttl') options.tokenTtl = parseInt(value, 10);
+        if (argv[i] === '--data-dir') options.dataDir = path.resolve(value);
+    }
+    return options;
+}
+
+/**
+ * Turn a workbook name into a stable spreadsheet ID
+ */
+function toSpreadsheetId(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Random token string
+ */
+function randomToken(prefix) {
+    return `${prefix}-${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Load every "{Workbook} - {Tab}.csv" export into in-memory workbooks
+ */
+function loadWorkbooks(dataDir) {
+    const workbooks = new Map();
+    const files = fs.readdirSync(dataDir).filter(file => /\.csv$/i.test(file)).sort();
+
+    files.forEach(file => {
+        const { workbookName, tabName } = splitCsvExportName(file);
+        const id = toSpreadsheetId(workbookName);
+        const modifiedTime = fs.statSync(path.join(dataDir, file)).mtime.toISOString();
+
+        if (!workbooks.has(id)) {
+            workbooks.set(id, {
+                id,
+                name: workbookName,
+                modifiedTime,
+                version: 1,
+                parents: [FOLDER_ID],
+                sheets: []
+            });
+        }
+
+        const workbook = workbooks.get(id);
+        if (modifiedTime > workbook.modifiedTime) {
+            workbook.modifiedTime = modifiedTime;
+        }
+        workbook.sheets.push({
+            sheetId: workbook.sheets.length === 0 ? 0 : 1000 + workbook.sheets.length,
+            title: tabName,
+            index: workbook.sheets.length,
+            frozenRowCount: 0,
+            values: parseCSV(fs.readFileSync(path.join(dataDir, file), 'utf8'))
+        });
+    });
+
+    return workbooks;
+}
+
+// ============================================================
+// A1 RANGES
+// ============================================================
+
+/**
+ * Convert column letters ("A", "AB") to a zero-based index
+ */
+function columnToIndex(letters) {
+    let index = 0;
+    for (const char of letters.toUpperCase()) {
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Convert a zero-based column index to letters
+ */
+function indexToColumn(index) {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Parse a cell reference such as "B2", "B" or "2"
+ */
+function parseCellRef(ref) {
+    const match = ref.match(/^([A-Za-z]*)(\d*)$/);
+    if (!match) return null;
+    return {
+        col: match[1] ? columnToIndex(match[1]) : null,
+        row: match[2] ? parseInt(match[2], 10) - 1 : null
+    };
+}
+
+/**
+ * Resolve an A1 range ("'Tab'!A1:Z", "Tab!A:Z", "'Tab'", "A:Z") against a workbook
+ * @returns {Object|null} { sheet, startRow, endRow, startCol, endCol } (end bounds inclusive, Infinity if open)
+ */
+function resolveRange(workbook, range) {
+    const unquote = (title) => title.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+    const findSheet = (title) => workbook.sheets.find(sheet => sheet.title === unquote(title));
+
+    let sheet = null;
+    let cells = '';
+    const bang = range.lastIndexOf('!');
+
+    if (bang !== -1) {
+        sheet = findSheet(range.slice(0, bang));
+        cells = range.slice(bang + 1);
+    } else if (findSheet(range)) {
+        sheet = findSheet(range);
+    } else {
+        sheet = workbook.sheets[0];
+        cells = range;
+    }
+    if (!sheet) return null;
+
+    const bounds = { sheet, startRow: 0, endRow: Infinity, startCol: 0, endCol: Infinity };
+    if (!cells) return bounds;
+
+    const [startRef, endRef] = cells.split(':');
+    const start = parseCellRef(startRef);
+    const end = endRef !== undefined ? parseCellRef(endRef) : start;
+    if (!start || !end) return null;
+
+    if (start.row !== null) bounds.startRow = start.row;
+    if (start.col !== null) bounds.startCol = start.col;
+    if (end.row !== null) bounds.endRow = end.row;
+    if (end.col !== null) bounds.endCol = end.col;
+    // A single cell ("A1") written to is an anchor, so leave the end open
+    if (endRef === undefined) {
+        bounds.endRow = Infinity;
+        bounds.endCol = Infinity;
+    }
+    return bounds;
+}
+
+/**
+ * Quote a sheet title for an A1 range in responses
+ */
+function quoteTitle(title) {
+    return `'${title.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Drop trailing empty cells and rows, as the Sheets API does
+ */
+function trimValues(values) {
+    const rows = values.map(row => {
+        const trimmed = row.slice();
+        while (trimmed.length > 0 && (trimmed[trimmed.length - 1] === '' || trimmed[trimmed.length - 1] == null)) {
+            trimmed.pop();
+        }
+        return trimmed;
+    });
+    while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+        rows.pop();
+    }
+    return rows;
+}
+
+/**
+ * Read the values inside resolved bounds
+ */
+function readRange(bounds) {
+    const rows = bounds.sheet.values.slice(bounds.startRow, bounds.endRow === Infinity ? undefined : bounds.endRow + 1);
+    const values = rows.map(row => row.slice(bounds.startCol, bounds.endCol === Infinity ? undefined : bounds.endCol + 1));
+    return trimValues(values);
+}
+
+/**
+ * Describe the bounds as an A1 range for responses
+ */
+function describeRange(bounds, values) {
+    const lastRow = bounds.endRow === Infinity ? bounds.startRow + Math.max(values.length, 1) - 1 : bounds.endRow;
+    const width = values.reduce((max, row) => Math.max(max, row.length), 1);
+    const lastCol = bounds.endCol === Infinity ? bounds.startCol + width - 1 : bounds.endCol;
+    return `${quoteTitle(bounds.sheet.title)}!${indexToColumn(bounds.startCol)}${bounds.startRow + 1}:${indexToColumn(lastCol)}${lastRow + 1}`;
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+class GoogleStandIn {
+    constructor(options) {
+        this.options = options;
+        this.baseUrl = `http://localhost:${options.port}`;
+        this.workbooks = loadWorkbooks(options.dataDir);
+        this.authCodes = new Map();
+        // Sign-in relay at /relay, exchanging codes with this server's token endpoint
+        this.relay = new OAuthRelay({
+            clientId: '',
+            clientSecret: RELAY_CLIENT_SECRET,
+            publicUrl: `${this.baseUrl}/relay`,
+            tokenUrl: `${this.baseUrl}/token`
+        });
+        this.accessTokens = new Map();
+        this.refreshTokens = new Set();
+    }
+
+    /**
+     * Send a JSON response
+     */
+    sendJson(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Send an error in the Google API error format
+     */
+    sendApiError(res, status, message) {
+        const statusNames = { 400: 'INVALID_ARGUMENT', 401: 'UNAUTHENTICATED', 403: 'PERMISSION_DENIED', 404: 'NOT_FOUND' };
+        this.sendJson(res, status, { error: { code: status, message, status: statusNames[status] || 'UNKNOWN' } });
+    }
+
+    /**
+     * Read and parse a request body (JSON or form-encoded)
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                if (!raw) return resolve({});
+                try {
+                    if ((req.headers['content-type'] || '').includes('application/json')) {
+                        resolve(JSON.parse(raw));
+                    } else {
+                        resolve(Object.fromEntries(new URLSearchParams(raw)));
+                    }
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Issue a new access token (and refresh token unless refreshing)
+     */
+    issueTokens(includeRefreshToken) {
+        const accessToken = randomToken('stand-in-access');
+        this.accessTokens.set(accessToken, Date.now() + this.options.tokenTtl * 1000);
+
+        const response = {
+            access_token: accessToken,
+            expires_in: this.options.tokenTtl,
+            token_type: 'Bearer',
+            scope: 'https://www.googleapis.com/auth/spreadsheets https://www.googleapis.com/auth/drive.readonly'
+        };
+        if (includeRefreshToken) {
+            response.refresh_token = randomToken('stand-in-refresh');
+            this.refreshTokens.add(response.refresh_token);
+        }
+        return response;
+    }
+
+    /**
+     * Check the Bearer token on an API request
+     */
+    isAuthorized(req) {
+        const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+        const expiresAt = match ? this.accessTokens.get(match[1]) : null;
+        return !!expiresAt && expiresAt > Date.now();
+    }
+
+    /**
+     * Route a request
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, this.baseUrl);
+        const rawPath = url.pathname;
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+                'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
+            });
+            res.end();
+            return;
+        }
+
+        // OAuth endpoints
+        if (rawPath.startsWith('/relay/') && await this.relay.handle(req, res, rawPath.slice('/relay'.length))) return;
+        if (rawPath === '/o/oauth2/v2/auth') return this.handleAuthorize(url, res);
+        if (rawPath === '/token' && req.method === 'POST') return this.handleToken(await this.readBody(req), res);
+        if (rawPath === '/revoke' && req.method === 'POST') return this.handleRevoke({ ...Object.fromEntries(url.searchParams), ...await this.readBody(req) }, res);
+
+        // Everything else is an API call and needs a valid token
+        if (!this.isAuthorized(req)) {
+            return this.sendApiError(res, 401, 'Request had invalid authentication credentials.');
+        }
+
+        const driveFile = rawPath.match(/^\/drive\/v3\/files\/([^/]+)$/);
+        if (rawPath === '/drive/v3/files' && req.method === 'GET') return this.handleListFiles(url, res);
+        if (driveFile && req.method === 'GET') return this.handleGetFile(decodeURIComponent(driveFile[1]), res);
+
+        const sheets = rawPath.match(/^\/v4\/spreadsheets\/([^/:]+)(.*)$/);
+        if (sheets) {
+            const workbook = this.workbooks.get(decodeURIComponent(sheets[1]));
+            if (!workbook) return this.sendApiError(res, 404, 'Requested entity was not found.');
+            return this.handleSheets(workbook, sheets[2], url, req, res);
+        }
+
+        this.sendApiError(res, 404, `No stand-in route for ${req.method} ${rawPath}`);
+    }
+
+    /**
+     * Authorization endpoint - approves immediately and redirects back with a code
+     */
+    handleAuthorize(url, res) {
+        const redirectUri = url.searchParams.get('redirect_uri');
+        if (!redirectUri) {
+            res.writeHead(400);
+            res.end('redirect_uri is required');
+            return;
+        }
+
+        const code = randomToken('stand-in-code');
+        this.authCodes.set(code, {
+            redirectUri,
+            codeChallenge: url.searchParams.get('code_challenge'),
+            codeChallengeMethod: url.searchParams.get('code_challenge_method')
+        });
+
+        const redirect = new URL(redirectUri);
+        redirect.searchParams.set('code', code);
+        if (url.searchParams.get('state')) {
+            redirect.searchParams.set('state', url.searchParams.get('state'));
+        }
+        res.writeHead(302, { Location: redirect.toString() });
+        res.end();
+    }
+
+    /**
+     * Token endpoint - authorization code (with PKCE check) and refresh token grants
+     * Like Google with a "Web application" client, both need the client secret (added by the relay)
+     */
+    handleToken(params, res) {
+        const invalidGrant = (description) => this.sendJson(res, 400, { error: 'invalid_grant', error_description: description });
+
+        if (params.client_secret !== RELAY_CLIENT_SECRET) {
+            return this.sendJson(res, 400, { error: 'invalid_request', error_description: 'client_secret is missing.' });
+        }
+
+        if (params.grant_type === 'authorization_code') {
+            const pending = this.authCodes.get(params.code);
+            this.authCodes.delete(params.code);
+            if (!pending) return invalidGrant('Malformed auth code.');
+            if (pending.redirectUri !== params.redirect_uri) return invalidGrant('Bad Request');
+
+            if (pending.codeChallenge) {
+                const challenge = crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+                if (challenge !== pending.codeChallenge) return invalidGrant('Invalid code verifier.');
+            }
+            return this.sendJson(res, 200, this.issueTokens(true));
+        }
+
+        if (params.grant_type === 'refresh_token') {
+            if (!this.refreshTokens.has(params.refresh_token)) return invalidGrant('Token has been expired or revoked.');
+            return this.sendJson(res, 200, this.issueTokens(false));
+        }
+
+        this.sendJson(res, 400, { error: 'unsupported_grant_type', error_description: `Invalid grant_type: ${params.grant_type}` });
+    }
+
+    /**
+     * Revoke endpoint - forgets the refresh or access token
+     */
+    handleRevoke(params, res) {
+        const known = this.refreshTokens.delete(params.token) || this.accessTokens.delete(params.token);
+        if (!known) {
+            return this.sendJson(res, 400, { error: 'invalid_token', error_description: 'Token expired or revoked' });
+        }
+        this.sendJson(res, 200, {});
+    }
+
+    /**
+     * Describe a workbook as a Drive file
+     */
+    toDriveFile(workbook) {
+        return {
+            id: workbook.id,
+            name: workbook.name,
+            mimeType: 'application/vnd.google-apps.spreadsheet',
+            modifiedTime: workbook.modifiedTime,
+            version: String(workbook.version),
+            webViewLink: `${this.baseUrl}/spreadsheets/d/${workbook.id}/edit`,
+            parents: workbook.parents
+        };
+    }
+
+    /**
+     * Drive files.list - supports "'<id>' in parents" and "name contains '<text>'" query terms
+     */
+    handleListFiles(url, res) {
+        const query = url.searchParams.get('q') || '';
+        const unescape = (value) => value.replace(/\\(.)/g, '$1');
+        const parentMatch = query.match(/'((?:[^'\\]|\\.)*)' in parents/);
+        const nameMatch = query.match(/name contains '((?:[^'\\]|\\.)*)'/);
+
+        let files = Array.from(this.workbooks.values());
+        if (parentMatch) {
+            const parentId = unescape(parentMatch[1]);
+            files = files.filter(workbook => workbook.parents.includes(parentId));
+        }
+        if (nameMatch) {
+            const text = unescape(nameMatch[1]).toLowerCase();
+            files = files.filter(workbook => workbook.name.toLowerCase().includes(text));
+        }
+        files.sort((a, b) => b.modifiedTime.localeCompare(a.modifiedTime));
+
+        const pageSize = parseInt(url.searchParams.get('pageSize'), 10) || 100;
+        const offset = parseInt(url.searchParams.get('pageToken'), 10) || 0;
+        const page = files.slice(offset, offset + pageSize);
+
+        const body = { kind: 'drive#fileList', files: page.map(workbook => this.toDriveFile(workbook)) };
+        if (offset + pageSize < files.length) {
+            body.nextPageToken = String(offset + pageSize);
+        }
+        this.sendJson(res, 200, body);
+    }
+
+    /**
+     * Drive files.get
+     */
+    handleGetFile(fileId, res) {
+        const workbook = this.workbooks.get(fileId);
+        if (!workbook) return this.sendApiError(res, 404, `File not found: ${fileId}.`);
+        this.sendJson(res, 200, this.toDriveFile(workbook));
+    }
+
+    /**
+     * Record a write - Drive bumps the version and modifiedTime on every edit
+     */
+    touch(workbook) {
+        workbook.version++;
+        workbook.modifiedTime = new Date().toISOString();
+    }
+
+    /**
+     * Sheets v4 routes below /v4/spreadsheets/{id}
+     * @param {string} rest - Raw (still URL-encoded) path after the spreadsheet ID
+     */
+    async handleSheets(workbook, rest, url, req, res) {
+        if (rest === '' && req.method === 'GET') {
+            return this.sendJson(res, 200, {
+                spreadsheetId: workbook.id,
+                properties: { title: workbook.name },
+                sheets: workbook.sheets.map(sheet => ({
+                    properties: {
+                        sheetId: sheet.sheetId,
+                        title: sheet.title,
+                        index: sheet.index,
+                        // Like Sheets, the grid is at least 1000 rows by 26 columns
+                        gridProperties: {
+                            rowCount: Math.max(sheet.values.length, 1000),
+                            columnCount: Math.max(26, ...sheet.values.map(row => row.length)),
+                            frozenRowCount: sheet.frozenRowCount
+                        }
+                    }
+                }))
+            });
+        }
+
+        if (rest === ':batchUpdate' && req.method === 'POST') {
+            return this.handleBatchUpdate(workbook, await this.readBody(req), res);
+        }
+
+        if (rest === '/values:batchGet' && req.method === 'GET') {
+            const valueRanges = [];
+            for (const range of url.searchParams.getAll('ranges')) {
+                const bounds = resolveRange(workbook, range);
+                if (!bounds) return this.sendApiError(res, 400, `Unable to parse range: ${range}`);
+                const values = readRange(bounds);
+                valueRanges.push({ range: describeRange(bounds, values), majorDimension: 'ROWS', values });
+            }
+            return this.sendJson(res, 200, { spreadsheetId: workbook.id, valueRanges });
+        }
+
+        const valuesMatch = rest.match(/^\/values\/([^:]+)(:clear)?$/);
+        if (!valuesMatch) {
+            return this.sendApiError(res, 404, `No stand-in route for ${req.method} ${rest}`);
+        }
+
+        const range = decodeURIComponent(valuesMatch[1]);
+        const bounds = resolveRange(workbook, range);
+        if (!bounds) return this.sendApiError(res, 400, `Unable to parse range: ${range}`);
+
+        if (valuesMatch[2] && req.method === 'POST') {
+            return this.handleClear(workbook, bounds, res);
+        }
+        if (req.method === 'PUT') {
+            return this.handleUpdate(workbook, bounds, await this.readBody(req), res);
+        }
+        if (req.method === 'GET') {
+            const values = readRange(bounds);
+            return this.sendJson(res, 200, { range: describeRange(bounds, values), majorDimension: 'ROWS', values });
+        }
+
+        this.sendApiError(res, 404, `No stand-in route for ${req.method} ${rest}`);
+    }
+
+    /**
+     * spreadsheets.batchUpdate - only addSheet is supported
+     */
+    handleBatchUpdate(workbook, body, res) {
+        const replies = [];
+
+        for (const request of body.requests || []) {
+            if (!request.addSheet) {
+                return this.sendApiError(res, 400, `Unsupported batchUpdate request: ${Object.keys(request).join(', ')}`);
+            }
+
+            const properties = request.addSheet.properties || {};
+            const title = properties.title || `Sheet${workbook.sheets.length + 1}`;
+            if (workbook.sheets.some(sheet => sheet.title === title)) {
+                return this.sendApiError(res, 400, `Invalid requests[0].addSheet: A sheet with the name "${title}" already exists. Please enter another name.`);
+            }
+
+            const sheet = {
+                sheetId: 1000 + workbook.sheets.length + replies.length + 1,
+                title,
+                index: workbook.sheets.length,
+                frozenRowCount: properties.gridProperties?.frozenRowCount || 0,
+                values: []
+            };
+            workbook.sheets.push(sheet);
+            replies.push({
+                addSheet: {
+                    properties: {
+                        sheetId: sheet.sheetId,
+                        title: sheet.title,
+                        index: sheet.index,
+                        // Like Sheets, the grid is at least 1000 rows by 26 columns
+                        gridProperties: {
+                            rowCount: Math.max(sheet.values.length, 1000),
+                            columnCount: Math.max(26, ...sheet.values.map(row => row.length)),
+                            frozenRowCount: sheet.frozenRowCount
+                        }
+                    }
+                }
+            });
+        }
+
+        this.touch(workbook);
+        this.sendJson(res, 200, { spreadsheetId: workbook.id, replies });
+    }
+
+    /**
+     * values.update - writes rows starting at the top-left of the range
+     */
+    handleUpdate(workbook, bounds, body, res) {
+        const rows = body.values || [];
+        const grid = bounds.sheet.values;
+
+        rows.forEach((row, rowOffset) => {
+            const rowIndex = bounds.startRow + rowOffset;
+            while (grid.length <= rowIndex) grid.push([]);
+            row.forEach((value, colOffset) => {
+                const colIndex = bounds.startCol + colOffset;
+                while (grid[rowIndex].length <= colIndex) grid[rowIndex].push('');
+                grid[rowIndex][colIndex] = value === null || value === undefined ? '' : String(value);
+            });
+        });
+
+        this.touch(workbook);
+        const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        this.sendJson(res, 200, {
+            spreadsheetId: workbook.id,
+            updatedRange: describeRange(bounds, rows),
+            updatedRows: rows.length,
+            updatedColumns: width,
+            updatedCells: rows.reduce((count, row) => count + row.length, 0)
+        });
+    }
+
+    /**
+     * values.clear - blanks every cell inside the range
+     */
+    handleClear(workbook, bounds, res) {
+        const grid = bounds.sheet.values;
+        const lastRow = Math.min(grid.length - 1, bounds.endRow);
+
+        for (let rowIndex = bounds.startRow; rowIndex <= lastRow; rowIndex++) {
+            const row = grid[rowIndex];
+            const lastCol = Math.min(row.length - 1, bounds.endCol);
+            for (let colIndex = bounds.startCol; colIndex <= lastCol; colIndex++) {
+                row[colIndex] = '';
+            }
+        }
+        bounds.sheet.values = trimValues(grid);
+
+        this.touch(workbook);
+        this.sendJson(res, 200, { spreadsheetId: workbook.id, clearedRange: describeRange(bounds, []) });
+    }
+
+    /**
+     * Start listening
+     */
+    listen() {
+        const server = http.createServer((req, res) => {
+            this.handle(req, res)
+                .catch(error => {
+                    console.error('Stand-in error:', error);
+                    if (!res.headersSent) this.sendApiError(res, 400, error.message);
+                })
+                .finally(() => console.log(`${req.method} ${req.url.split('?')[0]} → ${res.statusCode}`));
+        });
+
+        server.listen(this.options.port, () => {
+            console.log(`Google stand-in listening on ${this.baseUrl}`);
+            console.log(`Tournament folder ID: ${FOLDER_ID}`);
+            this.workbooks.forEach(workbook => {
+                console.log(`  ${workbook.id}: "${workbook.name}" (${workbook.sheets.map(sheet => sheet.title).join(', ')})`);
+            });
+        });
+        return server;
+    }
+}
+
+if (require.main === module) {
+    new GoogleStandIn(parseArgs(process.argv.slice(2))).listen();
+}
+
+// CommonJS exports (for scripted use)
+module.exports = { GoogleStandIn, resolveRange, parseArgs };
@@ -0,0 +1,227 @@
+/**
+ * OAuth Sign-in Relay
+ * InDesign panels cannot receive the OAuth redirect (UXP has no local server), so Google
+ * redirects to this relay instead. It keeps the authorization code under the request's
+ * state until the panel polls for it, then exchanges it using the panel's PKCE verifier and
+ * the client secret only the relay holds. Staff never paste a code and the panel never
+ * stores a secret. Refresh grants go through the relay too, since Google needs the secret
+ * for them as well.
+ *
+ * Host it behind https, register <public URL>/callback as an authorized redirect URI of a
+ * "Web application" OAuth client, and set the panel's OAUTH_RELAY_URL to the public URL:
+ *   GOOGLE_CLIENT_ID=... GOOGLE_CLIENT_SECRET=... RELAY_PUBLIC_URL=https://relay.example.org npm run relay
+ *
+ * The Google stand-in (tools/googleStandIn.js) serves the same relay at /relay.
+ */
+
+const http = require('http');
+
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// Codes Google redirected with are kept this long for the panel to collect
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+const SUCCESS_PAGE = '<html><body><h3>Tournament Matcher is connected.</h3><p>You can close this window and return to InDesign.</p></body></html>';
+const FAILURE_PAGE = '<html><body><h3>Sign-in was not completed.</h3><p>Return to InDesign and try again.</p></body></html>';
+
+/**
+ * Read --name value options from the command line, with environment defaults
+ */
+function parseArgs(argv, env = process.env) {
+    const options = {
+        port: parseInt(env.PORT, 10) || 8766,
+        clientId: env.GOOGLE_CLIENT_ID || '',
+        clientSecret: env.GOOGLE_CLIENT_SECRET || '',
+        publicUrl: env.RELAY_PUBLIC_URL || '',
+        tokenUrl: env.GOOGLE_TOKEN_URL || GOOGLE_TOKEN_URL
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port') options.port = parseInt(value, 10);
+        if (argv[i] === '--public-url') options.publicUrl = value;
+        if (argv[i] === '--token-url') options.tokenUrl = value;
+    }
+    if (!options.publicUrl) {
+        options.publicUrl = `http://localhost:${options.port}`;
+    }
+    return options;
+}
+
+class OAuthRelay {
+    /**
+     * @param {Object} options - { clientId, clientSecret, publicUrl, tokenUrl }
+     *   clientId may be blank to accept any client (the stand-in)
+     */
+    constructor(options) {
+        this.options = options;
+        this.redirectUri = `${options.publicUrl.replace(/\/+$/, '')}/callback`;
+        // state → { code, error, receivedAt }
+        this.pending = new Map();
+    }
+
+    /**
+     * Send a JSON response
+     */
+    sendJson(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Send an error in the OAuth token endpoint format
+     */
+    sendOAuthError(res, status, error, description) {
+        this.sendJson(res, status, { error, error_description: description });
+    }
+
+    /**
+     * Read a form-encoded request body
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(raw))));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Forget codes nobody collected
+     */
+    dropExpired() {
+        const cutoff = Date.now() - PENDING_TTL_MS;
+        this.pending.forEach((entry, state) => {
+            if (entry.receivedAt < cutoff) this.pending.delete(state);
+        });
+    }
+
+    /**
+     * Route a request
+     * @param {string} path - Path below the relay's base (e.g. "/callback")
+     * @returns {Promise<boolean>} False if the path is not a relay route
+     */
+    async handle(req, res, path) {
+        if (path === '/callback' && req.method === 'GET') {
+            this.handleCallback(new URL(req.url, 'http://relay'), res);
+            return true;
+        }
+        if (path === '/token' && req.method === 'POST') {
+            await this.handleToken(await this.readBody(req), res);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Redirect target - keep the code (or error) for the panel that sent this state
+     */
+    handleCallback(url, res) {
+        const state = url.searchParams.get('state');
+        const code = url.searchParams.get('code');
+        const error = url.searchParams.get('error');
+
+        res.writeHead(state && (code || error) ? 200 : 400, { 'Content-Type': 'text/html' });
+        res.end(code && state ? SUCCESS_PAGE : FAILURE_PAGE);
+        if (!state || (!code && !error)) return;
+
+        this.dropExpired();
+        this.pending.set(state, { code, error, receivedAt: Date.now() });
+    }
+
+    /**
+     * Token endpoint - authorization code (collected by state) and refresh token grants,
+     * forwarded to Google with the client secret
+     */
+    async handleToken(params, res) {
+        const { clientId, clientSecret, tokenUrl } = this.options;
+        if (clientId && params.client_id !== clientId) {
+            return this.sendOAuthError(res, 401, 'invalid_client', 'This relay signs in a different OAuth client.');
+        }
+
+        let grant;
+        if (params.grant_type === 'authorization_code') {
+            this.dropExpired();
+            const entry = this.pending.get(params.state);
+            // The panel keeps polling until Google has redirected here
+            if (!entry) {
+                return this.sendOAuthError(res, 428, 'authorization_pending', 'Sign-in has not been completed in the browser yet.');
+            }
+            if (entry.error) {
+                this.pending.delete(params.state);
+                return this.sendOAuthError(res, 400, 'access_denied', `Authorization denied: ${entry.error}`);
+            }
+            // Google accepts each code once, so it is handed over once
+            this.pending.delete(params.state);
+            grant = {
+                grant_type: 'authorization_code',
+                code: entry.code,
+                code_verifier: params.code_verifier || '',
+                redirect_uri: this.redirectUri
+            };
+        } else if (params.grant_type === 'refresh_token') {
+            grant = { grant_type: 'refresh_token', refresh_token: params.refresh_token || '' };
+        } else {
+            return this.sendOAuthError(res, 400, 'unsupported_grant_type', `Invalid grant_type: ${params.grant_type}`);
+        }
+
+        let response;
+        try {
+            response = await fetch(tokenUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    client_id: params.client_id || clientId,
+                    client_secret: clientSecret,
+                    ...grant
+                }).toString()
+            });
+        } catch (error) {
+            return this.sendOAuthError(res, 502, 'temporarily_unavailable', 'Google could not be reached.');
+        }
+
+        const data = await response.json().catch(() => ({}));
+        this.sendJson(res, response.status, data);
+    }
+
+    /**
+     * Start listening
+     */
+    listen(port) {
+        const server = http.createServer((req, res) => {
+            this.handle(req, res, new URL(req.url, 'http://relay').pathname)
+                .then(handled => {
+                    if (handled) return;
+                    res.writeHead(404);
+                    res.end();
+                })
+                .catch(error => {
+                    console.error('Relay error:', error);
+                    if (!res.headersSent) this.sendOAuthError(res, 400, 'invalid_request', error.message);
+                })
+                .finally(() => console.log(`${req.method} ${req.url.split('?')[0]} → ${res.statusCode}`));
+        });
+
+        server.listen(port, () => {
+            console.log(`OAuth relay listening on port ${port}`);
+            console.log(`Redirect URI to register: ${this.redirectUri}`);
+        });
+        return server;
+    }
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.clientId || !options.clientSecret) {
+        console.error('Set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET for the relay');
+        process.exit(1);
+    }
+    new OAuthRelay(options).listen(options.port);
+}
+
+// CommonJS exports (for scripted use)
+module.exports = { OAuthRelay, parseArgs };